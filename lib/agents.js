@@ -0,0 +1,268 @@
+/**
+ * Agents
+ * Agent templates behind `papr agents`: the built-in agents shipped in templates/, plus template
+ * directories and npm packages registered in ~/.papr/agents.json. Sources registered later take
+ * precedence, so a team can ship its own version of a built-in agent under the same name.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { execFile } = require('child_process');
+const { PAPR_DIR } = require('./credentials');
+const { CliError, EXIT_CODES } = require('./errors');
+
+const AGENTS_FILE = path.join(PAPR_DIR, 'agents.json');
+const AGENT_PACKAGES_DIR = path.join(PAPR_DIR, 'agent-packages');
+const BUILTIN_AGENTS_DIR = path.join(__dirname, '..', 'templates');
+const AGENT_NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const NPM_INSTALL_TIMEOUT = 120000;
+
+// Agent files Claude ignores; `papr agents disable` moves an agent aside to this name
+const DISABLED_SUFFIX = '.disabled';
+
+/**
+ * Read the frontmatter of an agent file
+ * @param {string} text - Agent markdown
+ * @returns {Object|null} - { name, description, tools, model }, or null without frontmatter
+ */
+function parseFrontmatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  if (!match) return null;
+
+  const fields = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  });
+  return fields;
+}
+
+/**
+ * List the agent templates in a directory: every .md file with a frontmatter name. Names become
+ * file names, so templates whose name does not match AGENT_NAME_PATTERN are skipped.
+ * @param {string} dir - Template directory
+ * @param {string} source - Source label for the agents ('builtin', a directory or a package)
+ * @param {Array<string>} skipped - Collects the template files skipped for an invalid name (optional)
+ * @returns {Promise<Array<Object>>} - [{ name, description, file, source }]
+ */
+async function readAgentTemplates(dir, source, skipped = []) {
+  if (!(await fs.pathExists(dir))) return [];
+
+  const agents = [];
+  for (const file of (await fs.readdir(dir)).sort()) {
+    if (!file.endsWith('.md')) continue;
+    const fullPath = path.join(dir, file);
+    const frontmatter = parseFrontmatter(await fs.readFile(fullPath, 'utf8'));
+    if (!frontmatter?.name) continue;
+    if (!AGENT_NAME_PATTERN.test(frontmatter.name)) {
+      skipped.push(fullPath);
+      continue;
+    }
+    agents.push({ name: frontmatter.name, description: frontmatter.description || '', file: fullPath, source });
+  }
+  return agents;
+}
+
+/**
+ * Load the registered agent sources
+ * @returns {Promise<Object>} - { sources: [{ type, spec, path, addedAt }] }
+ */
+async function loadAgentsConfig() {
+  const data = await fs.readJson(AGENTS_FILE).catch(() => ({}));
+  return { sources: data.sources || [] };
+}
+
+async function saveAgentsConfig(config) {
+  await fs.ensureDir(PAPR_DIR);
+  await fs.writeJson(AGENTS_FILE, config, { spaces: 2 });
+}
+
+/**
+ * Package name of an npm spec such as @acme/agents@2 or papr-agents
+ * @param {string} spec - npm package spec
+ * @returns {string} - Package name
+ */
+function npmPackageName(spec) {
+  const versionAt = spec.indexOf('@', spec.startsWith('@') ? 1 : 0);
+  return versionAt > 0 ? spec.slice(0, versionAt) : spec;
+}
+
+/**
+ * Command and arguments that run npm without a shell, so a package spec reaches it as one argument.
+ * Windows cannot run npm.cmd without a shell, so npm's own script runs under this Node there.
+ * @param {Array<string>} args - npm arguments
+ * @returns {Array} - [file, args] for execFile
+ */
+function npmCommand(args) {
+  if (process.platform === 'win32') {
+    return [process.execPath, [path.join(path.dirname(process.execPath), 'node_modules', 'npm', 'bin', 'npm-cli.js'), ...args]];
+  }
+  return ['npm', args];
+}
+
+/**
+ * Install an npm package of agent templates into ~/.papr/agent-packages
+ * @param {string} spec - npm package spec
+ * @returns {Promise<string>} - Directory holding the package's agent templates
+ */
+async function installAgentPackage(spec) {
+  await fs.ensureDir(AGENT_PACKAGES_DIR);
+
+  await new Promise((resolve, reject) => {
+    const [file, args] = npmCommand(['install', '--prefix', AGENT_PACKAGES_DIR, '--no-audit', '--no-fund', spec]);
+    execFile(file, args, { timeout: NPM_INSTALL_TIMEOUT }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new CliError(`Failed to install agent package ${spec}: ${(stderr || error.message).trim().split('\n')[0]}`, EXIT_CODES.INSTALL_FAILED));
+      } else {
+        resolve();
+      }
+    });
+  });
+
+  // Agents live where package.json "papr.agents" says, else in agents/, else in the package root
+  const packageDir = path.join(AGENT_PACKAGES_DIR, 'node_modules', npmPackageName(spec));
+  const manifest = await fs.readJson(path.join(packageDir, 'package.json')).catch(() => ({}));
+  if (manifest.papr?.agents) {
+    return path.join(packageDir, manifest.papr.agents);
+  }
+  if (await fs.pathExists(path.join(packageDir, 'agents'))) {
+    return path.join(packageDir, 'agents');
+  }
+  return packageDir;
+}
+
+/**
+ * Register a directory or npm package of agent templates (re-registering refreshes it)
+ * @param {string} spec - Directory path or npm package spec
+ * @returns {Promise<Object>} - { source, agents, skipped } where skipped lists templates with an invalid name
+ */
+async function addAgentSource(spec) {
+  const localDir = path.resolve(spec);
+  const isDir = await fs.pathExists(localDir) && (await fs.stat(localDir)).isDirectory();
+  const source = isDir
+    ? { type: 'dir', spec: localDir, path: localDir }
+    : { type: 'npm', spec, path: await installAgentPackage(spec) };
+
+  const skipped = [];
+  const agents = await readAgentTemplates(source.path, source.spec, skipped);
+  if (agents.length === 0) {
+    throw new CliError(`No agent templates found in ${source.path}. Agents are .md files with a "name:" frontmatter field of lowercase letters, digits and dashes`, EXIT_CODES.USAGE);
+  }
+
+  const config = await loadAgentsConfig();
+  config.sources = config.sources.filter(existing => existing.spec !== source.spec);
+  config.sources.push({ ...source, addedAt: new Date().toISOString() });
+  await saveAgentsConfig(config);
+
+  return { source, agents, skipped };
+}
+
+/**
+ * Find a registered source by its spec (a relative directory is matched by its absolute path)
+ * @param {string} spec - Directory path or npm package spec
+ * @returns {Promise<Object|null>} - Source or null
+ */
+async function findAgentSource(spec) {
+  const { sources } = await loadAgentsConfig();
+  return sources.find(source => source.spec === spec || source.spec === path.resolve(spec) ||
+    (source.type === 'npm' && npmPackageName(source.spec) === npmPackageName(spec))) || null;
+}
+
+/**
+ * Unregister a source. npm packages are uninstalled from ~/.papr/agent-packages.
+ * @param {Object} source - Registered source
+ * @returns {Promise<Array<Object>>} - Agents the source provided
+ */
+async function removeAgentSource(source) {
+  const agents = await readAgentTemplates(source.path, source.spec);
+
+  const config = await loadAgentsConfig();
+  config.sources = config.sources.filter(existing => existing.spec !== source.spec);
+  await saveAgentsConfig(config);
+
+  if (source.type === 'npm') {
+    await fs.remove(path.join(AGENT_PACKAGES_DIR, 'node_modules', npmPackageName(source.spec)));
+  }
+  return agents;
+}
+
+/**
+ * Every available agent template, built-in and registered, one per name
+ * @returns {Promise<Array<Object>>} - [{ name, description, file, source }]
+ */
+async function listAgentTemplates() {
+  const byName = new Map();
+  (await readAgentTemplates(BUILTIN_AGENTS_DIR, 'builtin')).forEach(agent => byName.set(agent.name, agent));
+
+  const { sources } = await loadAgentsConfig();
+  for (const source of sources) {
+    (await readAgentTemplates(source.path, source.spec)).forEach(agent => byName.set(agent.name, agent));
+  }
+  return [...byName.values()];
+}
+
+/**
+ * Where an agent is installed in a scope
+ * @param {Object} target - Scope paths
+ * @param {string} name - Agent name
+ * @returns {string} - Agent file path
+ * @throws {CliError} - If the name would leave the agents directory
+ */
+function getAgentFile(target, name) {
+  if (!name || path.basename(name) !== name || name === '..') {
+    throw new CliError(`Invalid agent name: ${name}`, EXIT_CODES.USAGE);
+  }
+  return path.join(target.agentsDir, `${name}.md`);
+}
+
+/**
+ * Write a starter agent template
+ * @param {string} file - File to create
+ * @param {Object} agent - { name, description, tools }
+ */
+async function createAgentFile(file, { name, description, tools }) {
+  if (!AGENT_NAME_PATTERN.test(name)) {
+    throw new CliError(`Invalid agent name: ${name}. Use lowercase letters, digits and dashes`, EXIT_CODES.USAGE);
+  }
+  if (await fs.pathExists(file)) {
+    throw new CliError(`${file} already exists`, EXIT_CODES.USAGE);
+  }
+
+  const title = name.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+  const content = [
+    '---',
+    `name: ${name}`,
+    `description: ${description || `Describe when Claude should delegate to ${name}`}`,
+    `tools: ${tools || 'mcp__papr-memory__search_memory,mcp__papr-memory__add_memory,Read,Glob,Grep'}`,
+    'model: inherit',
+    '---',
+    '',
+    `# ${title}`,
+    '',
+    'Explain what this agent is responsible for and how it should work.',
+    '',
+    '## Memory',
+    '- Search PAPR memory for earlier decisions and context before starting',
+    '- Save outcomes and decisions with add_memory when done',
+    ''
+  ].join('\n');
+
+  await fs.ensureDir(path.dirname(file));
+  await fs.writeFile(file, content);
+}
+
+module.exports = {
+  parseFrontmatter,
+  readAgentTemplates,
+  loadAgentsConfig,
+  addAgentSource,
+  findAgentSource,
+  removeAgentSource,
+  listAgentTemplates,
+  getAgentFile,
+  createAgentFile,
+  AGENTS_FILE,
+  DISABLED_SUFFIX
+};
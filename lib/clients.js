@@ -0,0 +1,185 @@
+/**
+ * Clients
+ * MCP hosts besides Claude that `papr init --client` can register the PAPR MCP server with.
+ * Each host keeps its MCP servers in its own JSON file and shape; Claude itself is handled
+ * by the settings manager.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { readSettings, writeSettings, getMcpServerLaunch } = require('./settings-manager');
+const { CliError, EXIT_CODES } = require('./errors');
+
+const SERVER_NAME = 'papr-memory';
+
+/**
+ * Per-user application config directory of the platform
+ * @returns {string}
+ */
+function getAppConfigDir() {
+  if (process.platform === 'darwin') return path.join(os.homedir(), 'Library', 'Application Support');
+  if (process.platform === 'win32') return process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  return process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+}
+
+// Standard { command, args, env } stdio entry under "mcpServers"
+const mcpServersEntry = (launch) => ({ ...launch, env: {} });
+
+// Every supported host: where its MCP config lives per scope, the key servers go under, and the entry shape
+const CLIENTS = {
+  claude: {
+    label: 'Claude Code',
+    files: {
+      user: () => path.join(os.homedir(), '.claude', 'settings.json'),
+      project: (projectDir) => path.join(projectDir, '.mcp.json')
+    },
+    key: 'mcpServers',
+    entry: (launch) => ({ type: 'stdio', ...mcpServersEntry(launch) })
+  },
+  cursor: {
+    label: 'Cursor',
+    files: {
+      user: () => path.join(os.homedir(), '.cursor', 'mcp.json'),
+      project: (projectDir) => path.join(projectDir, '.cursor', 'mcp.json')
+    },
+    key: 'mcpServers',
+    entry: mcpServersEntry
+  },
+  vscode: {
+    label: 'VS Code',
+    files: {
+      user: () => path.join(getAppConfigDir(), 'Code', 'User', 'mcp.json'),
+      project: (projectDir) => path.join(projectDir, '.vscode', 'mcp.json')
+    },
+    key: 'servers',
+    entry: (launch) => ({ type: 'stdio', ...mcpServersEntry(launch) })
+  },
+  windsurf: {
+    label: 'Windsurf',
+    files: {
+      user: () => path.join(os.homedir(), '.codeium', 'windsurf', 'mcp_config.json')
+    },
+    key: 'mcpServers',
+    entry: mcpServersEntry
+  },
+  'claude-desktop': {
+    label: 'Claude Desktop',
+    files: {
+      user: () => path.join(getAppConfigDir(), 'Claude', 'claude_desktop_config.json')
+    },
+    key: 'mcpServers',
+    entry: mcpServersEntry
+  }
+};
+
+/**
+ * Look up a client
+ * @param {string} name - Client name
+ * @returns {Object} - Client definition with its name
+ * @throws {CliError} - USAGE for an unknown client
+ */
+function getClient(name) {
+  if (!CLIENTS[name]) {
+    throw new CliError(`Unknown client: ${name}. Use one of: ${Object.keys(CLIENTS).join(', ')}`, EXIT_CODES.USAGE);
+  }
+  return { name, ...CLIENTS[name] };
+}
+
+/**
+ * MCP config file of a client in a scope
+ * @param {string} name - Client name
+ * @param {string} scope - 'user' or 'project'
+ * @param {string} projectDir - Project root (default: cwd)
+ * @returns {string} - Config file path
+ * @throws {CliError} - USAGE if the client has no config for that scope
+ */
+function getClientConfigFile(name, scope = 'user', projectDir = process.cwd()) {
+  const client = getClient(name);
+  if (!client.files[scope]) {
+    throw new CliError(`${client.label} has no ${scope}-scope MCP config. Use: ${Object.keys(client.files).join(' or ')}`, EXIT_CODES.USAGE);
+  }
+  return client.files[scope](path.resolve(projectDir));
+}
+
+/**
+ * Register the PAPR MCP server with a client, keeping the client's other servers. Project-scope
+ * files are shared, so they launch the server with papr mcp serve rather than a local path.
+ * @param {string} name - Client name
+ * @param {Object} options - Options
+ * @param {string} options.mcpServerPath - Path to papr-mcp-server.js
+ * @param {string} options.scope - 'user' (default) or 'project'
+ * @param {string} options.projectDir - Project root (default: cwd)
+ * @returns {Promise<Object>} - { file, backup }
+ */
+async function registerClient(name, { mcpServerPath, scope = 'user', projectDir = process.cwd() }) {
+  const client = getClient(name);
+  const file = getClientConfigFile(name, scope, projectDir);
+
+  // Refuses to continue if the existing file cannot be parsed
+  const config = await readSettings(file);
+  const launch = getMcpServerLaunch(mcpServerPath, scope === 'project');
+  config[client.key] = { ...config[client.key], [SERVER_NAME]: client.entry(launch) };
+
+  const backup = await writeSettings(config, file);
+  return { file, backup: backup ? backup.name : null };
+}
+
+/**
+ * Remove the PAPR MCP server from a client's config
+ * @param {string} name - Client name
+ * @param {Object} options - { scope, projectDir }
+ * @returns {Promise<Object>} - { file, removed }
+ */
+async function unregisterClient(name, { scope = 'user', projectDir = process.cwd() } = {}) {
+  const client = getClient(name);
+  const file = getClientConfigFile(name, scope, projectDir);
+  const config = await readSettings(file);
+  if (!config[client.key]?.[SERVER_NAME]) {
+    return { file, removed: false };
+  }
+
+  delete config[client.key][SERVER_NAME];
+  await writeSettings(config, file);
+  return { file, removed: true };
+}
+
+/**
+ * Check every client and scope for a PAPR MCP server entry
+ * @param {string} projectDir - Project root (default: cwd)
+ * @returns {Promise<Array<Object>>} - [{ client, label, scope, file, registered, serverPath, serverFound, error }]
+ */
+async function detectClients(projectDir = process.cwd()) {
+  const results = [];
+  for (const [name, client] of Object.entries(CLIENTS)) {
+    for (const scope of Object.keys(client.files)) {
+      const file = client.files[scope](path.resolve(projectDir));
+      const entry = { client: name, label: client.label, scope, file, registered: false, serverPath: null, serverFound: false, error: null };
+      try {
+        const server = (await readSettings(file))[client.key]?.[SERVER_NAME];
+        entry.registered = Boolean(server);
+        if (server && server.command !== 'node') {
+          // Launched through papr mcp serve: the runtime is installed on demand
+          entry.serverPath = [server.command, ...(server.args || [])].join(' ');
+          entry.serverFound = true;
+        } else {
+          entry.serverPath = server?.args?.[0] || null;
+          entry.serverFound = Boolean(entry.serverPath) && await fs.pathExists(entry.serverPath);
+        }
+      } catch (error) {
+        entry.error = error.message;
+      }
+      results.push(entry);
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  CLIENTS,
+  getClient,
+  getClientConfigFile,
+  registerClient,
+  unregisterClient,
+  detectClients
+};
@@ -3,18 +3,25 @@
  * Indexes local codebases into PAPR Memory with GraphQL-based semantic search
  */
 
-const { getSchemaManager } = require('./schema/schema-manager');
+const { SchemaManager } = require('./schema/schema-manager');
 const { getPaprClient } = require('./utils/papr-client');
 const { detectLanguage, shouldIndexFile } = require('./utils/language-detector');
+const { recordIndexRun } = require('./utils/index-state');
 const PythonParser = require('./parsers/python-parser');
 const GraphBuilder = require('./graph-builder/graph-builder');
 const fs = require('fs').promises;
 const path = require('path');
 
 class CodeIndexer {
-  constructor() {
-    this.schemaManager = getSchemaManager();
-    this.paprClient = getPaprClient();
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.logger - Where progress lines go ({ log, error }; default: console)
+   * @param {string} options.apiKey - Key to index with instead of the configured one
+   */
+  constructor({ logger = console, apiKey } = {}) {
+    this.logger = logger;
+    this.paprClient = getPaprClient({ apiKey });
+    this.schemaManager = new SchemaManager({ paprClient: this.paprClient });
     this.parsers = new Map();
     this.initialized = false;
 
@@ -34,15 +41,15 @@ class CodeIndexer {
     }
 
     try {
-      console.log('🔧 Initializing Code Indexer...');
+      this.logger.log('🔧 Initializing Code Indexer...');
 
       // Initialize schema (creates only if needed)
       const schemaResult = await this.schemaManager.initializeSchema();
 
       if (schemaResult.created) {
-        console.log('✓ Schema created successfully');
+        this.logger.log('✓ Schema created successfully');
       } else {
-        console.log('✓ Using existing schema');
+        this.logger.log('✓ Using existing schema');
       }
 
       this.initialized = true;
@@ -53,7 +60,7 @@ class CodeIndexer {
         created: schemaResult.created
       };
     } catch (error) {
-      console.error('Failed to initialize:', error.message);
+      this.logger.error('Failed to initialize:', error.message);
       return {
         success: false,
         error: error.message
@@ -121,7 +128,7 @@ class CodeIndexer {
         };
       }
 
-      console.log(`📄 Parsing ${path.basename(filePath)}...`);
+      this.logger.log(`📄 Parsing ${path.basename(filePath)}...`);
 
       // Read file content
       const content = await fs.readFile(filePath, 'utf8');
@@ -147,7 +154,7 @@ class CodeIndexer {
       const metadata = graphBuilder.generateMetadata(filePath);
 
       // Send to PAPR Memory
-      console.log(`📤 Uploading to PAPR Memory (${graphOverride.nodes.length} nodes, ${graphOverride.relationships.length} relationships)...`);
+      this.logger.log(`📤 Uploading to PAPR Memory (${graphOverride.nodes.length} nodes, ${graphOverride.relationships.length} relationships)...`);
 
       const result = await this.paprClient.addCodeMemory({
         content: memoryContent,
@@ -156,7 +163,7 @@ class CodeIndexer {
       });
 
       if (result.success) {
-        console.log(`✓ Indexed ${path.basename(filePath)} successfully`);
+        this.logger.log(`✓ Indexed ${path.basename(filePath)} successfully`);
       }
 
       return {
@@ -170,8 +177,8 @@ class CodeIndexer {
         }
       };
     } catch (error) {
-      console.error(`Failed to index ${filePath}:`, error.message || error);
-      console.error('Stack trace:', error.stack);
+      this.logger.error(`Failed to index ${filePath}:`, error.message || error);
+      this.logger.error('Stack trace:', error.stack);
       return {
         success: false,
         error: error.message || String(error),
@@ -183,7 +190,8 @@ class CodeIndexer {
   /**
    * Index multiple files
    * @param {Array<string>} filePaths - Array of file paths
-   * @param {Object} options - Options
+   * @param {Object} options - Options; options.onProgress({ filePath, index, total, status, error })
+   *   is called after each file with status 'indexed', 'skipped' or 'failed'
    * @returns {Promise<Object>} - Results summary
    */
   async indexFiles(filePaths, options = {}) {
@@ -195,12 +203,14 @@ class CodeIndexer {
       indexed: []
     };
 
-    console.log(`\n📚 Indexing ${filePaths.length} files...\n`);
+    this.logger.log(`\n📚 Indexing ${filePaths.length} files...\n`);
 
-    for (const filePath of filePaths) {
+    for (const [index, filePath] of filePaths.entries()) {
       const result = await this.indexFile(filePath, options);
 
+      let status;
       if (result.success) {
+        status = 'indexed';
         results.success++;
         results.indexed.push({
           path: filePath,
@@ -208,8 +218,10 @@ class CodeIndexer {
           stats: result.stats
         });
       } else if (result.skipped) {
+        status = 'skipped';
         results.skipped++;
       } else {
+        status = 'failed';
         results.failed++;
         results.errors.push({
           path: filePath,
@@ -217,14 +229,18 @@ class CodeIndexer {
         });
       }
 
+      if (options.onProgress) {
+        options.onProgress({ filePath, index: index + 1, total: filePaths.length, status, error: result.error || null });
+      }
+
       // Small delay to avoid rate limiting
       await new Promise(resolve => setTimeout(resolve, 100));
     }
 
-    console.log(`\n✓ Indexing complete:`);
-    console.log(`  - Success: ${results.success}`);
-    console.log(`  - Skipped: ${results.skipped}`);
-    console.log(`  - Failed: ${results.failed}`);
+    this.logger.log(`\n✓ Indexing complete:`);
+    this.logger.log(`  - Success: ${results.success}`);
+    this.logger.log(`  - Skipped: ${results.skipped}`);
+    this.logger.log(`  - Failed: ${results.failed}`);
 
     return results;
   }
@@ -238,11 +254,13 @@ class CodeIndexer {
   async indexDirectory(directoryPath, options = {}) {
     try {
       const files = await this.findCodeFiles(directoryPath, options);
-      console.log(`\n📂 Found ${files.length} code files in ${directoryPath}`);
+      this.logger.log(`\n📂 Found ${files.length} code files in ${directoryPath}`);
 
-      return await this.indexFiles(files, options);
+      const result = await this.indexFiles(files, options);
+      await recordIndexRun(directoryPath, result, this.schemaManager.getSchemaId());
+      return result;
     } catch (error) {
-      console.error('Failed to index directory:', error.message);
+      this.logger.error('Failed to index directory:', error.message);
       return {
         success: 0,
         failed: 1,
@@ -319,18 +337,21 @@ class CodeIndexer {
   }
 }
 
-// Singleton instance
-let instance = null;
+// One instance per API key; '' is the configured key
+const instances = new Map();
 
 /**
- * Get CodeIndexer singleton instance
+ * Get the CodeIndexer for an API key
+ * @param {Object} options - Options
+ * @param {string} options.apiKey - Key passed by the caller; omit to use the configured key
  * @returns {CodeIndexer}
  */
-function getCodeIndexer() {
-  if (!instance) {
-    instance = new CodeIndexer();
+function getCodeIndexer({ apiKey } = {}) {
+  const key = apiKey || '';
+  if (!instances.has(key)) {
+    instances.set(key, new CodeIndexer({ apiKey }));
   }
-  return instance;
+  return instances.get(key);
 }
 
 module.exports = {
@@ -14,7 +14,12 @@ const os = require('os');
 const SCHEMA_CACHE_FILE = path.join(os.homedir(), '.papr', 'code-schema-cache.json');
 
 class SchemaManager {
-  constructor() {
+  /**
+   * @param {Object} options - Options
+   * @param {PaprCodeIndexer} options.paprClient - Client to create and look up schemas with (default: configured key)
+   */
+  constructor({ paprClient } = {}) {
+    this.paprClient = paprClient || getPaprClient();
     this.schemaId = null;
     this.schemaCache = null;
   }
@@ -66,7 +71,7 @@ class SchemaManager {
    * @returns {Promise<Object>} - { schemaId }
    */
   async createSchema() {
-    const client = getPaprClient();
+    const client = this.paprClient;
 
     try {
       const result = await client.createSchema(CODE_SCHEMA);
@@ -94,7 +99,7 @@ class SchemaManager {
    * @returns {Promise<Object|null>} - Schema object or null
    */
   async findExistingSchema() {
-    const client = getPaprClient();
+    const client = this.paprClient;
 
     try {
       const schemas = await client.listSchemas();
@@ -118,7 +123,7 @@ class SchemaManager {
    * @returns {Promise<boolean>} - True if exists
    */
   async verifySchemaExists(schemaId) {
-    const client = getPaprClient();
+    const client = this.paprClient;
 
     try {
       const schemas = await client.listSchemas();
@@ -222,5 +227,6 @@ function getSchemaManager() {
 
 module.exports = {
   SchemaManager,
-  getSchemaManager
+  getSchemaManager,
+  SCHEMA_CACHE_FILE
 };
@@ -0,0 +1,78 @@
+/**
+ * Index State
+ * Records when each directory was last indexed in ~/.papr/index-state.json,
+ * so `papr status` can report index state without loading the parsers.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const INDEX_STATE_FILE = path.join(os.homedir(), '.papr', 'index-state.json');
+
+/**
+ * Load the index state file
+ * @returns {Promise<Object>} - { directories: { [absolutePath]: state } }
+ */
+async function loadIndexState() {
+  try {
+    const data = JSON.parse(await fs.readFile(INDEX_STATE_FILE, 'utf8'));
+    return { directories: data.directories || {} };
+  } catch (error) {
+    // File doesn't exist or is invalid
+    return { directories: {} };
+  }
+}
+
+/**
+ * Record the result of indexing a directory
+ * @param {string} directoryPath - Indexed directory
+ * @param {Object} result - Result of CodeIndexer.indexFiles
+ * @param {string|null} schemaId - Schema the files were indexed against
+ */
+async function recordIndexRun(directoryPath, result, schemaId = null) {
+  try {
+    const state = await loadIndexState();
+    state.directories[path.resolve(directoryPath)] = {
+      indexedAt: new Date().toISOString(),
+      success: result.success,
+      failed: result.failed,
+      skipped: result.skipped,
+      schemaId
+    };
+
+    await fs.mkdir(path.dirname(INDEX_STATE_FILE), { recursive: true });
+    await fs.writeFile(INDEX_STATE_FILE, JSON.stringify(state, null, 2));
+  } catch (error) {
+    console.warn('Failed to record index state:', error.message);
+    // Non-critical error, continue
+  }
+}
+
+/**
+ * Find the most recent index run covering a directory (the directory itself or a parent)
+ * @param {string} directoryPath - Directory to look up (default: cwd)
+ * @returns {Promise<Object|null>} - { directory, ...state } or null if never indexed
+ */
+async function getIndexState(directoryPath = process.cwd()) {
+  const { directories } = await loadIndexState();
+  let dir = path.resolve(directoryPath);
+
+  while (true) {
+    if (directories[dir]) {
+      return { directory: dir, ...directories[dir] };
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+module.exports = {
+  loadIndexState,
+  recordIndexRun,
+  getIndexState,
+  INDEX_STATE_FILE
+};
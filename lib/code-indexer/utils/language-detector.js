@@ -4,6 +4,7 @@
  */
 
 const path = require('path');
+const { getConfigValue } = require('../../config');
 
 const LANGUAGE_MAP = {
   // Python
@@ -50,23 +51,22 @@ const LANGUAGE_MAP = {
   '.zsh': 'shell'
 };
 
-const IGNORE_PATTERNS = [
-  /node_modules/,
-  /\.git/,
-  /dist/,
-  /build/,
-  /target/,
-  /\.next/,
-  /\.vscode/,
-  /\.idea/,
-  /__pycache__/,
-  /\.pytest_cache/,
-  /\.DS_Store/,
-  /\.env/,
-  /package-lock\.json/,
-  /yarn\.lock/,
-  /pnpm-lock\.yaml/
-];
+let compiledPatterns = null;
+let compiledFrom = null;
+
+/**
+ * Get the ignore patterns from config (indexer.ignorePatterns)
+ * @returns {RegExp[]} - Compiled patterns
+ */
+function getIgnorePatterns() {
+  // Compile once per config value; shouldIndexFile runs for every file in the tree
+  const patterns = getConfigValue('indexer.ignorePatterns');
+  if (patterns !== compiledFrom) {
+    compiledPatterns = patterns.map(pattern => new RegExp(pattern));
+    compiledFrom = patterns;
+  }
+  return compiledPatterns;
+}
 
 /**
  * Detect programming language from file path
@@ -93,7 +93,7 @@ function shouldIndexFile(filePath, options = {}) {
   } = options;
 
   // Check ignore patterns
-  for (const pattern of IGNORE_PATTERNS) {
+  for (const pattern of getIgnorePatterns()) {
     if (pattern.test(filePath)) {
       return false;
     }
@@ -164,6 +164,6 @@ module.exports = {
   shouldIndexFile,
   getSupportedLanguages,
   isLanguageSupported,
-  LANGUAGE_MAP,
-  IGNORE_PATTERNS
+  getIgnorePatterns,
+  LANGUAGE_MAP
 };
@@ -4,9 +4,17 @@
  */
 
 const Papr = require('@papr/memory').default;
+const { loadEnvFiles } = require('../../env-files');
+const { resolveConnection } = require('../../profiles');
+const { getConfigValue } = require('../../config');
 
 class PaprCodeIndexer {
-  constructor() {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.apiKey - Key to use instead of the configured one (e.g. api_key tool argument)
+   */
+  constructor({ apiKey } = {}) {
+    this.apiKey = apiKey || null;
     this.client = null;
     this.schemaId = null;
   }
@@ -17,16 +25,16 @@ class PaprCodeIndexer {
    */
   getClient() {
     if (!this.client) {
-      const apiKey = process.env.PAPR_MEMORY_API_KEY;
+      const { apiKey, serverUrl } = resolveConnection({ apiKey: this.apiKey });
 
       if (!apiKey) {
-        throw new Error('PAPR_MEMORY_API_KEY environment variable is required');
+        throw new Error('PAPR API key is required. Set PAPR_MEMORY_API_KEY or run: papr auth login');
       }
 
       this.client = new Papr({
-        baseURL: process.env.NEXT_PUBLIC_MEMORY_SERVER_URL || 'https://memory.papr.ai',
-        timeout: 30000,  // 30 seconds for large graph uploads
-        maxRetries: 3,
+        baseURL: serverUrl,
+        timeout: getConfigValue('indexer.timeout'),  // Large graph uploads need a long timeout
+        maxRetries: getConfigValue('indexer.maxRetries'),
         logLevel: 'warn',
         xAPIKey: apiKey,
         defaultHeaders: {
@@ -46,8 +54,7 @@ class PaprCodeIndexer {
    */
   async createSchema(schema) {
     try {
-      const apiKey = process.env.PAPR_MEMORY_API_KEY;
-      const baseURL = process.env.NEXT_PUBLIC_MEMORY_SERVER_URL || 'https://memory.papr.ai';
+      const { apiKey, serverUrl: baseURL } = resolveConnection({ apiKey: this.apiKey });
 
       const fetch = require('node-fetch');
 
@@ -98,8 +105,7 @@ class PaprCodeIndexer {
    */
   async listSchemas() {
     try {
-      const apiKey = process.env.PAPR_MEMORY_API_KEY;
-      const baseURL = process.env.NEXT_PUBLIC_MEMORY_SERVER_URL || 'https://memory.papr.ai';
+      const { apiKey, serverUrl: baseURL } = resolveConnection({ apiKey: this.apiKey });
 
       const fetch = require('node-fetch');
 
@@ -134,6 +140,7 @@ class PaprCodeIndexer {
   async addCodeMemory({ content, metadata, graphOverride }) {
     try {
       const client = this.getClient();
+      const { workspace } = resolveConnection({ apiKey: this.apiKey });
 
       // Prepare memory parameters with graph_generation (not graph_override)
       const memoryParams = {
@@ -145,6 +152,7 @@ class PaprCodeIndexer {
           sourceType: 'code_indexer',
           sourceUrl: null,
           location: null,
+          ...(workspace && { workspace_id: workspace }),
           customMetadata: {
             file_path: metadata.filePath,
             language: metadata.language,
@@ -365,18 +373,26 @@ class PaprCodeIndexer {
   }
 }
 
-// Singleton instance
-let instance = null;
+// One instance per API key; '' is the configured key
+const instances = new Map();
 
 /**
- * Get PaprCodeIndexer singleton instance
+ * Get the PaprCodeIndexer for an API key
+ * @param {Object} options - Options
+ * @param {string} options.apiKey - Key passed by the caller; omit to use the configured key
  * @returns {PaprCodeIndexer}
  */
-function getPaprClient() {
-  if (!instance) {
-    instance = new PaprCodeIndexer();
+function getPaprClient({ apiKey } = {}) {
+  if (instances.size === 0) {
+    // Scripts that run the indexer directly get the key from .env like the CLI does. Loaded on first
+    // use, so requiring this module (papr status does) leaves process.env alone
+    loadEnvFiles();
+  }
+  const key = apiKey || '';
+  if (!instances.has(key)) {
+    instances.set(key, new PaprCodeIndexer({ apiKey }));
   }
-  return instance;
+  return instances.get(key);
 }
 
 module.exports = {
@@ -0,0 +1,376 @@
+/**
+ * Completion
+ * Shell completion scripts for bash, zsh and fish, generated from the commander program in bin/papr,
+ * and the dynamic values those scripts fetch on <Tab> with `papr completion --values <kind>`:
+ * profile names, indexed repositories and memory IDs from the local memory cache. The values path
+ * runs on every <Tab>, so it only loads modules that use Node built-ins.
+ */
+
+const { loadProfiles } = require('./profiles');
+const { loadIndexState } = require('./code-indexer/utils/index-state');
+const { loadCachedMemories, loadPinnedMemories } = require('./memory-cache');
+
+const SHELLS = ['bash', 'zsh', 'fish'];
+const SCOPES = ['user', 'project', 'local'];
+
+// Values commander does not know about, by '<command path> <argument name or long flag>'.
+// '@files' and '@dirs' complete paths; any other '@kind' is fetched from VALUE_SOURCES at <Tab> time.
+const EXTRA_VALUES = {
+  'start --profile': () => ['@profiles'],
+  'profile add name': () => ['@profiles'],
+  'profile use name': () => ['@profiles'],
+  'profile remove name': () => ['@profiles'],
+  'index directory': () => ['@repos', '@dirs'],
+  'memory get id': () => ['@memories'],
+  'memory update id': () => ['@memories'],
+  'memory delete id': () => ['@memories'],
+  'memory pin id': () => ['@memories'],
+  'memory unpin id': () => ['@pinned'],
+  'import file': () => ['@files'],
+  'import --report': () => ['@files'],
+  'export --out': () => ['@files'],
+  'agents install agents': () => ['@dirs'],
+  'agents new --dir': () => ['@dirs'],
+  'init --client': () => Object.keys(require('./clients').CLIENTS),
+  'clients remove name': () => Object.keys(require('./clients').CLIENTS),
+  'clients remove --scope': () => ['user', 'project'],
+  'config get key': () => Object.keys(require('./config').SCHEMA),
+  'config set key': () => Object.keys(require('./config').SCHEMA)
+};
+
+// Dynamic values as [value, description] pairs
+const VALUE_SOURCES = {
+  profiles: async () => {
+    const { current, profiles } = loadProfiles();
+    return Object.entries(profiles).map(([name, profile]) => [
+      name,
+      [name === current ? 'default' : '', profile.workspace ? `workspace ${profile.workspace}` : ''].filter(Boolean).join(', ')
+    ]);
+  },
+  repos: async () => {
+    const { directories } = await loadIndexState();
+    return Object.entries(directories).map(([dir, state]) => [dir, state.indexedAt ? `indexed ${state.indexedAt.slice(0, 10)}` : '']);
+  },
+  memories: async () => loadCachedMemories().map(memory => [memory.id, memory.summary || '']),
+  pinned: async () => loadPinnedMemories().map(memory => [memory.id, memory.summary || ''])
+};
+
+/**
+ * Print the dynamic values of a kind, one "value<TAB>description" per line
+ * @param {string} kind - profiles, repos, memories or pinned
+ */
+async function printCompletionValues(kind) {
+  const source = VALUE_SOURCES[kind];
+  if (!source) return;
+  for (const [value, description] of await source()) {
+    process.stdout.write(`${value}\t${description.replace(/[\t\n]/g, ' ')}\n`);
+  }
+}
+
+/**
+ * Values to complete for an option or argument of a command
+ * @param {string} commandPath - Command path, e.g. 'memory get'
+ * @param {string} key - Argument name or long flag
+ * @param {Array<string>} choices - Choices declared in commander
+ * @returns {Array<string>} - Literal values and @kind tokens
+ */
+function valuesFor(commandPath, key, choices) {
+  const extra = EXTRA_VALUES[`${commandPath} ${key}`];
+  if (extra) return extra();
+  if (choices) return choices;
+  return key === '--scope' ? SCOPES : [];
+}
+
+/**
+ * Walk the commander tree into one flat entry per command path
+ * @param {Command} command - Commander command
+ * @param {string} commandPath - Path of command ('' for the program)
+ * @param {Array<Object>} entries - Accumulator
+ * @returns {Array<Object>} - [{ path, subcommands, options, valueOptions, optionValues, argumentValues }]
+ */
+function describeCommands(command, commandPath = '', entries = []) {
+  const help = command.createHelp();
+  const clean = text => String(text || '').replace(/\s+/g, ' ').trim();
+
+  const entry = { path: commandPath, subcommands: [], options: [], valueOptions: [], optionValues: [], argumentValues: [] };
+  entries.push(entry);
+
+  for (const option of help.visibleOptions(command)) {
+    const flags = [option.short, option.long].filter(Boolean);
+    flags.forEach(flag => entry.options.push([flag, clean(option.description)]));
+    if (option.required || option.optional) {
+      entry.valueOptions.push(...flags);
+      const values = valuesFor(commandPath, option.long, option.argChoices);
+      if (values.length > 0) entry.optionValues.push({ flags, values });
+    }
+  }
+
+  command.registeredArguments.forEach((argument, position) => {
+    const values = valuesFor(commandPath, argument.name(), argument.argChoices);
+    if (values.length > 0) entry.argumentValues.push({ position, variadic: argument.variadic, values });
+  });
+
+  for (const subcommand of help.visibleCommands(command)) {
+    for (const name of [subcommand.name(), ...subcommand.aliases()]) {
+      entry.subcommands.push([name, clean(subcommand.description())]);
+      describeCommands(subcommand, commandPath ? `${commandPath} ${name}` : name, entries);
+    }
+  }
+  return entries;
+}
+
+const shQuote = text => `'${String(text).replace(/'/g, "'\\''")}'`;
+const fishQuote = text => `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+// A line per value: literals as "value<TAB>", @kind tokens as is
+const valueLines = values => values.map(value => value.startsWith('@') ? value : `${value}\t`);
+
+/**
+ * Data functions of the bash and zsh scripts (both read the same `case` syntax)
+ */
+function shDataFunctions(entries) {
+  const printLines = (lines) => `printf '%s\\n' ${lines.map(shQuote).join(' ')}`;
+  const caseFunction = (name, comment, arms) => [
+    `# ${comment}`,
+    `_papr_${name}() {`,
+    '  case "$1" in',
+    ...arms.map(([patterns, lines]) => `    ${patterns.join(' | ')}) ${printLines(lines)} ;;`),
+    '  esac',
+    '}'
+  ].join('\n');
+  const withLines = (list, build) => entries.filter(entry => entry[list].length > 0).map(build);
+
+  return [
+    caseFunction('subcommands', '$1: command path. Prints "name<TAB>description" lines', withLines('subcommands', entry =>
+      [[shQuote(entry.path)], entry.subcommands.map(([name, description]) => `${name}\t${description}`)])),
+    caseFunction('options', '$1: command path. Prints "flag<TAB>description" lines', withLines('options', entry =>
+      [[shQuote(entry.path)], entry.options.map(([flag, description]) => `${flag}\t${description}`)])),
+    caseFunction('value_options', '$1: command path. Prints the flags that take a value', withLines('valueOptions', entry =>
+      [[shQuote(entry.path)], entry.valueOptions])),
+    caseFunction('option_values', '$1: "<command path>|<flag>". Prints values and @kind tokens', entries.flatMap(entry =>
+      entry.optionValues.map(({ flags, values }) => [flags.map(flag => shQuote(`${entry.path}|${flag}`)), valueLines(values)]))),
+    caseFunction('argument_values', '$1: "<command path>|<position>". Prints values and @kind tokens', entries.flatMap(entry =>
+      entry.argumentValues.map(({ position, variadic, values }) => [
+        [variadic ? `${shQuote(`${entry.path}|`)}*` : shQuote(`${entry.path}|${position}`)],
+        valueLines(values)
+      ])))
+  ].join('\n\n');
+}
+
+// Shared by bash and zsh: which command path the words before the cursor select, and the position
+// of the word being completed. Sets cmd_path, pos and value_of (the flag whose value is being completed).
+const SH_WALK = (first, current) => `  local cmd_path='' value_of='' word
+  local -i pos=0 i
+  for ((i = ${first}; i < ${current}; i++)); do
+    word="\${words_[i]}"
+    if [[ -n "$value_of" ]]; then
+      value_of=''
+    elif [[ "$word" == -* ]]; then
+      [[ "$word" != *=* ]] && _papr_has_line "$word" < <(_papr_value_options "$cmd_path") && value_of="$word"
+    elif ((pos == 0)) && _papr_has_line "$word" < <(_papr_subcommands "$cmd_path"); then
+      cmd_path="\${cmd_path:+$cmd_path }$word"
+    else
+      pos=$((pos + 1))
+    fi
+  done
+
+  if [[ -n "$value_of" ]]; then
+    _papr_complete_values < <(_papr_option_values "$cmd_path|$value_of")
+  elif [[ "$cur" == -* ]]; then
+    _papr_complete_values < <(_papr_options "$cmd_path")
+  elif ((pos == 0)) && [[ -n "$(_papr_subcommands "$cmd_path")" ]]; then
+    _papr_complete_values < <(_papr_subcommands "$cmd_path")
+  else
+    _papr_complete_values < <(_papr_argument_values "$cmd_path|$pos")
+  fi`;
+
+const SH_HAS_LINE = `# Succeeds if a line of stdin (up to a tab) is $1
+_papr_has_line() {
+  local name description
+  while IFS=$'\\t' read -r name description; do
+    [[ "$name" == "$1" ]] && return 0
+  done
+  return 1
+}`;
+
+function bashScript(entries) {
+  return `# papr bash completion, generated by \`papr completion bash\`
+# Install: papr completion bash > ~/.local/share/bash-completion/completions/papr
+
+${shDataFunctions(entries)}
+
+${SH_HAS_LINE}
+
+# Adds the stdin values matching $cur to COMPREPLY; @files, @dirs and @<kind> expand to paths and dynamic values
+_papr_complete_values() {
+  local value description match
+  while IFS=$'\\t' read -r value description; do
+    case "$value" in
+      '') ;;
+      @files | @dirs)
+        compopt -o filenames 2>/dev/null
+        while IFS= read -r match; do COMPREPLY+=("$match"); done < <(compgen "-\${value:1:1}" -- "$cur")
+        ;;
+      @*) _papr_complete_values < <("$papr" completion --values "\${value#@}" 2>/dev/null) ;;
+      *) [[ "$value" == "$cur"* ]] && COMPREPLY+=("$value") ;;
+    esac
+  done
+}
+
+_papr() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}" papr="\${COMP_WORDS[0]}"
+  local -a words_=("\${COMP_WORDS[@]}")
+  COMPREPLY=()
+${SH_WALK(1, 'COMP_CWORD')}
+}
+
+complete -F _papr papr
+`;
+}
+
+function zshScript(entries) {
+  return `#compdef papr
+# papr zsh completion, generated by \`papr completion zsh\`
+# Install: papr completion zsh > "\${fpath[1]}/_papr"
+
+${shDataFunctions(entries)}
+
+${SH_HAS_LINE}
+
+# Offers the stdin values; @files, @dirs and @<kind> expand to paths and dynamic values
+_papr_complete_values() {
+  local value description
+  local -a described
+  while IFS=$'\\t' read -r value description; do
+    case "$value" in
+      '') ;;
+      @files) _files ;;
+      @dirs) _directories ;;
+      @*) _papr_complete_values < <("$papr" completion --values "\${value#@}" 2>/dev/null) ;;
+      *) described+=("\${value//:/\\\\:}\${description:+:$description}") ;;
+    esac
+  done
+  (( \${#described} )) && _describe -t values value described
+}
+
+_papr() {
+  local cur="\${words[CURRENT]}" papr="\${words[1]}"
+  local -a words_=("\${(@)words}")
+${SH_WALK(2, 'CURRENT')}
+}
+
+if [[ "\${funcstack[1]}" == _papr ]]; then
+  _papr "$@"
+else
+  compdef _papr papr
+fi
+`;
+}
+
+function fishScript(entries) {
+  const switchFunction = (name, comment, arms) => [
+    `# ${comment}`,
+    `function __papr_${name}`,
+    '    switch "$argv[1]"',
+    ...arms.flatMap(([patterns, lines]) => [
+      `        case ${patterns.join(' ')}`,
+      `            printf '%s\\n' ${lines.map(fishQuote).join(' ')}`
+    ]),
+    '    end',
+    'end'
+  ].join('\n');
+  const withLines = (list, build) => entries.filter(entry => entry[list].length > 0).map(build);
+
+  const dataFunctions = [
+    switchFunction('subcommands', '$argv[1]: command path. Prints "name<TAB>description" lines', withLines('subcommands', entry =>
+      [[fishQuote(entry.path)], entry.subcommands.map(([name, description]) => `${name}\t${description}`)])),
+    switchFunction('options', '$argv[1]: command path. Prints "flag<TAB>description" lines', withLines('options', entry =>
+      [[fishQuote(entry.path)], entry.options.map(([flag, description]) => `${flag}\t${description}`)])),
+    switchFunction('value_options', '$argv[1]: command path. Prints the flags that take a value', withLines('valueOptions', entry =>
+      [[fishQuote(entry.path)], entry.valueOptions])),
+    switchFunction('option_values', '$argv[1]: "<command path>|<flag>". Prints values and @kind tokens', entries.flatMap(entry =>
+      entry.optionValues.map(({ flags, values }) => [flags.map(flag => fishQuote(`${entry.path}|${flag}`)), valueLines(values)]))),
+    switchFunction('argument_values', '$argv[1]: "<command path>|<position>". Prints values and @kind tokens', entries.flatMap(entry =>
+      entry.argumentValues.map(({ position, variadic, values }) => [
+        [fishQuote(variadic ? `${entry.path}|*` : `${entry.path}|${position}`)],
+        valueLines(values)
+      ])))
+  ].join('\n\n');
+
+  return `# papr fish completion, generated by \`papr completion fish\`
+# Install: papr completion fish > ~/.config/fish/completions/papr.fish
+
+${dataFunctions}
+
+function __papr_complete
+    set -l tokens (commandline -opc)
+    set -l papr $tokens[1]
+    set -e tokens[1]
+    set -l cur (commandline -ct)
+    set -l cmd_path ''
+    set -l pos 0
+    set -l value_of ''
+
+    for word in $tokens
+        if test -n "$value_of"
+            set value_of ''
+        else if string match -q -- '-*' $word
+            if not string match -q -- '*=*' $word; and contains -- $word (__papr_value_options $cmd_path)
+                set value_of $word
+            end
+        else if test $pos -eq 0; and contains -- $word (__papr_subcommands $cmd_path | string replace -r '\\t.*' '')
+            set cmd_path (string trim -- "$cmd_path $word")
+        else
+            set pos (math $pos + 1)
+        end
+    end
+
+    set -l values
+    if test -n "$value_of"
+        set values (__papr_option_values "$cmd_path|$value_of")
+    else if string match -q -- '-*' $cur
+        set values (__papr_options $cmd_path)
+    else if test $pos -eq 0; and test (count (__papr_subcommands $cmd_path)) -gt 0
+        set values (__papr_subcommands $cmd_path)
+    else
+        set values (__papr_argument_values "$cmd_path|$pos")
+    end
+
+    for value in $values
+        switch $value
+            case '@files'
+                __fish_complete_path $cur
+            case '@dirs'
+                __fish_complete_directories $cur
+            case '@*'
+                $papr completion --values (string sub -s 2 -- $value) 2>/dev/null
+            case '*'
+                printf '%s\\n' $value
+        end
+    end
+end
+
+complete -c papr -f -a '(__papr_complete)'
+`;
+}
+
+/**
+ * Generate the completion script for a shell
+ * @param {Command} program - Commander program from bin/papr
+ * @param {string} shell - bash, zsh or fish
+ * @returns {string} - Script
+ * @throws {Error} - For an unsupported shell
+ */
+function generateCompletion(program, shell) {
+  const entries = describeCommands(program);
+  if (shell === 'bash') return bashScript(entries);
+  if (shell === 'zsh') return zshScript(entries);
+  if (shell === 'fish') return fishScript(entries);
+  throw new Error(`Unsupported shell: ${shell}. Use ${SHELLS.join(', ')}`);
+}
+
+module.exports = {
+  generateCompletion,
+  printCompletionValues,
+  SHELLS
+};
@@ -0,0 +1,364 @@
+/**
+ * Config
+ * Layered tunables behind `papr config`: defaults, then ~/.papr/config.json, then the
+ * project's .papr/config.json, then PAPR_* environment variables. The project is the same one env
+ * files are read from (CLAUDE_PROJECT_DIR or the working directory).
+ * Loaded by the MCP server, session hook and code indexer at runtime, so it only uses Node built-ins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PAPR_DIR } = require('./credentials');
+const { getProjectDir } = require('./env-files');
+
+const USER_CONFIG_FILE = path.join(PAPR_DIR, 'config.json');
+const PROJECT_CONFIG_DIR = '.papr';
+
+// Every tunable, keyed by its dotted path. The env var is derived from the key:
+// sessionHook.maxMemories -> PAPR_SESSION_HOOK_MAX_MEMORIES
+const SCHEMA = {
+  'search.maxMemories': {
+    type: 'integer', min: 1, max: 100, default: 20,
+    description: 'Default max_memories for search_memory in the MCP server'
+  },
+  'search.maxNodes': {
+    type: 'integer', min: 0, max: 100, default: 15,
+    description: 'Default max_nodes (graph entities) per search'
+  },
+  'search.maxTokens': {
+    type: 'integer', min: 500, max: 200000, default: 8000,
+    description: 'Default token budget for a search_memory response (about 4 characters per token)'
+  },
+  'search.snippetChars': {
+    type: 'integer', min: 100, max: 50000, default: 1200,
+    description: 'Memory content longer than this is cut to a snippet around the match'
+  },
+  'search.minMemories': {
+    type: 'integer', min: 1, max: 100, default: 15,
+    description: 'Lower bound on max_memories used by the agent tools'
+  },
+  'sessionHook.maxMemories': {
+    type: 'integer', min: 1, max: 100, default: 20,
+    description: 'Memories fetched per session-start search'
+  },
+  'sessionHook.timeout': {
+    type: 'integer', min: 1000, max: 120000, default: 10000,
+    description: 'Session hook request timeout (ms)'
+  },
+  'sessionHook.maxRetries': {
+    type: 'integer', min: 0, max: 10, default: 1,
+    description: 'Session hook request retries'
+  },
+  'mcpServer.timeout': {
+    type: 'integer', min: 1000, max: 300000, default: 30000,
+    description: 'MCP server request timeout (ms)'
+  },
+  'mcpServer.maxRetries': {
+    type: 'integer', min: 0, max: 10, default: 2,
+    description: 'MCP server request retries'
+  },
+  'mcpServer.httpPort': {
+    type: 'integer', min: 1, max: 65535, default: 7823,
+    description: 'Port for papr mcp serve --http'
+  },
+  'tools.timeout': {
+    type: 'integer', min: 1000, max: 300000, default: 15000,
+    description: 'Agent tools request timeout (ms)'
+  },
+  'tools.maxRetries': {
+    type: 'integer', min: 0, max: 10, default: 2,
+    description: 'Agent tools request retries'
+  },
+  'indexer.timeout': {
+    type: 'integer', min: 1000, max: 600000, default: 30000,
+    description: 'Code indexer request timeout (ms); large graph uploads need more'
+  },
+  'indexer.maxRetries': {
+    type: 'integer', min: 0, max: 10, default: 3,
+    description: 'Code indexer request retries'
+  },
+  'indexer.ignorePatterns': {
+    type: 'regex[]',
+    default: [
+      'node_modules',
+      '\\.git',
+      'dist',
+      'build',
+      'target',
+      '\\.next',
+      '\\.vscode',
+      '\\.idea',
+      '__pycache__',
+      '\\.pytest_cache',
+      '\\.DS_Store',
+      '\\.env',
+      'package-lock\\.json',
+      'yarn\\.lock',
+      'pnpm-lock\\.yaml'
+    ],
+    description: 'Regular expressions for paths the code indexer skips'
+  }
+};
+
+let cachedConfig = null;
+
+/**
+ * Env var that overrides a key
+ * @param {string} key - Dotted config key
+ * @returns {string} - Environment variable name
+ */
+function envVarFor(key) {
+  return 'PAPR_' + key
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/\./g, '_')
+    .toUpperCase();
+}
+
+/**
+ * Get the config file for a layer
+ * @param {string} layer - 'user' or 'project'
+ * @param {string} projectDir - Project root (default: getProjectDir())
+ * @returns {string} - Config file path
+ */
+function getConfigFile(layer, projectDir = getProjectDir()) {
+  if (layer === 'user') return USER_CONFIG_FILE;
+  if (layer === 'project') return path.join(projectDir, PROJECT_CONFIG_DIR, 'config.json');
+  throw new Error(`Unknown config layer: ${layer}. Use user or project`);
+}
+
+/**
+ * Check a single value against the schema
+ * @param {string} key - Dotted config key
+ * @param {*} value - Value to check
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateValue(key, value) {
+  const spec = SCHEMA[key];
+  if (!spec) {
+    return `Unknown key: ${key}. Run: papr config list`;
+  }
+
+  if (spec.type === 'integer') {
+    if (!Number.isInteger(value)) {
+      return `${key} must be an integer`;
+    }
+    if (value < spec.min || value > spec.max) {
+      return `${key} must be between ${spec.min} and ${spec.max}`;
+    }
+    return null;
+  }
+
+  if (spec.type === 'regex[]') {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      return `${key} must be an array of strings`;
+    }
+    for (const pattern of value) {
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        return `${key} contains an invalid regular expression: ${pattern}`;
+      }
+    }
+    return null;
+  }
+
+  return null;
+}
+
+/**
+ * Parse a command-line or env string into the key's type
+ * @param {string} key - Dotted config key
+ * @param {string} raw - Raw string value
+ * @returns {*} - Parsed value (not yet validated)
+ */
+function parseValue(key, raw) {
+  const spec = SCHEMA[key];
+  if (!spec) return raw;
+
+  if (spec.type === 'integer') {
+    return /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+  }
+  if (spec.type === 'regex[]') {
+    // Accept a JSON array or a comma-separated list
+    if (raw.trim().startsWith('[')) {
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        return raw;
+      }
+    }
+    return raw.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return raw;
+}
+
+/**
+ * Flatten a nested config object into dotted keys
+ * @param {Object} object - Nested config
+ * @param {string} prefix - Key prefix
+ * @returns {Object} - { 'a.b': value }
+ */
+function flatten(object, prefix = '') {
+  const flat = {};
+  for (const [name, value] of Object.entries(object || {})) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flatten(value, key));
+    } else {
+      flat[key] = value;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Read one config file
+ * @param {string} file - Config file path
+ * @returns {Object} - { values, errors } with dotted keys; a missing file is empty
+ */
+function readConfigFile(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return { values: {}, errors: [] };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    return { values: {}, errors: [`${file}: invalid JSON (${error.message})`] };
+  }
+
+  const values = {};
+  const errors = [];
+  for (const [key, value] of Object.entries(flatten(data))) {
+    const problem = validateValue(key, value);
+    if (problem) {
+      errors.push(`${file}: ${problem}`);
+    } else {
+      values[key] = value;
+    }
+  }
+  return { values, errors };
+}
+
+/**
+ * Resolve every key through all layers. Invalid values are skipped and reported, never fatal,
+ * so a typo in a config file cannot break the session hook or MCP server.
+ * @param {Object} options - Options
+ * @param {string} options.projectDir - Project root (default: getProjectDir())
+ * @returns {Object} - { values, sources, errors }
+ */
+function loadConfig({ projectDir = getProjectDir() } = {}) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    values[key] = spec.default;
+    sources[key] = 'default';
+  }
+
+  for (const layer of ['user', 'project']) {
+    const file = getConfigFile(layer, projectDir);
+    const result = readConfigFile(file);
+    errors.push(...result.errors);
+    for (const [key, value] of Object.entries(result.values)) {
+      values[key] = value;
+      sources[key] = file;
+    }
+  }
+
+  for (const key of Object.keys(SCHEMA)) {
+    const envVar = envVarFor(key);
+    if (process.env[envVar] === undefined || process.env[envVar] === '') continue;
+
+    const value = parseValue(key, process.env[envVar]);
+    const problem = validateValue(key, value);
+    if (problem) {
+      errors.push(`${envVar}: ${problem}`);
+    } else {
+      values[key] = value;
+      sources[key] = `env:${envVar}`;
+    }
+  }
+
+  return { values, sources, errors };
+}
+
+/**
+ * Get the resolved config for this process (loaded once)
+ * @returns {Object} - { values, sources, errors }
+ */
+function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+}
+
+/**
+ * Get a single resolved value
+ * @param {string} key - Dotted config key
+ * @returns {*} - Value
+ */
+function getConfigValue(key) {
+  if (!SCHEMA[key]) {
+    throw new Error(`Unknown key: ${key}. Run: papr config list`);
+  }
+  return getConfig().values[key];
+}
+
+/**
+ * Set a value in a config file, keeping the file's other keys
+ * @param {string} key - Dotted config key
+ * @param {*} value - Already parsed value
+ * @param {Object} options - Options
+ * @param {string} options.layer - 'user' (default) or 'project'
+ * @param {string} options.projectDir - Project root (default: getProjectDir())
+ * @returns {string} - Config file written
+ */
+function setConfigValue(key, value, { layer = 'user', projectDir = getProjectDir() } = {}) {
+  const problem = validateValue(key, value);
+  if (problem) {
+    throw new Error(problem);
+  }
+
+  const file = getConfigFile(layer, projectDir);
+  let data = {};
+  if (fs.existsSync(file)) {
+    // Never overwrite a file we could not parse
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  const parts = key.split('.');
+  let node = data;
+  for (const part of parts.slice(0, -1)) {
+    if (!node[part] || typeof node[part] !== 'object') {
+      node[part] = {};
+    }
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+  cachedConfig = null;
+  return file;
+}
+
+module.exports = {
+  loadConfig,
+  getConfig,
+  getConfigValue,
+  setConfigValue,
+  getConfigFile,
+  readConfigFile,
+  validateValue,
+  parseValue,
+  envVarFor,
+  SCHEMA,
+  USER_CONFIG_FILE
+};
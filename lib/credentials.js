@@ -0,0 +1,190 @@
+/**
+ * Credentials Store
+ * Keeps the PAPR API key in ~/.papr/credentials (mode 0600) instead of settings files, and the
+ * bearer token for the MCP server's HTTP mode in ~/.papr/mcp-token (mode 0600).
+ * Loaded by the MCP server, session hook and code indexer at runtime, so it only uses Node built-ins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { getEnvSource } = require('./env-files');
+
+const PAPR_DIR = path.join(os.homedir(), '.papr');
+const CREDENTIALS_FILE = path.join(PAPR_DIR, 'credentials');
+const MCP_TOKEN_FILE = path.join(PAPR_DIR, 'mcp-token');
+const DEFAULT_KEY_NAME = 'default';
+
+/**
+ * Load the credentials file
+ * @returns {Object} - { keys: { [name]: { apiKey, updatedAt } } }
+ */
+function loadCredentials() {
+  try {
+    const data = JSON.parse(fs.readFileSync(CREDENTIALS_FILE, 'utf8'));
+    return { keys: data.keys || {} };
+  } catch (error) {
+    // File doesn't exist or is invalid
+    return { keys: {} };
+  }
+}
+
+/**
+ * Write the credentials file with owner-only permissions
+ * @param {Object} credentials - Credentials object
+ */
+function saveCredentials(credentials) {
+  fs.mkdirSync(PAPR_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(CREDENTIALS_FILE, JSON.stringify(credentials, null, 2) + '\n', { mode: 0o600 });
+
+  // writeFileSync only applies mode on creation, so tighten an existing file too
+  fs.chmodSync(CREDENTIALS_FILE, 0o600);
+}
+
+/**
+ * Get a stored API key
+ * @param {string} name - Key name (default: 'default')
+ * @returns {string|null} - API key or null
+ */
+function getStoredApiKey(name = DEFAULT_KEY_NAME) {
+  return loadCredentials().keys[name]?.apiKey || null;
+}
+
+/**
+ * Store an API key, replacing any existing key with the same name
+ * @param {string} apiKey - API key
+ * @param {string} name - Key name (default: 'default')
+ * @returns {string} - Credentials file path
+ */
+function saveApiKey(apiKey, name = DEFAULT_KEY_NAME) {
+  const credentials = loadCredentials();
+  credentials.keys[name] = {
+    apiKey,
+    updatedAt: new Date().toISOString()
+  };
+  saveCredentials(credentials);
+  return CREDENTIALS_FILE;
+}
+
+/**
+ * Remove a stored API key. Deletes the file once no keys remain.
+ * @param {string} name - Key name (default: 'default')
+ * @returns {boolean} - True if a key was removed
+ */
+function removeApiKey(name = DEFAULT_KEY_NAME) {
+  const credentials = loadCredentials();
+  if (!credentials.keys[name]) {
+    return false;
+  }
+
+  delete credentials.keys[name];
+  if (Object.keys(credentials.keys).length === 0) {
+    fs.rmSync(CREDENTIALS_FILE, { force: true });
+  } else {
+    saveCredentials(credentials);
+  }
+  return true;
+}
+
+// 'env:NAME' for the process environment, '<file> (NAME)' for a variable loaded from an env file
+function envSourceLabel(key) {
+  const source = getEnvSource(key);
+  return source === 'environment' ? `env:${key}` : `${source} (${key})`;
+}
+
+/**
+ * Resolve the API key for this process.
+ * Priority: 1. explicit key (e.g. api_key tool argument), 2. PAPR_MEMORY_API_KEY env,
+ * 3. PAPR_API_KEY env, 4. ~/.papr/credentials. Env files count as env once loadEnvFiles() ran.
+ * @param {Object} options - Options
+ * @param {string} options.explicit - Key passed directly by the caller
+ * @param {string} options.name - Stored key name (default: 'default')
+ * @returns {Object} - { apiKey, source } (apiKey is null if none was found)
+ */
+function resolveApiKey({ explicit, name = DEFAULT_KEY_NAME } = {}) {
+  if (explicit) {
+    return { apiKey: explicit, source: 'argument' };
+  }
+  if (process.env.PAPR_MEMORY_API_KEY) {
+    return { apiKey: process.env.PAPR_MEMORY_API_KEY, source: envSourceLabel('PAPR_MEMORY_API_KEY') };
+  }
+  if (process.env.PAPR_API_KEY) {
+    return { apiKey: process.env.PAPR_API_KEY, source: envSourceLabel('PAPR_API_KEY') };
+  }
+
+  const stored = getStoredApiKey(name);
+  if (stored) {
+    return { apiKey: stored, source: CREDENTIALS_FILE };
+  }
+
+  return { apiKey: null, source: null };
+}
+
+/**
+ * Mask an API key for display, keeping only the last 4 characters
+ * @param {string} apiKey - API key
+ * @returns {string} - Masked key
+ */
+function maskApiKey(apiKey) {
+  if (!apiKey) return '';
+  return apiKey.length <= 4 ? '****' : `****${apiKey.slice(-4)}`;
+}
+
+/**
+ * Replace the MCP server's HTTP bearer token with a new random one
+ * @returns {string} - New token
+ */
+function rotateMcpToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  fs.mkdirSync(PAPR_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(MCP_TOKEN_FILE, token + '\n', { mode: 0o600 });
+  fs.chmodSync(MCP_TOKEN_FILE, 0o600);
+  return token;
+}
+
+/**
+ * Get the bearer token HTTP clients of the MCP server must send, creating it on first use.
+ * PAPR_MCP_TOKEN overrides the file, e.g. to share one token with a dev container.
+ * @returns {string} - Token
+ */
+function getMcpToken() {
+  if (process.env.PAPR_MCP_TOKEN) {
+    return process.env.PAPR_MCP_TOKEN;
+  }
+  try {
+    const token = fs.readFileSync(MCP_TOKEN_FILE, 'utf8').trim();
+    if (token) return token;
+  } catch (error) {
+    // Not created yet
+  }
+  return rotateMcpToken();
+}
+
+/**
+ * Check that the credentials file is readable by its owner only
+ * @returns {boolean|null} - True if 0600, false if wider, null if the file does not exist
+ */
+function hasSecurePermissions() {
+  try {
+    const mode = fs.statSync(CREDENTIALS_FILE).mode & 0o777;
+    // Windows does not implement POSIX permissions
+    return process.platform === 'win32' || (mode & 0o077) === 0;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  resolveApiKey,
+  getStoredApiKey,
+  saveApiKey,
+  removeApiKey,
+  maskApiKey,
+  hasSecurePermissions,
+  getMcpToken,
+  rotateMcpToken,
+  CREDENTIALS_FILE,
+  MCP_TOKEN_FILE,
+  PAPR_DIR
+};
@@ -0,0 +1,344 @@
+/**
+ * Doctor
+ * Diagnostic checks behind `papr doctor`.
+ * Each check returns { name, ok, details, fix } so failures always come with a next step.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { readSettings, detectScopes, getScopePaths, isPaprHookGroup } = require('./settings-manager');
+const { resolveConnection } = require('./profiles');
+const { loadConfig } = require('./config');
+const { getCurrentVersion, getCurrentStamp, getRuntimePaths, CURRENT_LINK } = require('./runtime');
+
+const CLI_VERSION = require('../package.json').version;
+
+const MIN_NODE_MAJOR = 16;
+const HANDSHAKE_TIMEOUT = 15000;
+const REACHABILITY_TIMEOUT = 5000;
+
+// Files the installer copies or points settings at
+const REQUIRED_TEMPLATES = [
+  'session-hook.js',
+  'papr-mcp-server.js',
+  'papr-memory-agent.md',
+  'commands'
+];
+
+function pass(name, details) {
+  return { name, ok: true, details, fix: null };
+}
+
+function fail(name, details, fix) {
+  return { name, ok: false, details, fix };
+}
+
+/**
+ * Expand ${VAR} references the way Claude does for .mcp.json entries
+ * @param {Object} env - Env map from a settings file
+ * @returns {Object} - Env map with references resolved against process.env
+ */
+function expandEnv(env = {}) {
+  const expanded = {};
+  for (const [key, value] of Object.entries(env)) {
+    expanded[key] = typeof value === 'string'
+      ? value.replace(/\$\{([A-Z0-9_]+)\}/gi, (match, name) => process.env[name] || '')
+      : String(value);
+  }
+  return expanded;
+}
+
+/**
+ * Check the running Node.js version
+ * @returns {Object} - Check result
+ */
+function checkNodeVersion() {
+  const major = parseInt(process.versions.node.split('.')[0], 10);
+  if (major >= MIN_NODE_MAJOR) {
+    return pass('Node.js version', `v${process.versions.node}`);
+  }
+  return fail(
+    'Node.js version',
+    `v${process.versions.node} is older than the required v${MIN_NODE_MAJOR}`,
+    `Install Node.js ${MIN_NODE_MAJOR} or newer (e.g. nvm install --lts), then reinstall: npm install -g @papr/cli`
+  );
+}
+
+/**
+ * Check that the resolved templates directory contains every runtime file
+ * @param {string} templatesPath - Resolved templates directory
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkTemplates(templatesPath) {
+  const missing = [];
+  for (const file of REQUIRED_TEMPLATES) {
+    if (!(await fs.pathExists(path.join(templatesPath, file)))) {
+      missing.push(file);
+    }
+  }
+
+  if (missing.length === 0) {
+    return pass('Templates', templatesPath);
+  }
+  return fail(
+    'Templates',
+    `Missing from ${templatesPath}: ${missing.join(', ')}`,
+    'Reinstall the CLI: npm install -g @papr/cli'
+  );
+}
+
+/**
+ * Check that ~/.papr/runtime/current exists, is complete and matches this CLI version
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkRuntime() {
+  const version = await getCurrentVersion();
+  const { sessionHookPath, mcpServerPath } = getRuntimePaths();
+
+  if (!version) {
+    return fail('Runtime', `${CURRENT_LINK} does not exist`, 'Run: papr update (settings from older versions point into the npm install)');
+  }
+  if (!(await fs.pathExists(sessionHookPath)) || !(await fs.pathExists(mcpServerPath))) {
+    return fail('Runtime', `v${version} in ${CURRENT_LINK} is incomplete`, 'Run: papr update');
+  }
+  if (version !== CLI_VERSION) {
+    return fail('Runtime', `v${version} is current, but the CLI is v${CLI_VERSION}`, 'Run: papr update');
+  }
+
+  // tree-sitter is a native module: after a Node upgrade the copy no longer loads and index_codebase fails
+  const stamp = await getCurrentStamp();
+  const treeSitter = path.join(CURRENT_LINK, 'node_modules', 'tree-sitter');
+  if (await fs.pathExists(treeSitter)) {
+    try {
+      require(treeSitter);
+    } catch (error) {
+      const builtFor = stamp?.abi && stamp.abi !== process.versions.modules ? ` (copied under Node ABI ${stamp.abi}, this Node is ${process.versions.modules})` : '';
+      return fail(
+        'Runtime',
+        `Native modules in v${version} do not load with Node v${process.versions.node}${builtFor}: ${error.message.split('\n')[0]}`,
+        'Reinstall the CLI with this Node (npm install -g @papr/cli), then run: papr update'
+      );
+    }
+  }
+  return pass('Runtime', `v${version} (${CURRENT_LINK})`);
+}
+
+/**
+ * Check that every settings file PAPR uses is valid and that its paths exist
+ * @returns {Promise<Object>} - Check result, plus the MCP server entry of the active scope
+ */
+async function checkSettings() {
+  const { scopes, active } = await detectScopes();
+
+  const broken = scopes.filter(s => s.error);
+  if (broken.length > 0) {
+    return fail(
+      'Settings',
+      broken.map(s => s.error).join('; '),
+      'Fix the JSON syntax by hand, or roll back with: papr restore --list'
+    );
+  }
+
+  if (!active) {
+    return fail('Settings', 'PAPR is not configured in any scope', 'Run: papr init');
+  }
+
+  const paths = getScopePaths(active);
+  const settings = await readSettings(paths.settingsFile);
+  const mcpConfig = paths.mcpFile ? await readSettings(paths.mcpFile) : {};
+  const mcpServer = mcpConfig.mcpServers?.['papr-memory'] || settings.mcpServers?.['papr-memory'] || null;
+
+  // Paths written into settings go stale when Node or the CLI is reinstalled elsewhere
+  const missing = [];
+  const hookGroup = (settings.hooks?.SessionStart || []).find(isPaprHookGroup);
+  if (hookGroup) {
+    for (const hook of hookGroup.hooks) {
+      const script = (hook.command || '').split(/\s+/).find(part => part.endsWith('session-hook.js'));
+      if (script && !(await fs.pathExists(script))) {
+        missing.push(script);
+      }
+    }
+  }
+  // Entries launched through papr mcp serve (project scope) hold no path
+  const serverScript = mcpServer?.command === 'node' ? mcpServer.args?.[0] : null;
+  if (serverScript && !(await fs.pathExists(serverScript))) {
+    missing.push(serverScript);
+  }
+
+  if (missing.length > 0) {
+    return {
+      ...fail(
+        'Settings',
+        `${paths.settingsFile} points at files that no longer exist: ${missing.join(', ')}`,
+        `Re-run: papr init --scope ${active}`
+      ),
+      mcpServer
+    };
+  }
+
+  return { ...pass('Settings', `${paths.settingsFile} (${active} scope)`), mcpServer };
+}
+
+/**
+ * Check that config files and PAPR_* overrides pass schema validation
+ * @returns {Object} - Check result
+ */
+function checkConfig() {
+  const { errors } = loadConfig();
+  if (errors.length === 0) {
+    return pass('Config', 'All config layers are valid');
+  }
+  return fail(
+    'Config',
+    `Ignoring invalid values: ${errors.join('; ')}`,
+    'Fix them with: papr config edit (or papr config edit --project)'
+  );
+}
+
+/**
+ * Check that an API key is available to the MCP server
+ * @param {Object|null} mcpServer - papr-memory entry from settings
+ * @returns {Object} - Check result
+ */
+function checkApiKey(mcpServer) {
+  const env = expandEnv(mcpServer?.env);
+  const explicit = env.PAPR_MEMORY_API_KEY || env.PAPR_API_KEY;
+  const { apiKey, apiKeySource: source } = resolveConnection({ apiKey: explicit });
+
+  if (apiKey) {
+    return pass('API key', `Available to the MCP server (${explicit ? 'settings env' : source})`);
+  }
+  return fail(
+    'API key',
+    'No API key in ~/.papr/credentials or the environment',
+    'Get a key from dashboard.papr.ai, then run: papr auth login'
+  );
+}
+
+/**
+ * Start the MCP server over stdio, complete the initialize handshake and list its tools
+ * @param {string} mcpServerPath - Path to papr-mcp-server.js
+ * @param {Object} env - Extra env for the server process
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkMcpHandshake(mcpServerPath, env = {}) {
+  const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+  const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+
+  const transport = new StdioClientTransport({
+    command: process.execPath,
+    args: [mcpServerPath],
+    env: { ...process.env, ...expandEnv(env) },
+    stderr: 'pipe'
+  });
+
+  // Keep the tail of stderr so a crash on startup can be shown to the user
+  let stderr = '';
+  if (transport.stderr) {
+    transport.stderr.on('data', chunk => {
+      stderr = (stderr + chunk.toString()).slice(-2000);
+    });
+  }
+
+  const client = new Client({ name: 'papr-doctor', version: '1.0.0' });
+  let timer;
+
+  try {
+    const tools = await Promise.race([
+      (async () => {
+        await client.connect(transport);
+        const result = await client.listTools();
+        return result.tools || [];
+      })(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${HANDSHAKE_TIMEOUT / 1000}s`)), HANDSHAKE_TIMEOUT);
+      })
+    ]);
+
+    const serverInfo = client.getServerVersion();
+    return pass(
+      'MCP handshake',
+      `${serverInfo?.name || 'server'} ${serverInfo?.version || ''} answered initialize and listed ${tools.length} tools`.replace(/\s+/g, ' ')
+    );
+  } catch (error) {
+    const lastLine = stderr.trim().split('\n').filter(Boolean).pop();
+    return fail(
+      'MCP handshake',
+      `${error.message}${lastLine ? ` (server stderr: ${lastLine})` : ''}`,
+      `Run the server by hand to see the full error: node ${mcpServerPath}. If a module is missing, reinstall: npm install -g @papr/cli`
+    );
+  } finally {
+    clearTimeout(timer);
+    await client.close().catch(() => {});
+  }
+}
+
+/**
+ * Check that the memory server URL answers HTTP requests
+ * @param {string} serverUrl - Memory server base URL
+ * @returns {Promise<Object>} - Check result
+ */
+async function checkServerReachable(serverUrl) {
+  const fetch = require('node-fetch');
+
+  try {
+    // Any HTTP response, even 401/404, means the host is reachable
+    const response = await fetch(serverUrl, { method: 'GET', timeout: REACHABILITY_TIMEOUT });
+    return pass('Memory server', `${serverUrl} (HTTP ${response.status})`);
+  } catch (error) {
+    return fail(
+      'Memory server',
+      `${serverUrl} is unreachable: ${error.message}`,
+      'Check your network or proxy settings, and that NEXT_PUBLIC_MEMORY_SERVER_URL is correct'
+    );
+  }
+}
+
+/**
+ * Run every check in order
+ * @param {Object} options - Options
+ * @param {string} options.templatesPath - Resolved templates directory
+ * @param {Function} options.onCheck - Called with each result as soon as it is available
+ * @returns {Promise<Array<Object>>} - Check results
+ */
+async function runChecks({ templatesPath, onCheck = () => {} }) {
+  const results = [];
+  const record = (result) => {
+    const { mcpServer, ...check } = result;
+    results.push(check);
+    onCheck(check);
+    return result;
+  };
+
+  record(checkNodeVersion());
+  record(await checkTemplates(templatesPath));
+  record(await checkRuntime());
+  const settings = record(await checkSettings());
+  record(checkConfig());
+  record(checkApiKey(settings.mcpServer));
+
+  // Handshake with the server settings actually point at, falling back to the bundled one
+  const configuredScript = settings.mcpServer?.command === 'node' ? settings.mcpServer.args?.[0] : null;
+  const mcpServerPath = configuredScript && await fs.pathExists(configuredScript)
+    ? configuredScript
+    : path.join(templatesPath, 'papr-mcp-server.js');
+  record(await checkMcpHandshake(mcpServerPath, settings.mcpServer?.env));
+
+  const serverUrl = expandEnv(settings.mcpServer?.env).NEXT_PUBLIC_MEMORY_SERVER_URL ||
+    resolveConnection().serverUrl;
+  record(await checkServerReachable(serverUrl));
+
+  return results;
+}
+
+module.exports = {
+  runChecks,
+  checkNodeVersion,
+  checkTemplates,
+  checkRuntime,
+  checkSettings,
+  checkConfig,
+  checkApiKey,
+  checkMcpHandshake,
+  checkServerReachable
+};
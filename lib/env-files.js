@@ -0,0 +1,231 @@
+/**
+ * Env Files
+ * Loads PAPR variables from env files, so the MCP server, session hook, code indexer and CLI all see
+ * the same values without manual exports. For each variable the first of these that sets it wins:
+ *   1. the process environment
+ *   2. .papr.env in the project
+ *   3. .env in the project
+ *   4. ~/.papr/.env
+ * The project is CLAUDE_PROJECT_DIR (set by Claude for hooks and MCP servers) or the working directory.
+ * Only PAPR_* variables and NEXT_PUBLIC_MEMORY_SERVER_URL are read, so other secrets in a project's
+ * .env never reach Claude. A project file may set NEXT_PUBLIC_MEMORY_SERVER_URL and PAPR_PROFILE only
+ * when it also supplies the API key in use: a cloned repository must not be able to point the key
+ * from the environment or ~/.papr at a server it chose.
+ * Loaded by runtime scripts, so it only uses Node built-ins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const USER_ENV_FILE = path.join(os.homedir(), '.papr', '.env');
+const PROJECT_ENV_FILES = ['.papr.env', '.env'];
+
+// Connection variables that `papr start --profile` clears so the profile applies
+const CONNECTION_KEYS = ['PAPR_MEMORY_API_KEY', 'PAPR_API_KEY', 'NEXT_PUBLIC_MEMORY_SERVER_URL', 'PAPR_WORKSPACE_ID'];
+
+// API key variables, in the order credentials.resolveApiKey checks them
+const API_KEY_VARIABLES = ['PAPR_MEMORY_API_KEY', 'PAPR_API_KEY'];
+
+// Variables a project env file may only set along with the API key (they decide where the key is sent)
+const KEY_BOUND_KEYS = ['NEXT_PUBLIC_MEMORY_SERVER_URL', 'PAPR_PROFILE'];
+
+// Variables this process took from a file: name -> { file, value }
+const loaded = new Map();
+
+function isPaprKey(key) {
+  return key.startsWith('PAPR_') || key === 'NEXT_PUBLIC_MEMORY_SERVER_URL';
+}
+
+/**
+ * Parse dotenv syntax: KEY=value lines, optional `export`, # comments, single or double quotes
+ * @param {string} text - File content
+ * @returns {Object} - { [key]: value }
+ */
+function parseEnvFile(text) {
+  const values = {};
+  for (const rawLine of text.split(/\r?\n/)) {
+    const match = rawLine.trim().match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+
+    const raw = match[2];
+    const doubleQuoted = raw.match(/^"((?:\\.|[^"\\])*)"/);
+    const singleQuoted = raw.match(/^'([^']*)'/);
+    if (doubleQuoted) {
+      values[match[1]] = doubleQuoted[1].replace(/\\(.)/g, (escape, char) => (char === 'n' ? '\n' : char));
+    } else if (singleQuoted) {
+      values[match[1]] = singleQuoted[1];
+    } else {
+      values[match[1]] = raw.replace(/\s+#.*$/, '').trim();
+    }
+  }
+  return values;
+}
+
+/**
+ * The project directory: where project env files (and project config, see config.js) are read from
+ * @returns {string}
+ */
+function getProjectDir() {
+  return process.env.CLAUDE_PROJECT_DIR || process.cwd();
+}
+
+/**
+ * Env files in precedence order (highest first)
+ * @param {string} projectDir - Project root (default: getProjectDir())
+ * @returns {Array<string>} - File paths
+ */
+function getEnvFiles(projectDir = getProjectDir()) {
+  return [...PROJECT_ENV_FILES.map(name => path.join(path.resolve(projectDir), name)), USER_ENV_FILE];
+}
+
+// A profile picked in the environment (papr start --profile) beats connection values from files,
+// the same way it beats them in the environment
+function isProfilePinned() {
+  return Boolean(process.env.PAPR_PROFILE) && !loaded.has('PAPR_PROFILE');
+}
+
+/**
+ * Where the API key that will be used comes from, with the files' values applied
+ * @param {Array<Object>} entries - Parsed env files in precedence order
+ * @returns {string|null} - Env file path, 'environment', or null (credentials file or no key)
+ */
+function getApiKeySource(entries) {
+  for (const key of API_KEY_VARIABLES) {
+    if (process.env[key] !== undefined) {
+      if (process.env[key]) return getEnvSource(key);
+      continue;
+    }
+    if (isProfilePinned()) continue;
+    const entry = entries.find(candidate => candidate.values?.[key]);
+    if (entry) return entry.file;
+  }
+  return null;
+}
+
+/**
+ * Read the env files without changing process.env
+ * @param {Object} options - Options
+ * @param {string} options.projectDir - Project root (default: getProjectDir())
+ * @returns {Array<Object>} - [{ file, exists, keys, ignored, error, values }] in precedence order; keys are the PAPR
+ *   variables in the file, ignored the ones a project file may not set here, values everything it parsed
+ */
+function readEnvFiles({ projectDir = getProjectDir() } = {}) {
+  const entries = getEnvFiles(projectDir).map(file => {
+    const entry = { file, exists: false, keys: [], ignored: [], error: null };
+    try {
+      entry.values = parseEnvFile(fs.readFileSync(file, 'utf8'));
+      entry.exists = true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') entry.error = error.message;
+    }
+    return entry;
+  });
+
+  const keySource = getApiKeySource(entries);
+  const projectKey = keySource !== null && keySource !== 'environment' && keySource !== USER_ENV_FILE;
+  for (const entry of entries.filter(candidate => candidate.exists)) {
+    for (const key of Object.keys(entry.values)) {
+      if (!isPaprKey(key)) continue;
+      if (entry.file !== USER_ENV_FILE && !projectKey && KEY_BOUND_KEYS.includes(key)) {
+        entry.ignored.push(key);
+      } else {
+        entry.keys.push(key);
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * The variables the env files would set: unset ones, first file wins
+ * @param {Array<Object>} entries - readEnvFiles output
+ * @returns {Map<string, Object>} - name -> { file, value }
+ */
+function pendingValues(entries) {
+  const profilePinned = isProfilePinned();
+
+  const pending = new Map();
+  for (const entry of entries) {
+    for (const key of entry.keys) {
+      if (pending.has(key) || process.env[key] !== undefined) continue;
+      if (profilePinned && CONNECTION_KEYS.includes(key)) continue;
+      pending.set(key, { file: entry.file, value: entry.values[key] });
+    }
+  }
+  return pending;
+}
+
+// Entries as reported to callers: the values stay private
+function describeEntries(entries) {
+  return entries.map(({ values, ...entry }) => entry);
+}
+
+/**
+ * Load the env files into process.env. Variables that are already set are never overridden.
+ * Safe to call more than once.
+ * @param {Object} options - Options
+ * @param {string} options.projectDir - Project root (default: getProjectDir())
+ * @returns {Array<Object>} - [{ file, exists, keys, ignored, error }], as for readEnvFiles without values
+ */
+function loadEnvFiles({ projectDir = getProjectDir() } = {}) {
+  const entries = readEnvFiles({ projectDir });
+  for (const [key, { file, value }] of pendingValues(entries)) {
+    process.env[key] = value;
+    loaded.set(key, { file, value });
+  }
+  return describeEntries(entries);
+}
+
+/**
+ * Describe the env files of a project without loading them
+ * @param {Object} options - Options
+ * @param {string} options.projectDir - Project root (default: getProjectDir())
+ * @returns {Object} - { files: readEnvFiles output without values, variables: [{ key, source }] } where
+ *   variables are the PAPR variables set now plus those the project's files would add
+ */
+function inspectEnvFiles({ projectDir = getProjectDir() } = {}) {
+  const entries = readEnvFiles({ projectDir });
+  const variables = listPaprEnv();
+  for (const [key, { file }] of pendingValues(entries)) {
+    variables.push({ key, source: file });
+  }
+  return {
+    files: describeEntries(entries),
+    variables: variables.sort((a, b) => a.key.localeCompare(b.key))
+  };
+}
+
+/**
+ * Where the current value of a variable came from
+ * @param {string} key - Variable name
+ * @returns {string|null} - Env file path, 'environment', or null when unset
+ */
+function getEnvSource(key) {
+  if (process.env[key] === undefined) return null;
+  const entry = loaded.get(key);
+  // Changed since it was loaded (e.g. by the api_key tool argument): no longer the file's value
+  return entry && entry.value === process.env[key] ? entry.file : 'environment';
+}
+
+/**
+ * Every PAPR variable that is set, with where it came from (values are not included)
+ * @returns {Array<Object>} - [{ key, source }]
+ */
+function listPaprEnv() {
+  return Object.keys(process.env)
+    .filter(isPaprKey)
+    .sort()
+    .map(key => ({ key, source: getEnvSource(key) }));
+}
+
+module.exports = {
+  getProjectDir,
+  parseEnvFile,
+  getEnvFiles,
+  loadEnvFiles,
+  inspectEnvFiles,
+  getEnvSource,
+  listPaprEnv,
+  USER_ENV_FILE
+};
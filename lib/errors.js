@@ -0,0 +1,54 @@
+/**
+ * CLI Errors and Exit Codes
+ * Exit codes are part of the CLI contract: provisioning scripts branch on them, so never renumber.
+ */
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  GENERAL: 1,
+  USAGE: 2,
+  MISSING_API_KEY: 3,
+  CLAUDE_NOT_FOUND: 4,
+  INSTALL_FAILED: 5,
+  SETTINGS_INVALID: 6,
+  TEMPLATES_MISSING: 7,
+  AUTH_FAILED: 8,
+  SDK_NOT_FOUND: 9,
+  NOT_CONFIGURED: 10,
+  MCP_NOT_REGISTERED: 11
+};
+
+class CliError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {number} exitCode - One of EXIT_CODES
+   */
+  constructor(message, exitCode = EXIT_CODES.GENERAL) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+    // Name of the exit code (e.g. 'MISSING_API_KEY'), for callers of the programmatic API
+    this.code = Object.keys(EXIT_CODES).find(key => EXIT_CODES[key] === exitCode) || 'GENERAL';
+  }
+}
+
+/**
+ * Map any error to the exit code the CLI should use
+ * @param {Error} error - Thrown error
+ * @returns {number} - Exit code
+ */
+function getExitCode(error) {
+  if (error && typeof error.exitCode === 'number') {
+    return error.exitCode;
+  }
+  if (error && error.name === 'SettingsParseError') {
+    return EXIT_CODES.SETTINGS_INVALID;
+  }
+  return EXIT_CODES.GENERAL;
+}
+
+module.exports = {
+  EXIT_CODES,
+  CliError,
+  getExitCode
+};
@@ -1,607 +1,1928 @@
 const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
-const { spawn, exec } = require('child_process');
+const { spawn } = require('child_process');
 const chalk = require('chalk');
 const ora = require('ora');
 const inquirer = require('inquirer');
 const { isHolidaySeason, getHolidayLogo, getRegularLogo, playSnowfallAnimation } = require('./holiday-theme');
 const { isRamadanSeason, getRamadanLogo, playStarryNightAnimation } = require('./ramadan-theme');
+const { CliError, EXIT_CODES, getExitCode } = require('./errors');
+const {
+  saveApiKey,
+  removeApiKey,
+  getStoredApiKey,
+  maskApiKey,
+  hasSecurePermissions,
+  getMcpToken,
+  rotateMcpToken,
+  CREDENTIALS_FILE,
+  MCP_TOKEN_FILE
+} = require('./credentials');
+const {
+  loadProfiles,
+  addProfile,
+  removeProfile,
+  useProfile,
+  getActiveProfile,
+  resolveConnection
+} = require('./profiles');
+const {
+  loadConfig,
+  getConfigValue,
+  setConfigValue,
+  getConfigFile,
+  readConfigFile,
+  parseValue,
+  envVarFor,
+  SCHEMA
+} = require('./config');
+const {
+  MAX_SEARCH_MEMORIES,
+  createMemoryClient,
+  buildSearchParams,
+  buildAddParams,
+  buildMemoryMetadata,
+  buildUpdateParams,
+  summarizeSearchResult
+} = require('./memory-client');
+const { cacheMemories, uncacheMemory, recordMemoryChange, loadPinnedMemories, pinMemory, unpinMemory } = require('./memory-cache');
+const { generateCompletion } = require('./completion');
+const { PaprCli, collectStatus, getInstallArtifacts } = require('./papr-cli');
+const {
+  toExportRecord,
+  serializeRecords,
+  parseRecords,
+  detectFormat,
+  loadReport,
+  importRecords
+} = require('./memory-transfer');
+const {
+  loadManifest,
+  getInstallKey,
+  recordInstall,
+  forgetInstall,
+  recordFiles,
+  updateDisabledAgents,
+  planFiles,
+  planUpdate,
+  applySettingsEntries,
+  diffLines
+} = require('./install-manifest');
+const {
+  listAgentTemplates,
+  addAgentSource,
+  findAgentSource,
+  removeAgentSource,
+  getAgentFile,
+  createAgentFile,
+  DISABLED_SUFFIX
+} = require('./agents');
+const {
+  CLIENTS,
+  getClient,
+  getClientConfigFile,
+  unregisterClient,
+  detectClients
+} = require('./clients');
+const {
+  readSettings,
+  writeSettings,
+  removePaprSettings,
+  listBackups,
+  restoreBackup,
+  getScopePaths,
+  detectScopes,
+  SETTINGS_FILE
+} = require('./settings-manager');
+const {
+  installRuntime,
+  getCurrentVersion,
+  listRuntimes,
+  pruneRuntimes,
+  CURRENT_LINK
+} = require('./runtime');
+
+// Bundled templates: agents and commands are copied from here, runtime scripts via ~/.papr/runtime
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const CLI_VERSION = require('../package.json').version;
 
-const CLAUDE_DIR = path.join(os.homedir(), '.claude');
-const SETTINGS_FILE = path.join(CLAUDE_DIR, 'settings.json');
-const HOOKS_DIR = path.join(__dirname, '..', 'templates');
+/**
+ * Prompt function for PaprCli in the terminal: the spinner pauses while inquirer asks
+ * @param {Object} spinner - ora spinner
+ * @param {Array<Object>} questions - inquirer questions
+ * @returns {Promise<Object>} - Answers
+ */
+async function promptWithSpinner(spinner, questions) {
+  spinner.stop();
+  if (questions.some(question => question.name === 'apiKey')) {
+    console.log(chalk.blue('📋 Configuration setup:'));
+  }
+  const answers = await inquirer.prompt(questions);
+  spinner.start();
+  return answers;
+}
+
+async function initPapr(options = {}) {
+  // --json keeps stdout clean for the summary; --yes and non-TTY stdin never prompt
+  const json = Boolean(options.json);
+  const interactive = !options.yes && Boolean(process.stdin.isTTY);
+  const spinner = ora({ text: 'Setting up PAPR Memory-Enhanced Claude CLI', isSilent: json }).start();
+
+  const cli = new PaprCli({ prompt: interactive ? (questions) => promptWithSpinner(spinner, questions) : null });
+  cli.on('progress', ({ message }) => {
+    spinner.text = message;
+  });
+
+  let summary;
+  try {
+    summary = await cli.init(options);
+  } catch (error) {
+    spinner.fail(chalk.red(`❌ Initialization failed: ${error.message}`));
+    if (json) {
+      console.log(JSON.stringify({ ...error.summary, error: error.message, exitCode: error.exitCode }, null, 2));
+    }
+    process.exit(error.exitCode);
+  }
 
-// Cache for resolved templates path (avoids repeated npm lookups)
-let _resolvedTemplatesPath = null;
+  if (summary.client !== 'claude') {
+    const client = getClient(summary.client);
+    spinner.succeed(chalk.green(`✅ PAPR MCP server registered with ${client.label}! (${summary.scope} scope)`));
+    if (json) {
+      console.log(JSON.stringify(summary, null, 2));
+    } else {
+      console.log(chalk.gray(`Wrote ${getClientConfigFile(client.name, summary.scope)}`));
+      console.log(chalk.yellow(`Restart ${client.label} (or reload its MCP servers) to pick up papr-memory.`));
+    }
+    return summary;
+  }
+
+  spinner.succeed(chalk.green(`✅ PAPR CLI initialized successfully! (${summary.scope} scope)`));
+
+  if (json) {
+    console.log(JSON.stringify(summary, null, 2));
+    return summary;
+  }
+
+  summary.warnings.forEach(warning => console.log(chalk.yellow(`⚠️ ${warning}`)));
+
+  if (summary.scope === 'project') {
+    const target = getScopePaths('project');
+    console.log(chalk.gray(`Wrote ${path.relative(process.cwd(), target.settingsFile)}, ${path.relative(process.cwd(), target.mcpFile)}, .claude/agents and .claude/commands - commit them to share the setup.`));
+    console.log(chalk.yellow('The API key is not stored in the project. Each developer runs papr auth login (or exports PAPR_MEMORY_API_KEY).'));
+  }
+
+  if (!interactive) {
+    console.log(chalk.gray(`Wrote ${summary.written.length} files${summary.skipped.length > 0 ? `, skipped: ${summary.skipped.join(', ')}` : ''}`));
+    return summary;
+  }
+
+  // Display seasonal or regular logo
+  console.log('');
+  if (isRamadanSeason()) {
+    const logo = getRamadanLogo();
+    logo.forEach(line => console.log(line));
+  } else if (isHolidaySeason()) {
+    const logo = getHolidayLogo();
+    logo.forEach(line => console.log(line));
+  } else {
+    const logo = getRegularLogo();
+    logo.forEach(line => console.log(line));
+    console.log(chalk.hex('#00FEFE')('        Memory-Enhanced Claude CLI'));
+  }
+  console.log(chalk.green('     🎉 Setup Complete! 🎉'));
+  console.log('\\n' + chalk.yellow('Ready to launch:'));
+  console.log(chalk.cyan('  papr start') + ' - Launch Claude with memory context');
+  console.log(chalk.cyan('  papr status') + ' - Check configuration');
+  console.log('\\n' + chalk.gray('📖 Docs: https://platform.papr.ai/docs'));
+
+  return summary;
+}
 
 /**
- * Resolve the correct templates directory path.
- * Handles both global npm installs and local development checkouts.
+ * Launch Claude with PAPR memory
+ * @param {Object} options - papr start options (memory, profile, context)
+ * @param {string[]} claudeArgs - Arguments forwarded to claude unchanged (e.g. --resume, -p "...")
  */
-async function resolveTemplatesPath() {
-  if (_resolvedTemplatesPath) return _resolvedTemplatesPath;
+async function startClaude(options = {}, claudeArgs = []) {
+  const cli = new PaprCli();
 
+  // Validate the profile before showing anything
   try {
-    // Check if globally installed
-    const { stdout } = await new Promise((resolve, reject) => {
-      exec('npm list -g @papr/cli --depth=0 2>/dev/null', (error, stdout) => {
-        if (error) reject(error);
-        else resolve({ stdout });
-      });
+    cli.getStartEnv(options);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(error.exitCode);
+  }
+
+  // In print mode stdout is claude's answer, so keep the banner out of it
+  const printMode = claudeArgs.some(arg => arg === '-p' || arg === '--print');
+
+  // Display seasonal or regular logo with animation
+  if (printMode) {
+    // No banner
+  } else if (isRamadanSeason()) {
+    await playStarryNightAnimation();
+    console.log('');
+    const logo = getRamadanLogo();
+    logo.forEach(line => console.log(line));
+  } else if (isHolidaySeason()) {
+    await playSnowfallAnimation();
+    console.log('');
+    const logo = getHolidayLogo();
+    logo.forEach(line => console.log(line));
+  } else {
+    console.log('');
+    const logo = getRegularLogo();
+    logo.forEach(line => console.log(line));
+    console.log(chalk.hex('#00FEFE')('        Memory-Enhanced Claude CLI'));
+  }
+  if (!printMode) {
+    console.log('');
+    console.log(chalk.gray('💡 If prompted about file trust, select "Yes, proceed"'));
+    console.log('');
+  }
+
+  if (options.profile && !printMode) {
+    console.log(chalk.gray(`Using profile: ${options.profile}`));
+  }
+
+  // Handle process termination
+  cli.on('spawn', (claude) => {
+    process.on('SIGINT', () => {
+      claude.kill('SIGINT');
+    });
+
+    process.on('SIGTERM', () => {
+      claude.kill('SIGTERM');
     });
+  });
+
+  try {
+    const { exitCode } = await cli.start(options, claudeArgs);
+    if (exitCode !== 0 && exitCode !== null) {
+      console.error(chalk.red(`\\nClaude CLI exited with code ${exitCode}`));
+    }
+    process.exit(exitCode || 0);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    console.log(chalk.yellow('💡 Try running: papr init'));
+    process.exit(error.exitCode);
+  }
+}
+
+async function checkStatus(options = {}) {
+  const status = await new PaprCli().status();
+  const { checks } = status;
+
+  if (options.json) {
+    console.log(JSON.stringify(status, null, 2));
+    process.exit(status.exitCode);
+  }
+
+  const mark = (ok, text) => ok ? chalk.green(`✅ ${text}`) : chalk.red(`❌ ${text}`);
+
+  console.log(chalk.blue('🔍 PAPR CLI Status Check'));
+  console.log('─'.repeat(40));
 
-    if (stdout.includes('@papr/cli')) {
-      // Get global npm root
-      const { stdout: rootStdout } = await new Promise((resolve, reject) => {
-        exec('npm root -g', (error, stdout) => {
-          if (error) reject(error);
-          else resolve({ stdout });
-        });
+  console.log(`Claude CLI: ${mark(checks.claude.ok, checks.claude.ok ? `Installed (${checks.claude.version})` : 'Not found')}`);
+  console.log(`PAPR Memory SDK: ${mark(checks.sdk.ok, checks.sdk.ok ? `Installed (v${checks.sdk.version})` : 'Not found')}`);
+
+  const scopeLabels = [...new Set([...checks.hooks.scopes, ...checks.mcp.scopes])]
+    .map(scope => scope === checks.settings.scope ? chalk.green(`${scope} (active)`) : scope);
+  console.log(`Scope: ${scopeLabels.length > 0 ? scopeLabels.join(', ') : chalk.red('❌ Not installed')}`);
+  checks.settings.errors.forEach(error => console.log(chalk.red(`  ❌ ${error}`)));
+  checks.settings.conflicts.forEach(conflict => console.log(chalk.yellow(`  ⚠️ ${conflict}`)));
+
+  console.log(`Configuration: ${mark(checks.settings.ok, checks.settings.ok ? checks.settings.path : 'Missing')}`);
+  console.log(`Memory Hooks: ${mark(checks.hooks.ok, checks.hooks.ok ? 'Configured' : 'Missing')}`);
+  console.log(`MCP Server: ${mark(checks.mcp.ok, checks.mcp.ok ? `Registered (${checks.mcp.scopes.join(', ') || checks.mcp.source})` : 'Not registered')}`);
+  if (checks.mcp.details) {
+    console.log(`  ${checks.mcp.details}`);
+  }
+
+  if (checks.apiKey.profile) {
+    console.log(`Profile: ${checks.apiKey.profile} (${checks.apiKey.serverUrl}${checks.apiKey.workspace ? `, workspace ${checks.apiKey.workspace}` : ''})`);
+  }
+  console.log(`API Key: ${mark(checks.apiKey.ok, checks.apiKey.ok ? `Set (${checks.apiKey.source})` : 'Missing')}`);
+  if (checks.apiKey.securePermissions === false) {
+    console.log(chalk.yellow(`  ⚠️ ${CREDENTIALS_FILE} is readable by other users. Run: chmod 600 ${CREDENTIALS_FILE}`));
+  }
+
+  const envFiles = checks.env.files.filter(entry => entry.exists);
+  console.log(`Env Files: ${envFiles.length > 0 ? envFiles.map(entry => entry.file).join(', ') : chalk.gray('None')}`);
+  checks.env.files.filter(entry => entry.error).forEach(entry => console.log(chalk.yellow(`  ⚠️ ${entry.file}: ${entry.error}`)));
+  checks.env.files.filter(entry => entry.ignored?.length).forEach(entry => {
+    console.log(chalk.yellow(`  ⚠️ ${entry.file}: ignored ${entry.ignored.join(', ')} (a project file sets these only along with the API key)`));
+  });
+  checks.env.variables.forEach(({ key, source }) => console.log(chalk.gray(`  ${key} from ${source}`)));
+
+  const clientLabels = checks.clients.registered.map(entry => `${entry.client} (${entry.scope})${entry.serverFound ? '' : chalk.yellow(' server missing')}`);
+  console.log(`Clients: ${clientLabels.length > 0 ? clientLabels.join(', ') : chalk.gray('None')}`);
+
+  if (!checks.runtime.version) {
+    console.log(`Runtime: ${chalk.gray('Not installed (papr update)')}`);
+  } else {
+    console.log(`Runtime: ${checks.runtime.upToDate ? chalk.green(`✅ v${checks.runtime.version}`) : chalk.yellow(`⚠️ v${checks.runtime.version}, CLI is v${CLI_VERSION} (papr update)`)}`);
+  }
+  console.log(`Code Schema: ${checks.schemaCache.present ? chalk.green(`✅ Cached (${checks.schemaCache.schemaId})`) : chalk.gray('Not created yet')}`);
+  console.log(`Code Index: ${checks.index.indexed ? chalk.green(`✅ ${checks.index.files} files, ${checks.index.indexedAt}`) : chalk.gray('Not indexed (papr index)')}`);
+
+  console.log('─'.repeat(40));
+
+  if (['claude', 'sdk', 'settings', 'hooks'].some(name => status.failing.includes(name))) {
+    console.log(chalk.yellow(checks.settings.errors.length > 0 ? '💡 Fix the settings file, or run: papr restore --list' : '💡 Run: papr init'));
+  } else if (!checks.mcp.ok) {
+    console.log(chalk.yellow('💡 MCP server needs setup. Run: papr init'));
+  } else if (!checks.apiKey.ok) {
+    console.log(chalk.yellow('💡 Run: papr auth login'));
+  } else {
+    console.log(chalk.green('🎉 All systems ready! Run: papr start'));
+  }
+
+  process.exit(status.exitCode);
+}
+
+const UPDATE_LABELS = {
+  add: chalk.green('+ add     '),
+  update: chalk.cyan('~ update  '),
+  modified: chalk.yellow('! modified'),
+  unchanged: chalk.gray('  ok      ')
+};
+
+function printFileDiff(file) {
+  const before = fs.existsSync(file.target) ? fs.readFileSync(file.target, 'utf8') : '';
+  diffLines(before, fs.readFileSync(file.source, 'utf8')).forEach(line => {
+    if (line[0] === '+') console.log(chalk.green(`      ${line}`));
+    else if (line[0] === '-') console.log(chalk.red(`      ${line}`));
+    else console.log(chalk.gray(`      ${line}`));
+  });
+}
+
+function printSettingsDiff(entry) {
+  const before = entry.before ? JSON.stringify(entry.before, null, 2) : '';
+  const after = entry.after ? JSON.stringify(entry.after, null, 2) : '';
+  diffLines(before, after).forEach(line => {
+    if (line[0] === '+') console.log(chalk.green(`      ${line}`));
+    else if (line[0] === '-') console.log(chalk.red(`      ${line}`));
+    else console.log(chalk.gray(`      ${line}`));
+  });
+}
+
+/**
+ * Find every PAPR install to reconcile: those in the manifest, plus an unrecorded install
+ * in the current directory's active scope (written by a version before the manifest existed)
+ */
+async function findInstallTargets(scope) {
+  const { installs } = await loadManifest();
+  const targets = [];
+
+  for (const install of Object.values(installs)) {
+    if (scope && install.scope !== scope) continue;
+    const target = getScopePaths(install.scope, install.projectDir || process.cwd());
+    if (install.scope !== 'user' && !(await fs.pathExists(install.projectDir))) continue;
+    targets.push({ target, options: install.options || {} });
+  }
+
+  const { scopes } = await detectScopes();
+  for (const detected of scopes) {
+    if (scope && detected.scope !== scope) continue;
+    if (!(detected.hook || detected.mcpServer)) continue;
+    const target = getScopePaths(detected.scope);
+    if (!targets.some(t => t.target.settingsFile === target.settingsFile)) {
+      targets.push({ target, options: {} });
+    }
+  }
+
+  return targets;
+}
+
+async function updatePapr(options = {}) {
+  try {
+    const targets = await findInstallTargets(options.scope);
+    // Other MCP hosts point at the runtime too, so its update still applies without a Claude install
+    const otherClients = (await detectClients()).filter(entry => entry.registered && entry.client !== 'claude');
+    if (targets.length === 0 && otherClients.length === 0) {
+      console.log(chalk.yellow('PAPR is not installed in any scope. Run: papr init'));
+      process.exit(EXIT_CODES.NOT_CONFIGURED);
+    }
+
+    const plans = [];
+    for (const { target, options: installOptions } of targets) {
+      const artifacts = await getInstallArtifacts(target, installOptions);
+      plans.push({ target, installOptions, artifacts, plan: await planUpdate(target, artifacts) });
+    }
+
+    // Show what would change, starting with the runtime copy every settings file points at
+    let pending = 0;
+    let conflicts = 0;
+    const runtimeVersion = await getCurrentVersion();
+    console.log(chalk.bold(`\nRuntime (${CURRENT_LINK})`));
+    if (runtimeVersion !== CLI_VERSION) {
+      console.log(`  ${UPDATE_LABELS[runtimeVersion ? 'update' : 'add']} v${CLI_VERSION}${runtimeVersion ? ` (currently v${runtimeVersion})` : ''}`);
+      pending++;
+    } else {
+      console.log(options.verbose ? `  ${UPDATE_LABELS.unchanged} v${CLI_VERSION}` : chalk.green('  Up to date'));
+    }
+    for (const { target, plan } of plans) {
+      const where = target.scope === 'user' ? target.root : path.dirname(target.root);
+      const version = plan.install ? `installed by v${plan.install.version}` : 'no install record';
+      console.log(chalk.bold(`\n${target.scope} scope (${where}) - ${version}`));
+
+      plan.files.forEach(file => {
+        if (file.action === 'unchanged' && !options.verbose) return;
+        console.log(`  ${UPDATE_LABELS[file.action]} ${path.relative(target.root, file.target)}`);
+        // New files are shown in full by their template, so only diff changes
+        if (!options.summary && (file.action === 'update' || file.action === 'modified')) {
+          printFileDiff(file);
+        }
+      });
+      plan.settings.forEach(entry => {
+        if (entry.action === 'unchanged' && !options.verbose) return;
+        console.log(`  ${UPDATE_LABELS[entry.action]} ${path.basename(entry.file)} ${entry.key}`);
+        if (!options.summary && entry.action !== 'unchanged') {
+          printSettingsDiff(entry);
+        }
+      });
+
+      const items = [...plan.files, ...plan.settings];
+      pending += items.filter(item => item.action === 'add' || item.action === 'update').length;
+      conflicts += items.filter(item => item.action === 'modified').length;
+      if (items.every(item => item.action === 'unchanged')) {
+        console.log(chalk.green('  Up to date'));
+      }
+    }
+    console.log('');
+
+    if (conflicts > 0 && !options.force) {
+      console.log(chalk.yellow(`⚠️ ${conflicts} item(s) were edited locally (or predate the install record) and will be kept. Use --force to replace them; files get a .bak copy.`));
+    }
+
+    const toApply = pending + (options.force ? conflicts : 0);
+    if (toApply === 0) {
+      console.log(chalk.green('✅ Nothing to update'));
+      return;
+    }
+    if (options.dryRun) {
+      console.log(chalk.gray(`Dry run: ${toApply} change(s) not applied`));
+      return;
+    }
+
+    if (!options.yes && process.stdin.isTTY) {
+      const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: `Apply ${toApply} change(s)?`,
+        default: true
+      }]);
+      if (!confirm) {
+        console.log(chalk.yellow('Update cancelled'));
+        return;
+      }
+    }
+
+    const spinner = ora('Updating PAPR').start();
+    const backups = [];
+    await installRuntime();
+    for (const { target, installOptions, artifacts, plan } of plans) {
+      const apply = item => item.action === 'add' || item.action === 'update' || (item.action === 'modified' && options.force);
+      const kept = [];
+
+      for (const file of plan.files) {
+        if (!apply(file)) {
+          if (file.action === 'modified') kept.push(file.target);
+          continue;
+        }
+        if (file.action === 'modified') {
+          await fs.copy(file.target, `${file.target}.bak`);
+        }
+        await fs.ensureDir(path.dirname(file.target));
+        await fs.copy(file.source, file.target, { overwrite: true });
+      }
+
+      const settingsToApply = plan.settings.filter(apply);
+      plan.settings.filter(entry => entry.action === 'modified' && !options.force).forEach(entry => kept.push(entry.key));
+      if (settingsToApply.length > 0) {
+        backups.push(...await applySettingsEntries(settingsToApply));
+      }
+
+      await recordInstall(target, { ...artifacts, options: installOptions, kept });
+    }
+
+    spinner.succeed(chalk.green(`✅ Applied ${toApply} change(s)${backups.length > 0 ? ` (settings backups: ${backups.join(', ')})` : ''}`));
+  } catch (error) {
+    console.error(chalk.red(`❌ Update failed: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+async function runtimeList() {
+  const runtimes = await listRuntimes();
+  if (runtimes.length === 0) {
+    console.log(chalk.yellow('No runtime installed. Run: papr init'));
+    return;
+  }
+
+  runtimes.forEach(runtime => {
+    const marker = runtime.current ? chalk.green('*') : ' ';
+    const installed = runtime.installedAt ? chalk.gray(` installed ${runtime.installedAt}`) : '';
+    console.log(`${marker} v${runtime.version}${installed}`);
+  });
+  console.log(chalk.gray(`\n${CURRENT_LINK} -> v${runtimes.find(r => r.current)?.version || 'none'}`));
+}
+
+async function runtimePrune(options = {}) {
+  const keep = options.keep === undefined ? 0 : parseInt(options.keep, 10);
+  if (!Number.isInteger(keep) || keep < 0) {
+    console.error(chalk.red('❌ --keep must be a non-negative integer'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  const removed = await pruneRuntimes({ keep, dryRun: options.dryRun });
+  if (removed.length === 0) {
+    console.log(chalk.green('✅ Nothing to prune'));
+    return;
+  }
+  removed.forEach(runtime => console.log(`  ${options.dryRun ? 'would remove' : 'removed'} v${runtime.version}`));
+  console.log(chalk.green(`✅ ${options.dryRun ? 'Dry run: ' : ''}${removed.length} old runtime(s)${options.dryRun ? ' not removed' : ' removed'}`));
+}
+
+/**
+ * Every agent known for a scope: templates (built-in and registered) and agents written by hand
+ * @param {Object} target - Scope paths
+ * @returns {Promise<Array<Object>>} - [{ name, source, status, file, template, description }]
+ */
+async function getAgentRows(target) {
+  const install = (await loadManifest()).installs[getInstallKey(target)];
+  const disabled = install?.options?.disabledAgents || [];
+  const templates = await listAgentTemplates();
+  const planned = await planFiles(install, templates.map(agent => ({
+    ...agent,
+    origin: agent.source,
+    source: agent.file,
+    target: getAgentFile(target, agent.name)
+  })));
+
+  const statuses = { unchanged: 'installed', update: 'outdated', modified: 'modified', add: 'not installed' };
+  const rows = planned.map(agent => ({
+    name: agent.name,
+    source: agent.origin,
+    status: disabled.includes(agent.name) || fs.existsSync(agent.target + DISABLED_SUFFIX) ? 'disabled' : statuses[agent.action],
+    file: agent.target,
+    template: agent.file,
+    description: agent.description
+  }));
+
+  // Agents in the scope no template provides, e.g. created with papr agents new
+  if (await fs.pathExists(target.agentsDir)) {
+    for (const file of (await fs.readdir(target.agentsDir)).sort()) {
+      const name = file.replace(new RegExp(`\\.md(${DISABLED_SUFFIX.replace('.', '\\.')})?$`), '');
+      if (name === file || rows.some(row => row.name === name)) continue;
+      rows.push({
+        name,
+        source: 'local',
+        status: file.endsWith(DISABLED_SUFFIX) ? 'disabled' : 'installed',
+        file: path.join(target.agentsDir, `${name}.md`),
+        template: null,
+        description: ''
       });
+    }
+  }
+  return rows;
+}
+
+const AGENT_STATUS_COLORS = {
+  installed: chalk.green,
+  outdated: chalk.cyan,
+  modified: chalk.yellow,
+  'not installed': chalk.gray,
+  disabled: chalk.gray
+};
+
+async function agentsList(options = {}) {
+  const target = getScopePaths(options.scope || 'user');
+  const rows = await getAgentRows(target);
+
+  if (options.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  console.log(chalk.blue(`Agents (${target.scope} scope, ${target.agentsDir})`));
+  const width = Math.max(...rows.map(row => row.name.length), 4);
+  rows.forEach(row => {
+    const source = row.source === 'builtin' ? chalk.gray('builtin') : row.source;
+    console.log(`  ${row.name.padEnd(width)}  ${AGENT_STATUS_COLORS[row.status](row.status.padEnd(13))}  ${source}`);
+  });
+  if (rows.some(row => row.status === 'outdated' || row.status === 'modified')) {
+    console.log(chalk.gray('\nSee the changes with: papr agents diff'));
+  }
+}
+
+/**
+ * Copy agent templates into a scope, keeping agents with local edits unless forced
+ * @returns {Promise<Object>} - { installed, enabled, kept, unchanged } agent names
+ */
+async function installAgentFiles(target, agents, options = {}) {
+  const install = (await loadManifest()).installs[getInstallKey(target)];
+  const names = agents.map(agent => agent.name);
+  await updateDisabledAgents(target, disabled => disabled.filter(name => !names.includes(name)));
+
+  const result = { installed: [], enabled: [], kept: [], unchanged: [] };
+  const files = [];
+  for (const agent of agents) {
+    const file = { name: agent.name, source: agent.file, target: getAgentFile(target, agent.name) };
+    // Enabling a disabled agent brings back the file as it was, edits included
+    if (!(await fs.pathExists(file.target)) && await fs.pathExists(file.target + DISABLED_SUFFIX)) {
+      await fs.move(file.target + DISABLED_SUFFIX, file.target);
+      result.enabled.push(agent.name);
+    }
+    files.push(file);
+  }
+
+  const written = [];
+  await fs.ensureDir(target.agentsDir);
+  for (const file of await planFiles(install, files)) {
+    if (file.action === 'unchanged') {
+      if (!result.enabled.includes(file.name)) result.unchanged.push(file.name);
+      continue;
+    }
+    if (file.action === 'modified') {
+      if (!options.force) {
+        result.kept.push(file.name);
+        continue;
+      }
+      await fs.copy(file.target, `${file.target}.bak`);
+    }
+    await fs.copy(file.source, file.target, { overwrite: true });
+    written.push(file);
+    result.installed.push(file.name);
+  }
+
+  await recordFiles(target, written);
+  return result;
+}
+
+function printAgentInstall(result) {
+  if (result.enabled.length > 0) {
+    console.log(chalk.green(`✅ Enabled: ${result.enabled.join(', ')}`));
+  }
+  if (result.installed.length > 0) {
+    console.log(chalk.green(`✅ Installed: ${result.installed.join(', ')}`));
+  }
+  if (result.unchanged.length > 0) {
+    console.log(chalk.gray(`Already up to date: ${result.unchanged.join(', ')}`));
+  }
+  if (result.kept.length > 0) {
+    console.log(chalk.yellow(`⚠️ Kept local edits in: ${result.kept.join(', ')}. Compare with papr agents diff, or use --force (a .bak copy is kept)`));
+  }
+}
+
+async function agentsInstall(specs, options = {}) {
+  try {
+    const target = getScopePaths(options.scope || 'user');
+    const templates = await listAgentTemplates();
+    const agents = [];
+
+    for (const spec of specs) {
+      const template = templates.find(agent => agent.name === spec);
+      if (template) {
+        agents.push(template);
+        continue;
+      }
+
+      // Not an agent name: a template directory or npm package to register
+      const spinner = ora(`Adding agent templates from ${spec}...`).start();
+      try {
+        const { source, agents: sourceAgents, skipped } = await addAgentSource(spec);
+        spinner.succeed(`Registered ${source.spec}: ${sourceAgents.map(agent => agent.name).join(', ')}`);
+        if (skipped.length > 0) {
+          console.log(chalk.yellow(`⚠️ Skipped templates whose name is not lowercase letters, digits and dashes: ${skipped.join(', ')}`));
+        }
+        agents.push(...sourceAgents);
+      } catch (error) {
+        spinner.fail(`Could not add ${spec}`);
+        throw error;
+      }
+    }
+
+    printAgentInstall(await installAgentFiles(target, agents, options));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Delete an installed agent. A copy with local edits is kept as .bak.
+ */
+async function removeAgentFile(target, row) {
+  const removed = [];
+  if (row.status === 'modified' && await fs.pathExists(row.file)) {
+    await fs.copy(row.file, `${row.file}.bak`);
+  }
+  for (const file of [row.file, row.file + DISABLED_SUFFIX]) {
+    if (await fs.pathExists(file)) {
+      await fs.remove(file);
+      removed.push(file);
+    }
+  }
+  await recordFiles(target, [], [row.file]);
+  return removed.length > 0;
+}
+
+async function agentsRemove(specs, options = {}) {
+  try {
+    const target = getScopePaths(options.scope || 'user');
+
+    for (const spec of specs) {
+      const rows = await getAgentRows(target);
+      const source = await findAgentSource(spec);
+      if (source) {
+        // Unregistering a source removes the agents it provided
+        const provided = (await removeAgentSource(source)).map(agent => agent.name);
+        for (const row of rows.filter(row => provided.includes(row.name) && row.source === source.spec)) {
+          await removeAgentFile(target, row);
+        }
+        console.log(chalk.green(`✅ Removed ${source.spec} and its agents: ${provided.join(', ')}`));
+        continue;
+      }
+
+      const row = rows.find(row => row.name === spec);
+      if (!row) {
+        throw new CliError(`Unknown agent or source: ${spec}. Run: papr agents list`, EXIT_CODES.USAGE);
+      }
+      await removeAgentFile(target, row);
+      // Keep papr update and papr init from installing it again
+      if (row.template) {
+        await updateDisabledAgents(target, disabled => [...disabled, row.name]);
+      }
+      console.log(chalk.green(`✅ Removed ${row.name}${row.status === 'modified' ? ` (local edits saved as ${path.basename(row.file)}.bak)` : ''}`));
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+async function agentsEnable(names, options = {}) {
+  try {
+    const target = getScopePaths(options.scope || 'user');
+    const templates = await listAgentTemplates();
+
+    const agents = [];
+    for (const name of names) {
+      const template = templates.find(agent => agent.name === name);
+      const disabledFile = getAgentFile(target, name) + DISABLED_SUFFIX;
+      if (template) {
+        agents.push(template);
+      } else if (await fs.pathExists(disabledFile)) {
+        await fs.move(disabledFile, getAgentFile(target, name));
+        console.log(chalk.green(`✅ Enabled ${name}`));
+      } else {
+        throw new CliError(`Unknown agent: ${name}. Run: papr agents list`, EXIT_CODES.USAGE);
+      }
+    }
+
+    printAgentInstall(await installAgentFiles(target, agents, options));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+async function agentsDisable(names, options = {}) {
+  try {
+    const target = getScopePaths(options.scope || 'user');
+    const rows = await getAgentRows(target);
+
+    for (const name of names) {
+      const row = rows.find(row => row.name === name);
+      if (!row) {
+        throw new CliError(`Unknown agent: ${name}. Run: papr agents list`, EXIT_CODES.USAGE);
+      }
+
+      // Moved aside rather than deleted, so local edits come back with papr agents enable
+      if (await fs.pathExists(row.file)) {
+        await fs.move(row.file, row.file + DISABLED_SUFFIX, { overwrite: true });
+      }
+      if (row.template) {
+        await updateDisabledAgents(target, disabled => [...disabled, name]);
+      }
+      console.log(chalk.green(`✅ Disabled ${name}`));
+    }
+    console.log(chalk.gray('Restart running Claude sessions to pick it up.'));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+async function agentsNew(name, options = {}) {
+  try {
+    const file = options.dir
+      ? path.join(path.resolve(options.dir), `${name}.md`)
+      : getAgentFile(getScopePaths(options.scope || 'user'), name);
+
+    await createAgentFile(file, { name, description: options.description, tools: options.tools });
+    console.log(chalk.green(`✅ Created ${file}`));
+    if (options.dir) {
+      console.log(chalk.gray(`Share the directory with your team and install it with: papr agents install ${options.dir}`));
+    } else {
+      console.log(chalk.gray('Edit the prompt, then restart Claude to use it.'));
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+async function agentsDiff(names = [], options = {}) {
+  const target = getScopePaths(options.scope || 'user');
+  const rows = await getAgentRows(target);
+
+  const unknown = names.filter(name => !rows.some(row => row.name === name));
+  if (unknown.length > 0) {
+    console.error(chalk.red(`❌ Unknown agent: ${unknown.join(', ')}. Run: papr agents list`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  const selected = rows.filter(row => names.length > 0
+    ? names.includes(row.name)
+    : row.status === 'outdated' || row.status === 'modified');
+  if (selected.length === 0) {
+    console.log(chalk.green('✅ Installed agents match their templates'));
+    return;
+  }
+
+  selected.forEach(row => {
+    console.log(chalk.bold(`${row.name} (${row.status})`));
+    if (!row.template) {
+      console.log(chalk.gray('      no template; written locally'));
+    } else if (row.status === 'installed') {
+      console.log(chalk.gray('      matches the template'));
+    } else if (row.status !== 'disabled') {
+      // '-' is the installed file, '+' the template papr update would install
+      printFileDiff({ source: row.template, target: row.file });
+    }
+  });
+}
+
+async function clientsList(options = {}) {
+  const detected = await detectClients();
+  if (options.json) {
+    console.log(JSON.stringify(detected, null, 2));
+    return;
+  }
+
+  console.log(chalk.blue('MCP clients'));
+  for (const [name, client] of Object.entries(CLIENTS)) {
+    console.log(`  ${chalk.cyan(name)} ${chalk.gray(`(${client.label})`)}`);
+    detected.filter(entry => entry.client === name).forEach(entry => {
+      let state = chalk.gray('not registered');
+      if (entry.error) {
+        state = chalk.red(`❌ ${entry.error}`);
+      } else if (entry.registered && !entry.serverFound) {
+        state = chalk.yellow(`⚠️ registered, but ${entry.serverPath} is missing (papr init --client ${name})`);
+      } else if (entry.registered) {
+        state = chalk.green('✅ registered');
+      }
+      console.log(`    ${entry.scope.padEnd(8)} ${state}  ${chalk.gray(entry.file)}`);
+    });
+  }
+  console.log(chalk.gray('\nRegister with: papr init --client <name> [--scope project]'));
+}
+
+async function clientsRemove(name, options = {}) {
+  try {
+    if (getClient(name).name === 'claude') {
+      throw new CliError('Claude also has PAPR hooks, agents and commands. Run: papr uninstall', EXIT_CODES.USAGE);
+    }
+
+    const { file, removed } = await unregisterClient(name, { scope: options.scope || 'user' });
+    if (removed) {
+      console.log(chalk.green(`✅ Removed papr-memory from ${file}`));
+    } else {
+      console.log(chalk.gray(`papr-memory is not registered in ${file}`));
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Run the MCP server in the foreground: over stdio (what clients launch), or with --http as one
+ * shared server that agents connect to at http://<host>:<port>/mcp with the local bearer token
+ * @param {Object} options - { http, port, host }
+ */
+async function mcpServe(options = {}) {
+  try {
+    const args = [];
+    if (options.http) {
+      const port = options.port === undefined ? getConfigValue('mcpServer.httpPort') : Number(options.port);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        throw new CliError(`Invalid port: ${options.port}`, EXIT_CODES.USAGE);
+      }
+      args.push('--http', '--port', String(port), '--host', options.host);
+
+      getMcpToken();
+      const url = `http://${options.host}:${port}/mcp`;
+      console.error(chalk.gray(`Bearer token: ${MCP_TOKEN_FILE} (print it with: papr mcp token)`));
+      console.error(chalk.gray(`Connect Claude: claude mcp add --transport http papr-memory ${url} --header "Authorization: Bearer $(papr mcp token)"`));
+    } else if (options.port !== undefined) {
+      throw new CliError('--port needs --http; stdio mode talks over stdin and stdout', EXIT_CODES.USAGE);
+    }
+
+    // Launched on every session start: only the stamp is checked, the full fingerprint is papr update's job
+    const { mcpServerPath } = await installRuntime({ verify: false });
+    const server = spawn(process.execPath, [mcpServerPath, ...args], { stdio: 'inherit' });
+
+    // Let the server shut down its sessions, then exit with its code
+    process.on('SIGINT', () => server.kill('SIGINT'));
+    process.on('SIGTERM', () => server.kill('SIGTERM'));
+    server.on('close', (exitCode) => process.exit(exitCode === null ? EXIT_CODES.SUCCESS : exitCode));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Run the session hook from the installed runtime. Project-scope settings call this instead of a
+ * runtime path, so the committed .claude/settings.json works on every teammate's machine.
+ */
+async function hookSessionStart() {
+  try {
+    const { sessionHookPath } = await installRuntime({ verify: false });
+    const hook = spawn(process.execPath, [sessionHookPath], { stdio: 'inherit' });
+    hook.on('close', (exitCode) => process.exit(exitCode === null ? EXIT_CODES.GENERAL : exitCode));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
+
+/**
+ * Print the bearer token for the MCP server's HTTP mode, so it can be piped into client config
+ * @param {Object} options - { rotate }
+ */
+function mcpToken(options = {}) {
+  if (options.rotate) {
+    console.log(rotateMcpToken());
+    console.error(chalk.yellow('Restart papr mcp serve --http and update connected clients to use the new token'));
+    return;
+  }
+  if (process.env.PAPR_MCP_TOKEN) {
+    console.error(chalk.gray('From PAPR_MCP_TOKEN'));
+  }
+  console.log(getMcpToken());
+}
+
+/**
+ * Print the completion script for a shell
+ * @param {string} shell - bash, zsh or fish
+ * @param {Command} program - Commander program to complete
+ */
+function printCompletion(shell, program) {
+  try {
+    process.stdout.write(generateCompletion(program, shell));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+}
+
+async function uninstallPapr() {
+  const spinner = ora('Removing PAPR hooks').start();
+
+  try {
+    // Clean PAPR entries out of Claude settings
+    spinner.text = 'Cleaning Claude settings...';
+    const settings = await readSettings(SETTINGS_FILE);
+    const settingsChanges = removePaprSettings(settings);
+    if (settingsChanges.length > 0) {
+      await writeSettings(settings, SETTINGS_FILE);
+    }
+
+    // Remove agents installed by setupPaprAgent or papr agents install. Hand-written agents are
+    // left alone, even when a template shares their name; edited copies of ours are kept as .bak
+    spinner.text = 'Removing PAPR agents...';
+    const userTarget = getScopePaths('user');
+    const install = (await loadManifest()).installs[getInstallKey(userTarget)];
+    const removedAgents = [];
+    const backedUpAgents = [];
+    for (const row of await getAgentRows(userTarget)) {
+      if (!row.template || (row.status === 'modified' && !install?.files?.[row.file])) continue;
+      if (await removeAgentFile(userTarget, row)) {
+        removedAgents.push(row.name);
+        if (row.status === 'modified') backedUpAgents.push(`${path.basename(row.file)}.bak`);
+      }
+    }
+
+    // Remove slash commands installed by setupHooks. Same rules as agents: a command PAPR never
+    // recorded is the user's own, and edited copies of ours are kept as .bak
+    spinner.text = 'Removing PAPR commands...';
+    const commandsSourceDir = path.join(TEMPLATES_DIR, 'commands');
+    const removedCommands = [];
+    const keptCommands = [];
+    const backedUpCommands = [];
+    if (await fs.pathExists(commandsSourceDir)) {
+      const commandFiles = (await fs.readdir(commandsSourceDir)).map(file => ({
+        source: path.join(commandsSourceDir, file),
+        target: path.join(userTarget.commandsDir, file)
+      }));
+      for (const file of await planFiles(install, commandFiles)) {
+        const name = path.basename(file.target, '.md');
+        if (file.action === 'add') continue;
+        if (file.action === 'modified') {
+          if (!install?.files?.[file.target]) {
+            keptCommands.push(name);
+            continue;
+          }
+          await fs.copy(file.target, `${file.target}.bak`);
+          backedUpCommands.push(`${path.basename(file.target)}.bak`);
+        }
+        await fs.remove(file.target);
+        removedCommands.push(name);
+      }
+    }
+
+    // Clear the cached code schema ID
+    spinner.text = 'Clearing schema cache...';
+    const { SCHEMA_CACHE_FILE } = require('./code-indexer/schema/schema-manager');
+    const hadSchemaCache = await fs.pathExists(SCHEMA_CACHE_FILE);
+    await fs.remove(SCHEMA_CACHE_FILE);
+
+    // Otherwise papr update would reinstall what was just removed
+    await forgetInstall(getScopePaths('user'));
+
+    spinner.succeed(chalk.green('✅ PAPR removed from Claude CLI'));
+
+    console.log(`  Settings: ${settingsChanges.length > 0 ? settingsChanges.join(', ') : chalk.gray('nothing to remove')}`);
+    console.log(`  Agents: ${removedAgents.length > 0 ? removedAgents.join(', ') : chalk.gray('none installed')}`);
+    if (backedUpAgents.length > 0) {
+      console.log(chalk.yellow(`  Local edits saved as: ${backedUpAgents.join(', ')}`));
+    }
+    console.log(`  Commands: ${removedCommands.length > 0 ? removedCommands.map(c => '/' + c).join(', ') : chalk.gray('none installed')}`);
+    if (backedUpCommands.length > 0) {
+      console.log(chalk.yellow(`  Local edits saved as: ${backedUpCommands.join(', ')}`));
+    }
+    if (keptCommands.length > 0) {
+      console.log(chalk.gray(`  Kept your own commands: ${keptCommands.map(c => '/' + c).join(', ')}`));
+    }
+    console.log(`  Schema cache: ${hadSchemaCache ? 'cleared' : chalk.gray('not present')}`);
+  } catch (error) {
+    spinner.fail(chalk.red(`❌ Uninstall failed: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+async function runDoctor() {
+  console.log(chalk.blue('🩺 PAPR Doctor'));
+  console.log('─'.repeat(40));
+
+  const { runChecks } = require('./doctor');
+  const results = await runChecks({
+    templatesPath: TEMPLATES_DIR,
+    onCheck: (check) => {
+      console.log(`${check.ok ? chalk.green('✅') : chalk.red('❌')} ${check.name}: ${check.ok ? check.details : chalk.red(check.details)}`);
+      if (!check.ok && check.fix) {
+        console.log(chalk.yellow(`   💡 ${check.fix}`));
+      }
+    }
+  });
+
+  console.log('─'.repeat(40));
 
-      const globalNodeModules = rootStdout.trim();
-      const globalPath = path.join(globalNodeModules, '@papr', 'cli', 'templates');
+  const failed = results.filter(check => !check.ok);
+  if (failed.length > 0) {
+    console.log(chalk.red(`${failed.length} of ${results.length} checks failed`));
+    process.exit(1);
+  }
+  console.log(chalk.green('🎉 All checks passed'));
+}
 
-      // Verify the path actually exists before using it
-      if (await fs.pathExists(globalPath)) {
-        _resolvedTemplatesPath = globalPath;
-        return _resolvedTemplatesPath;
-      }
+/**
+ * Check an API key against the memory server.
+ * @returns {Promise<Object>} - { valid: true|false|null, error } (null when the server could not be reached)
+ */
+async function verifyApiKey(apiKey, serverUrl = resolveConnection().serverUrl) {
+  const Papr = require('@papr/memory').default;
+  const client = new Papr({
+    baseURL: serverUrl,
+    timeout: getConfigValue('tools.timeout'),
+    maxRetries: 0,
+    logLevel: 'off',
+    xAPIKey: apiKey,
+    defaultHeaders: {
+      'X-Client-Type': 'papr_cli'
     }
+  });
+
+  try {
+    await client.schemas.list();
+    return { valid: true, error: null };
   } catch (error) {
-    // Fall through to local path
+    if (error.status === 401 || error.status === 403) {
+      return { valid: false, error: 'Key was rejected by the server' };
+    }
+    return { valid: null, error: error.message };
   }
-
-  // Fallback to local/development path
-  _resolvedTemplatesPath = path.join(__dirname, '..', 'templates');
-  return _resolvedTemplatesPath;
 }
 
-async function initPapr(options = {}) {
-  let spinner = ora('Setting up PAPR Memory-Enhanced Claude CLI').start();
+async function promptApiKey(options, message) {
+  if (options.apiKey) return options.apiKey;
 
-  try {
-    // Check if Claude CLI is installed
-    spinner.text = 'Checking Claude CLI installation...';
-    await checkClaudeInstallation(spinner);
+  if (options.apiKeyEnv) {
+    if (!process.env[options.apiKeyEnv]) {
+      throw new CliError(`Environment variable ${options.apiKeyEnv} is not set`, EXIT_CODES.MISSING_API_KEY);
+    }
+    return process.env[options.apiKeyEnv];
+  }
 
-    // Get configuration from user
-    spinner.stop();
-    console.log(chalk.blue('📋 Configuration setup:'));
-    const config = await getConfiguration(options);
-    spinner = ora('Continuing setup...').start();
+  if (!process.stdin.isTTY) {
+    throw new CliError('No API key provided. Pass --api-key <key> or --api-key-env <VAR>', EXIT_CODES.MISSING_API_KEY);
+  }
+
+  const { apiKey } = await inquirer.prompt([{
+    type: 'password',
+    name: 'apiKey',
+    message,
+    validate: (input) => input.length > 0 || 'API key is required'
+  }]);
+  return apiKey;
+}
 
-    // Install dependencies
-    spinner.text = 'Installing dependencies...';
-    await installDependencies(spinner);
+/**
+ * Verify a key and store it in ~/.papr/credentials. Rejected keys are never stored.
+ */
+async function storeVerifiedKey(apiKey, options, keyName = getActiveProfile()?.keyRef, serverUrl) {
+  if (options.verify !== false) {
+    const spinner = ora('Verifying API key...').start();
+    const check = await verifyApiKey(apiKey, serverUrl);
+    if (check.valid === false) {
+      spinner.fail(chalk.red(`❌ ${check.error}`));
+      throw new CliError('API key was not saved', EXIT_CODES.AUTH_FAILED);
+    }
+    if (check.valid === null) {
+      spinner.warn(chalk.yellow(`⚠️ Could not verify key (${check.error}); saving it anyway`));
+    } else {
+      spinner.succeed(chalk.green('API key verified'));
+    }
+  }
 
-    // Setup Claude configuration directory
-    spinner.text = 'Setting up directories...';
-    await fs.ensureDir(CLAUDE_DIR);
+  return saveApiKey(apiKey, keyName);
+}
 
-    // Create or update Claude settings
-    spinner.text = 'Configuring settings...';
-    await setupClaudeSettings(config, spinner);
+async function authLogin(options = {}) {
+  try {
+    const apiKey = await promptApiKey(options, 'Enter your PAPR Memory API key (get it from dashboard.papr.ai):');
+    const file = await storeVerifiedKey(apiKey, options);
+    console.log(chalk.green(`✅ Logged in (${maskApiKey(apiKey)}), key stored in ${file}`));
+  } catch (error) {
+    console.error(chalk.red(`❌ Login failed: ${error.message}`));
+    process.exit(getExitCode(error));
+  }
+}
 
-    // Copy hook templates
-    spinner.text = 'Installing hooks...';
-    await setupHooks(spinner);
+async function authLogout() {
+  const removed = removeApiKey(getActiveProfile()?.keyRef);
+  console.log(removed ? chalk.green(`✅ Removed API key from ${CREDENTIALS_FILE}`) : chalk.yellow('No stored API key to remove'));
 
-    // Setup PAPR Memory subagent
-    spinner.text = 'Installing PAPR Memory agent...';
-    await setupPaprAgent(spinner);
+  const { apiKeySource: source } = resolveConnection();
+  if (source) {
+    console.log(chalk.yellow(`⚠️ A key is still available from ${source}. Unset it to fully log out.`));
+  }
+}
 
-    spinner.succeed(chalk.green('✅ PAPR CLI initialized successfully!'));
+async function authRotate(options = {}) {
+  try {
+    const previous = getStoredApiKey(getActiveProfile()?.keyRef);
+    if (!previous) {
+      throw new CliError('No stored API key to rotate. Run: papr auth login', EXIT_CODES.MISSING_API_KEY);
+    }
 
-    // Display seasonal or regular logo
-    console.log('');
-    if (isRamadanSeason()) {
-      const logo = getRamadanLogo();
-      logo.forEach(line => console.log(line));
-    } else if (isHolidaySeason()) {
-      const logo = getHolidayLogo();
-      logo.forEach(line => console.log(line));
-    } else {
-      const logo = getRegularLogo();
-      logo.forEach(line => console.log(line));
-      console.log(chalk.hex('#00FEFE')('        Memory-Enhanced Claude CLI'));
+    const apiKey = await promptApiKey(options, 'Enter the new PAPR Memory API key:');
+    if (apiKey === previous) {
+      throw new CliError('The new key is the same as the stored key', EXIT_CODES.USAGE);
     }
-    console.log(chalk.green('     🎉 Setup Complete! 🎉'));
-    console.log('\\n' + chalk.yellow('Ready to launch:'));
-    console.log(chalk.cyan('  papr start') + ' - Launch Claude with memory context');
-    console.log(chalk.cyan('  papr status') + ' - Check configuration');
-    console.log('\\n' + chalk.gray('📖 Docs: https://platform.papr.ai/docs'));
 
+    await storeVerifiedKey(apiKey, options);
+    console.log(chalk.green(`✅ Rotated API key ${maskApiKey(previous)} → ${maskApiKey(apiKey)}`));
+    console.log(chalk.gray('Running sessions keep the old key until restarted. Revoke the old key at dashboard.papr.ai.'));
   } catch (error) {
-    spinner.fail(chalk.red(`❌ Initialization failed: ${error.message}`));
-    process.exit(1);
+    console.error(chalk.red(`❌ Rotate failed: ${error.message}`));
+    process.exit(getExitCode(error));
   }
 }
 
-async function checkClaudeInstallation(spinner) {
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error('Timeout checking Claude CLI installation'));
-    }, 10000);
-
-    exec('claude --version', { timeout: 5000 }, (error, stdout, stderr) => {
-      clearTimeout(timeout);
-
-      if (error) {
-        spinner.text = 'Installing Claude CLI...';
-        // Install Claude CLI via npm
-        const installTimeout = setTimeout(() => {
-          reject(new Error('Timeout installing Claude CLI'));
-        }, 30000);
-
-        exec('npm install -g @anthropic-ai/claude-code', { timeout: 25000 }, (installError) => {
-          clearTimeout(installTimeout);
-          if (installError) {
-            reject(new Error('Failed to install Claude CLI. Please install manually: npm install -g @anthropic-ai/claude-code'));
-          } else {
-            resolve();
-          }
-        });
-      } else {
-        spinner.text = 'Claude CLI found ✓';
-        resolve();
-      }
-    });
-  });
-}
-
-async function getConfiguration(options) {
-  const questions = [];
+async function authWhoami() {
+  const { apiKey, apiKeySource, serverUrl, workspace, profile } = resolveConnection();
+  if (!apiKey) {
+    console.log(chalk.red('❌ Not logged in. Run: papr auth login'));
+    process.exit(EXIT_CODES.MISSING_API_KEY);
+  }
 
-  if (!options.apiKey) {
-    questions.push({
-      type: 'password',
-      name: 'apiKey',
-      message: 'Enter your PAPR Memory API key (get it from dashboard.papr.ai):',
-      validate: (input) => input.length > 0 || 'API key is required'
-    });
+  console.log(`Profile: ${profile || chalk.gray('none')}`);
+  console.log(`API Key: ${maskApiKey(apiKey)}`);
+  console.log(`Source: ${apiKeySource}`);
+  console.log(`Server: ${serverUrl}`);
+  if (workspace) {
+    console.log(`Workspace: ${workspace}`);
   }
 
-  let answers = {};
-  if (questions.length > 0) {
-    answers = await inquirer.prompt(questions);
+  if (hasSecurePermissions() === false) {
+    console.log(chalk.yellow(`⚠️ ${CREDENTIALS_FILE} is readable by other users. Run: chmod 600 ${CREDENTIALS_FILE}`));
   }
 
-  return {
-    apiKey: options.apiKey || answers.apiKey
-  };
+  const check = await verifyApiKey(apiKey, serverUrl);
+  if (check.valid === true) {
+    console.log(`Status: ${chalk.green('✅ Valid')}`);
+  } else if (check.valid === false) {
+    console.log(`Status: ${chalk.red(`❌ ${check.error}`)}`);
+    process.exit(EXIT_CODES.AUTH_FAILED);
+  } else {
+    console.log(`Status: ${chalk.yellow(`⚠️ Could not verify (${check.error})`)}`);
+  }
 }
 
-async function installDependencies(spinner) {
-  spinner.text = 'Installing PAPR Memory SDK...';
+async function profileAdd(name, options = {}) {
+  try {
+    // The key itself goes to ~/.papr/credentials under the profile's key name
+    const keyRef = options.keyRef || name;
+    if (options.apiKey || options.apiKeyEnv) {
+      const apiKey = await promptApiKey(options, '');
+      await storeVerifiedKey(apiKey, options, keyRef, options.server);
+    }
 
-  return new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      reject(new Error('Timeout installing @papr/memory SDK'));
-    }, 60000); // 60 second timeout for npm install
-
-    exec('npm install -g @papr/memory', { timeout: 55000 }, (error, stdout, stderr) => {
-      clearTimeout(timeout);
-
-      if (error) {
-        // Check if it's already installed
-        exec('npm list -g @papr/memory', (listError, listStdout) => {
-          if (!listError && listStdout.includes('@papr/memory')) {
-            spinner.text = 'PAPR Memory SDK already installed ✓';
-            resolve();
-          } else {
-            reject(new Error(`Failed to install @papr/memory SDK: ${error.message}`));
-          }
-        });
-      } else {
-        spinner.text = 'PAPR Memory SDK installed ✓';
-        resolve();
-      }
+    const profile = addProfile(name, {
+      keyRef,
+      serverUrl: options.server,
+      workspace: options.workspace
     });
-  });
-}
-
-async function setupClaudeSettings(config, spinner) {
-  spinner.text = 'Configuring Claude CLI settings...';
 
-  // Resolve the correct templates path (handles global vs local install)
-  const templatesPath = await resolveTemplatesPath();
-  const sessionHookPath = path.join(templatesPath, 'session-hook.js');
-  const mcpServerPath = path.join(templatesPath, 'papr-mcp-server.js');
-
-  // Verify critical template files exist
-  if (!(await fs.pathExists(sessionHookPath))) {
-    throw new Error(`Session hook not found at: ${sessionHookPath}. Try reinstalling: npm install -g @papr/cli`);
-  }
-  if (!(await fs.pathExists(mcpServerPath))) {
-    throw new Error(`MCP server not found at: ${mcpServerPath}. Try reinstalling: npm install -g @papr/cli`);
+    console.log(chalk.green(`✅ Saved profile ${name}`));
+    console.log(`  Server: ${profile.serverUrl || chalk.gray('default')}`);
+    console.log(`  Workspace: ${profile.workspace || chalk.gray('none')}`);
+    console.log(`  API key: ${getStoredApiKey(profile.keyRef) ? maskApiKey(getStoredApiKey(profile.keyRef)) : chalk.yellow(`not stored yet (papr profile use ${name} && papr auth login)`)}`);
+  } catch (error) {
+    console.error(chalk.red(`❌ Could not save profile: ${error.message}`));
+    process.exit(getExitCode(error));
   }
+}
 
-  let settings = {};
+async function profileUse(name) {
+  try {
+    useProfile(name);
+    console.log(chalk.green(`✅ Now using profile ${name}`));
+    console.log(chalk.gray('Restart running Claude sessions to pick it up.'));
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+}
 
-  // Read existing settings if they exist
-  if (await fs.pathExists(SETTINGS_FILE)) {
-    try {
-      settings = await fs.readJson(SETTINGS_FILE);
-    } catch (error) {
-      // Invalid JSON, start fresh
-      settings = {};
-    }
+async function profileList() {
+  const { current, profiles } = loadProfiles();
+  const names = Object.keys(profiles);
+  if (names.length === 0) {
+    console.log(chalk.yellow('No profiles yet. Add one with: papr profile add <name>'));
+    return;
   }
 
-  // Add PAPR configuration - Session hooks and MCP tools
-  settings.hooks = {
-    SessionStart: [{
-      matcher: '*',
-      hooks: [{
-        type: 'command',
-        command: `node ${sessionHookPath}`
-      }]
-    }]
-  };
+  names.forEach(name => {
+    const profile = profiles[name];
+    const marker = name === current ? chalk.green('*') : ' ';
+    const key = getStoredApiKey(profile.keyRef);
+    console.log(`${marker} ${chalk.cyan(name)}  ${profile.serverUrl || 'default server'}  ${profile.workspace ? `workspace ${profile.workspace}` : chalk.gray('no workspace')}  ${key ? maskApiKey(key) : chalk.yellow('no key')}`);
+  });
+}
 
-  // Add MCP server for PAPR Memory tools
-  if (!settings.mcpServers) {
-    settings.mcpServers = {};
+async function profileRemove(name) {
+  const profile = removeProfile(name);
+  if (!profile) {
+    console.error(chalk.red(`❌ Profile not found: ${name}`));
+    process.exit(EXIT_CODES.USAGE);
   }
 
-  settings.mcpServers['papr-memory'] = {
-    type: 'stdio',
-    command: 'node',
-    args: [mcpServerPath],
-    env: {
-      PAPR_MEMORY_API_KEY: config.apiKey,
-      PAPR_API_KEY: config.apiKey,
-      NEXT_PUBLIC_MEMORY_SERVER_URL: 'https://memory.papr.ai'
-    }
-  };
+  // Drop the stored key too, unless another profile still points at it
+  const stillUsed = Object.values(loadProfiles().profiles).some(p => p.keyRef === profile.keyRef);
+  if (!stillUsed) {
+    removeApiKey(profile.keyRef);
+  }
+  console.log(chalk.green(`✅ Removed profile ${name}`));
+}
 
-  // Remove any conflicting papr-memory-mcp server (we use our own Node.js implementation)
-  delete settings.mcpServers['papr-memory-mcp'];
+/**
+ * Create a client for terminal commands, failing with the right exit code when no key is set
+ */
+function createTerminalClient() {
+  if (!resolveConnection().apiKey) {
+    throw new CliError('No API key found. Run: papr auth login', EXIT_CODES.MISSING_API_KEY);
+  }
+  return createMemoryClient({ clientType: 'papr_cli', configPrefix: 'tools' });
+}
 
-  settings.env = {
-    ...settings.env,
-    PAPR_MEMORY_API_KEY: config.apiKey,
-    PAPR_API_KEY: config.apiKey,
-    NEXT_PUBLIC_MEMORY_SERVER_URL: 'https://memory.papr.ai'
-  };
+/**
+ * Map an SDK error to a CLI error with a matching exit code
+ */
+function toCliError(error) {
+  if (error instanceof CliError) return error;
+  if (error.status === 401 || error.status === 403) {
+    return new CliError(`API key rejected (HTTP ${error.status}). Run: papr auth login`, EXIT_CODES.AUTH_FAILED);
+  }
+  return new CliError(error.message, EXIT_CODES.GENERAL);
+}
 
-  await fs.writeJson(SETTINGS_FILE, settings, { spaces: 2 });
+function parseTopics(topics) {
+  if (!topics) return [];
+  return topics.split(',').map(topic => topic.trim()).filter(Boolean);
 }
 
-async function setupHooks(spinner) {
-  spinner.text = 'Setting up memory hooks and commands...';
+/**
+ * Parse a --limit option
+ * @param {string} value - Option value (undefined when not given)
+ * @param {number} fallback - Value when not given
+ * @returns {number} - Positive integer
+ * @throws {CliError} - USAGE when the value is not a positive integer
+ */
+function parseLimit(value, fallback) {
+  if (value === undefined) return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new CliError(`Invalid limit: ${value}. Use a positive whole number`, EXIT_CODES.USAGE);
+  }
+  return limit;
+}
 
-  // Resolve the correct templates path (handles global vs local install)
-  const templatesPath = await resolveTemplatesPath();
+function truncate(text, width) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > width ? flat.slice(0, width - 1) + '…' : flat;
+}
 
-  // Verify session hook exists
-  const hookFile = path.join(templatesPath, 'session-hook.js');
-  if (!(await fs.pathExists(hookFile))) {
-    throw new Error(`Session hook template not found at: ${hookFile}`);
+/**
+ * Render search results as a table, JSON or Markdown
+ * @param {Object} summary - summarizeSearchResult output
+ * @param {string} format - 'table', 'json' or 'md'
+ * @returns {string} - Rendered output
+ */
+function formatSearchResults(summary, format) {
+  if (format === 'json') {
+    return JSON.stringify(summary, null, 2);
   }
 
-  // Setup Claude CLI commands directory
-  const claudeCommandsDir = path.join(CLAUDE_DIR, 'commands');
-  await fs.ensureDir(claudeCommandsDir);
-
-  // Copy command templates
-  const commandsSourceDir = path.join(templatesPath, 'commands');
+  const { memories } = summary;
+
+  if (format === 'md') {
+    if (memories.length === 0) return '_No memories found._';
+    return memories.map((m, i) => {
+      const lines = [`### ${i + 1}. ${m.title || truncate(m.content, 60)}`, '', m.content.trim(), ''];
+      const meta = [`id: \`${m.id}\``];
+      if (m.topics?.length) meta.push(`topics: ${m.topics.join(', ')}`);
+      if (m.createdAt) meta.push(`created: ${m.createdAt}`);
+      lines.push(`_${meta.join(' · ')}_`);
+      return lines.join('\n');
+    }).join('\n\n');
+  }
 
-  if (await fs.pathExists(commandsSourceDir)) {
-    await fs.copy(commandsSourceDir, claudeCommandsDir, { overwrite: true });
-    spinner.text = 'Memory commands installed ✓';
+  if (memories.length === 0) {
+    return chalk.yellow('No memories found. Try broader terms.');
   }
 
-  spinner.text = 'Memory hooks and commands ready ✓';
+  // Table sized to the terminal; content gets whatever the other columns leave
+  const columns = process.stdout.columns || 120;
+  const idWidth = Math.max(...memories.map(m => String(m.id).length), 2);
+  const topicsWidth = 24;
+  const contentWidth = Math.max(columns - idWidth - topicsWidth - 12, 30);
+
+  const rows = memories.map((m, i) => [
+    String(i + 1).padStart(2),
+    String(m.id).padEnd(idWidth),
+    truncate(m.title ? `${m.title}: ${m.content}` : m.content, contentWidth).padEnd(contentWidth),
+    truncate((m.topics || []).join(', '), topicsWidth)
+  ].join('  '));
+
+  const header = chalk.bold([' #', 'ID'.padEnd(idWidth), 'Memory'.padEnd(contentWidth), 'Topics'].join('  '));
+  return [header, ...rows].join('\n');
 }
 
-async function setupPaprAgent(spinner) {
-  spinner.text = 'Installing PAPR Memory agent...';
+async function searchMemories(query, options = {}) {
+  const format = options.format || 'table';
+  if (!['table', 'json', 'md'].includes(format)) {
+    console.error(chalk.red(`❌ Unknown format: ${format}. Use table, json or md`));
+    process.exit(EXIT_CODES.USAGE);
+  }
 
-  // Ensure Claude agents directory exists
-  const claudeAgentsDir = path.join(CLAUDE_DIR, 'agents');
-  await fs.ensureDir(claudeAgentsDir);
+  const spinner = ora({ text: 'Searching memories...', isSilent: format !== 'table' }).start();
 
-  // Resolve the correct templates path (handles global vs local install)
-  const templatesPath = await resolveTemplatesPath();
-  const agentTemplatePath = path.join(templatesPath, 'papr-memory-agent.md');
+  try {
+    const limit = parseLimit(options.limit);
+    const client = createTerminalClient();
+    const topics = parseTopics(options.topics);
+    const searchParams = buildSearchParams({
+      query,
+      max_memories: limit,
+      enable_agentic_graph: options.graph === true,
+      metadata: topics.length > 0 ? { topics } : undefined
+    });
 
-  // Verify agent template exists
-  if (!(await fs.pathExists(agentTemplatePath))) {
-    throw new Error(`PAPR Memory agent template not found at: ${agentTemplatePath}`);
+    const result = await client.memory.search(searchParams);
+    spinner.stop();
+    const summary = summarizeSearchResult(result);
+    cacheMemories(summary.memories);
+    console.log(formatSearchResults(summary, format));
+  } catch (error) {
+    const cliError = toCliError(error);
+    spinner.stop();
+    console.error(chalk.red(`❌ Search failed: ${cliError.message}`));
+    process.exit(cliError.exitCode);
   }
+}
+
+async function addMemory(content, options = {}) {
+  const spinner = ora({ text: 'Saving memory...', isSilent: Boolean(options.json) }).start();
+
+  try {
+    if (content === '-') {
+      // `papr add -` reads the memory from stdin, e.g. git log -1 | papr add -
+      content = await new Promise((resolve, reject) => {
+        let data = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => { data += chunk; });
+        process.stdin.on('end', () => resolve(data));
+        process.stdin.on('error', reject);
+      });
+    }
+    if (!content || !content.trim()) {
+      throw new CliError('Memory content is empty', EXIT_CODES.USAGE);
+    }
 
-  // Copy all PAPR agents to Claude agents directory
-  const agentsToInstall = [
-    { source: 'papr-memory-agent.md', target: 'papr-memory-agent.md', name: 'Memory' },
-    { source: 'prd-agent.md', target: 'prd-agent.md', name: 'PRD' },
-    { source: 'architect-agent.md', target: 'architect-agent.md', name: 'Architect' },
-    { source: 'workflow-orchestrator-agent.md', target: 'workflow-orchestrator.md', name: 'Workflow Orchestrator' }
-  ];
+    const client = createTerminalClient();
+    const memoryType = options.type || 'general';
+    const topics = parseTopics(options.topics);
+    const importance = options.importance || 'medium';
 
-  const installedAgents = [];
+    const addParams = buildAddParams({
+      content,
+      metadata: buildMemoryMetadata({ type: memoryType, topics, importance })
+    });
 
-  for (const agent of agentsToInstall) {
-    const sourceAgentPath = agentTemplatePath.replace('papr-memory-agent.md', agent.source);
-    const targetAgentPath = path.join(claudeAgentsDir, agent.target);
+    const result = await client.memory.add(addParams);
+    const memoryId = result.data?.[0]?.memoryId || null;
+    if (memoryId) cacheMemories([{ id: memoryId, content }]);
 
-    if (await fs.pathExists(sourceAgentPath)) {
-      await fs.copy(sourceAgentPath, targetAgentPath, { overwrite: true });
-      installedAgents.push(agent.name);
+    if (options.json) {
+      console.log(JSON.stringify({ status: 'success', memory_id: memoryId, data: result.data }, null, 2));
+      return;
+    }
+    spinner.succeed(chalk.green(`Memory saved${memoryId ? ` (${memoryId})` : ''}`));
+    console.log(chalk.gray(`Type: ${memoryType}  Topics: ${topics.join(', ') || 'none'}  Importance: ${importance}`));
+  } catch (error) {
+    const cliError = toCliError(error);
+    spinner.fail(chalk.red(`❌ Could not save memory: ${cliError.message}`));
+    if (options.json) {
+      console.log(JSON.stringify({ status: 'error', error: cliError.message, exitCode: cliError.exitCode }, null, 2));
     }
+    process.exit(cliError.exitCode);
   }
+}
 
-  if (installedAgents.length > 0) {
-    spinner.text = `PAPR agents installed: ${installedAgents.join(', ')} ✓`;
-  } else {
-    spinner.text = 'PAPR Memory agent installed ✓';
-  }
+/**
+ * Open a file in $VISUAL / $EDITOR and wait for the editor to exit
+ * @param {string} file - File to edit
+ * @returns {Promise<number>} - Editor exit code
+ */
+async function openInEditor(file) {
+  const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+  const child = spawn(editor, [file], { stdio: 'inherit', shell: true });
+  return new Promise((resolve, reject) => {
+    child.on('exit', code => resolve(code || 0));
+    child.on('error', reject);
+  });
 }
 
-async function startClaude(options = {}) {
-  // Display seasonal or regular logo with animation
-  if (isRamadanSeason()) {
-    await playStarryNightAnimation();
-    console.log('');
-    const logo = getRamadanLogo();
-    logo.forEach(line => console.log(line));
-  } else if (isHolidaySeason()) {
-    await playSnowfallAnimation();
-    console.log('');
-    const logo = getHolidayLogo();
-    logo.forEach(line => console.log(line));
-  } else {
-    console.log('');
-    const logo = getRegularLogo();
-    logo.forEach(line => console.log(line));
-    console.log(chalk.hex('#00FEFE')('        Memory-Enhanced Claude CLI'));
+async function fetchMemory(client, memoryId) {
+  const result = await client.memory.get(memoryId);
+  const memory = result.data?.memories?.[0];
+  if (!memory) {
+    throw new CliError(`Memory not found: ${memoryId}`, EXIT_CODES.GENERAL);
   }
-  console.log('');
-  console.log(chalk.gray('💡 If prompted about file trust, select "Yes, proceed"'));
-  console.log('');
-
-  // Set environment variables
-  process.env.PAPR_MEMORY_ENABLED = options.memory !== false ? 'true' : 'false';
+  return memory;
+}
 
-  // Launch Claude CLI
-  const claude = spawn('claude', [], {
-    stdio: 'inherit',
-    env: { ...process.env },
-    cwd: process.cwd()
-  });
+function printMemory(memory) {
+  const custom = memory.customMetadata || {};
+  console.log(chalk.bold(memory.title || truncate(memory.content, 60)));
+  console.log(`${chalk.gray('ID:')} ${memory.id}`);
+  if (custom.memory_type) console.log(`${chalk.gray('Type:')} ${custom.memory_type}${custom.importance ? ` (${custom.importance} importance)` : ''}`);
+  if (memory.topics?.length) console.log(`${chalk.gray('Topics:')} ${memory.topics.join(', ')}`);
+  if (memory.createdAt) console.log(`${chalk.gray('Created:')} ${memory.createdAt}`);
+  if (memory.updatedAt) console.log(`${chalk.gray('Updated:')} ${memory.updatedAt}`);
+  console.log('');
+  console.log(memory.content);
+}
 
-  claude.on('close', (code) => {
-    if (code !== 0 && code !== null) {
-      console.error(chalk.red(`\\nClaude CLI exited with code ${code}`));
+async function memoryGet(memoryId, options = {}) {
+  try {
+    const memory = await fetchMemory(createTerminalClient(), memoryId);
+    cacheMemories([memory]);
+    if (options.json) {
+      console.log(JSON.stringify(memory, null, 2));
+    } else {
+      printMemory(memory);
     }
-    process.exit(code || 0);
-  });
+  } catch (error) {
+    const cliError = toCliError(error);
+    console.error(chalk.red(`❌ ${cliError.message}`));
+    process.exit(cliError.exitCode);
+  }
+}
 
-  claude.on('error', (error) => {
-    console.error(chalk.red(`Failed to start Claude CLI: ${error.message}`));
-    console.log(chalk.yellow('💡 Try running: papr init'));
-    process.exit(1);
-  });
+async function memoryUpdate(memoryId, options = {}) {
+  try {
+    const client = createTerminalClient();
+    let content = options.content;
 
-  // Handle process termination
-  process.on('SIGINT', () => {
-    claude.kill('SIGINT');
-  });
+    if (!content) {
+      if (!process.stdin.isTTY) {
+        throw new CliError('No editor available without a terminal. Pass --content <text>', EXIT_CODES.USAGE);
+      }
 
-  process.on('SIGTERM', () => {
-    claude.kill('SIGTERM');
-  });
-}
+      const memory = await fetchMemory(client, memoryId);
+      const file = path.join(os.tmpdir(), `papr-memory-${process.pid}.md`);
+      await fs.writeFile(file, memory.content);
+      try {
+        await openInEditor(file);
+        content = await fs.readFile(file, 'utf8');
+      } finally {
+        await fs.remove(file);
+      }
 
-async function checkStatus() {
-  console.log(chalk.blue('🔍 PAPR CLI Status Check'));
-  console.log('─'.repeat(40));
+      if (content.trim() === memory.content.trim()) {
+        console.log(chalk.yellow('No changes; memory left as is'));
+        return;
+      }
+    }
 
-  // Check Claude CLI installation
-  const claudeInstalled = await new Promise((resolve) => {
-    exec('claude --version', (error) => resolve(!error));
-  });
+    if (!content.trim()) {
+      throw new CliError('Memory content is empty. Use papr memory delete to remove it', EXIT_CODES.USAGE);
+    }
 
-  console.log(`Claude CLI: ${claudeInstalled ? chalk.green('✅ Installed') : chalk.red('❌ Not found')}`);
+    const spinner = ora({ text: 'Updating memory...', isSilent: Boolean(options.json) }).start();
+    const { body } = buildUpdateParams({ memory_id: memoryId, content });
+    const result = await client.memory.update(memoryId, body).catch(error => {
+      spinner.stop();
+      throw error;
+    });
+    cacheMemories([{ id: memoryId, content }]);
+    recordMemoryChange(memoryId);
 
-  // Check PAPR Memory SDK
-  const paprInstalled = await new Promise((resolve) => {
-    exec('npm list -g @papr/memory', (error) => resolve(!error));
-  });
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    spinner.succeed(chalk.green(`Updated ${memoryId}`));
+  } catch (error) {
+    const cliError = toCliError(error);
+    console.error(chalk.red(`❌ Update failed: ${cliError.message}`));
+    process.exit(cliError.exitCode);
+  }
+}
 
-  console.log(`PAPR Memory SDK: ${paprInstalled ? chalk.green('✅ Installed') : chalk.red('❌ Not found')}`);
+async function memoryDelete(memoryId, options = {}) {
+  try {
+    const client = createTerminalClient();
 
-  // Check configuration
-  const configExists = await fs.pathExists(SETTINGS_FILE);
-  console.log(`Configuration: ${configExists ? chalk.green('✅ Found') : chalk.red('❌ Missing')}`);
+    if (!options.yes) {
+      if (!process.stdin.isTTY) {
+        throw new CliError('Refusing to delete without confirmation. Pass --yes', EXIT_CODES.USAGE);
+      }
 
-  if (configExists) {
-    try {
-      const settings = await fs.readJson(SETTINGS_FILE);
-      const hasHooks = settings.hooks && settings.hooks.SessionStart;
-      const hasEnv = settings.env && settings.env.PAPR_MEMORY_API_KEY;
+      const memory = await fetchMemory(client, memoryId);
+      console.log(chalk.gray(truncate(memory.content, 200)));
+      const { confirm } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirm',
+        message: `Delete memory ${memoryId}? This cannot be undone.`,
+        default: false
+      }]);
+      if (!confirm) {
+        console.log(chalk.yellow('Cancelled'));
+        return;
+      }
+    }
 
-      console.log(`Memory Hooks: ${hasHooks ? chalk.green('✅ Configured') : chalk.red('❌ Missing')}`);
-      console.log(`API Key: ${hasEnv ? chalk.green('✅ Set') : chalk.red('❌ Missing')}`);
-    } catch (error) {
-      console.log(chalk.red('❌ Configuration file corrupted'));
+    const result = await client.memory.delete(memoryId);
+    uncacheMemory(memoryId);
+    recordMemoryChange(memoryId);
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
     }
+    console.log(chalk.green(`✅ Deleted ${memoryId}`));
+  } catch (error) {
+    const cliError = toCliError(error);
+    console.error(chalk.red(`❌ Delete failed: ${cliError.message}`));
+    process.exit(cliError.exitCode);
   }
+}
 
-  // Check MCP server status
-  const mcpStatus = await checkMcpServer();
-  console.log(`MCP Server: ${mcpStatus.status}`);
-  if (mcpStatus.details) {
-    console.log(`  ${mcpStatus.details}`);
+async function memoryPin(memoryId) {
+  try {
+    const memory = await fetchMemory(createTerminalClient(), memoryId);
+    cacheMemories([memory]);
+    if (!pinMemory(memory)) {
+      console.log(chalk.yellow(`${memoryId} is already pinned`));
+      return;
+    }
+    console.log(chalk.green(`✅ Pinned ${memoryId}`));
+    console.log(chalk.gray(`MCP clients list it as papr://memory/${memoryId}`));
+  } catch (error) {
+    const cliError = toCliError(error);
+    console.error(chalk.red(`❌ Pin failed: ${cliError.message}`));
+    process.exit(cliError.exitCode);
   }
+}
 
-  console.log('─'.repeat(40));
+async function memoryUnpin(memoryId) {
+  let unpinned;
+  try {
+    unpinned = unpinMemory(memoryId);
+  } catch (error) {
+    console.error(chalk.red(`❌ Unpin failed: ${error.message}`));
+    process.exit(EXIT_CODES.GENERAL);
+  }
+  if (!unpinned) {
+    console.error(chalk.red(`❌ ${memoryId} is not pinned`));
+    process.exit(EXIT_CODES.GENERAL);
+  }
+  console.log(chalk.green(`✅ Unpinned ${memoryId}`));
+}
 
-  if (!claudeInstalled || !paprInstalled || !configExists) {
-    console.log(chalk.yellow('💡 Run: papr init'));
-  } else if (!mcpStatus.working) {
-    console.log(chalk.yellow('💡 MCP server needs setup. Try: claude mcp add papr-memory "node /full/path/to/papr-mcp-server.js"'));
-  } else {
-    console.log(chalk.green('🎉 All systems ready! Run: papr start'));
+function listPinnedMemories(options = {}) {
+  const pinned = loadPinnedMemories();
+  if (options.json) {
+    console.log(JSON.stringify(pinned, null, 2));
+    return;
+  }
+  if (pinned.length === 0) {
+    console.log(chalk.gray('No pinned memories. Pin one with: papr memory pin <id>'));
+    return;
   }
+  pinned.forEach(pin => console.log(`${pin.id}  ${chalk.gray(pin.summary)}`));
 }
 
-async function checkMcpServer() {
-  try {
-    // Check if MCP server is registered
-    const mcpList = await new Promise((resolve, reject) => {
-      exec('claude mcp list', (error, stdout) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve(stdout);
-        }
-      });
-    });
+async function memoryList(options = {}) {
+  if (options.pinned) {
+    listPinnedMemories(options);
+    return;
+  }
 
-    if (mcpList.includes('papr-memory')) {
-      return {
-        status: chalk.green('✅ Registered'),
-        working: true,
-        details: 'PAPR Memory tools should be available in Claude CLI'
-      };
-    } else if (mcpList.includes('No MCP servers configured')) {
-      return {
-        status: chalk.yellow('⚠️ Not registered'),
-        working: false,
-        details: 'No MCP servers found. Memory tools not available to Claude.'
-      };
-    } else {
-      return {
-        status: chalk.yellow('⚠️ Not found'),
-        working: false,
-        details: 'PAPR Memory server not in MCP list'
-      };
-    }
-  } catch (error) {
-    // Test if the MCP server file exists and is runnable
-    const templatesPath = await resolveTemplatesPath();
-    const mcpServerPath = path.join(templatesPath, 'papr-mcp-server.js');
-    const serverExists = await fs.pathExists(mcpServerPath);
+  const spinner = ora({ text: 'Loading memories...', isSilent: Boolean(options.json) }).start();
 
-    if (!serverExists) {
-      return {
-        status: chalk.red('❌ Missing'),
-        working: false,
-        details: 'MCP server file not found'
-      };
+  try {
+    const limit = parseLimit(options.limit, getConfigValue('search.maxMemories'));
+    const client = createTerminalClient();
+    const topics = parseTopics(options.topics);
+
+    // The API has no list endpoint, so list with a broad search and sort newest first
+    const query = options.type
+      ? `${options.type} memories saved from Claude CLI sessions`
+      : 'Recent memories, preferences, decisions, tasks and context saved from Claude CLI sessions';
+    const result = await client.memory.search(buildSearchParams({
+      query,
+      max_memories: options.type ? Math.max(limit * 2, 20) : limit,
+      metadata: topics.length > 0 ? { topics } : undefined
+    }));
+
+    let memories = result.data?.memories || [];
+    if (options.type) {
+      memories = memories.filter(m => m.customMetadata?.memory_type === options.type);
     }
+    memories = memories
+      .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')))
+      .slice(0, limit);
 
-    return {
-      status: chalk.yellow('⚠️ Unknown'),
-      working: false,
-      details: 'Could not check MCP status'
-    };
+    spinner.stop();
+    cacheMemories(memories);
+    console.log(formatSearchResults({ ...summarizeSearchResult(result), memories, total_memories: memories.length }, options.json ? 'json' : 'table'));
+  } catch (error) {
+    const cliError = toCliError(error);
+    spinner.stop();
+    console.error(chalk.red(`❌ List failed: ${cliError.message}`));
+    process.exit(cliError.exitCode);
   }
 }
 
-async function setupMcpServer(config, spinner) {
-  spinner.text = 'Registering PAPR Memory MCP server...';
+async function exportMemories(options = {}) {
+  const format = detectFormat(options.out || '', options.format);
+  const spinner = ora({ text: 'Exporting memories...', isSilent: !options.out }).start();
 
-  // Resolve the correct templates path (handles global vs local install)
-  const templatesPath = await resolveTemplatesPath();
-  const mcpServerPath = path.join(templatesPath, 'papr-mcp-server.js');
+  try {
+    const limit = options.limit === undefined ? 100 : parseInt(options.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new CliError(`Invalid limit: ${options.limit}`, EXIT_CODES.USAGE);
+    }
 
-  // Verify MCP server file exists
-  if (!(await fs.pathExists(mcpServerPath))) {
-    throw new Error(`MCP server template not found at: ${mcpServerPath}. Try reinstalling: npm install -g @papr/cli`);
-  }
+    // The server returns at most MAX_SEARCH_MEMORIES per search, whatever --limit asks for
+    const requested = Math.min(limit, MAX_SEARCH_MEMORIES);
+
+    const client = createTerminalClient();
+    const topics = parseTopics(options.topics);
+    const result = await client.memory.search(buildSearchParams({
+      query: options.query || 'All memories: preferences, goals, tasks, decisions, solutions, insights and project context',
+      max_memories: requested,
+      metadata: topics.length > 0 ? { topics } : undefined
+    }));
 
-  // Read existing settings to modify
-  let settings = {};
-  if (await fs.pathExists(SETTINGS_FILE)) {
-    try {
-      settings = await fs.readJson(SETTINGS_FILE);
-    } catch (error) {
-      settings = {};
+    const records = (result.data?.memories || []).map(toExportRecord);
+    const output = serializeRecords(records, format);
+
+    // The API has no list endpoint, so the export is one search: hitting its limit means memories
+    // were probably left out
+    const capped = records.length >= requested;
+
+    if (!options.out) {
+      // Without --out the export goes to stdout so it can be piped
+      process.stdout.write(output);
+    } else {
+      await fs.ensureDir(path.dirname(path.resolve(options.out)));
+      await fs.writeFile(options.out, output);
+      const message = `Exported ${records.length} memories to ${options.out} (${format})`;
+      if (capped) {
+        spinner.warn(chalk.yellow(message));
+      } else {
+        spinner.succeed(chalk.green(message));
+      }
     }
-  }
 
-  // Add MCP server configuration directly to settings
-  if (!settings.mcpServers) {
-    settings.mcpServers = {};
+    if (capped && requested < limit) {
+      console.error(chalk.yellow(`⚠️ The server returns at most ${MAX_SEARCH_MEMORIES} memories per search, so the export is probably incomplete. Export in parts with --query or --topics`));
+      process.exit(EXIT_CODES.GENERAL);
+    }
+    if (capped) {
+      console.error(chalk.yellow(`⚠️ The export reached its limit of ${limit} memories and is probably incomplete. Raise --limit, or export in parts with --query or --topics`));
+      process.exit(EXIT_CODES.GENERAL);
+    }
+  } catch (error) {
+    const cliError = toCliError(error);
+    spinner.stop();
+    console.error(chalk.red(`❌ Export failed: ${cliError.message}`));
+    process.exit(cliError.exitCode);
   }
+}
+
+async function importMemories(file, options = {}) {
+  const reportFile = options.report || `${file}.import-report.json`;
 
-  settings.mcpServers['papr-memory'] = {
-    type: 'stdio',
-    command: 'node',
-    args: [mcpServerPath],
-    env: {
-      PAPR_MEMORY_API_KEY: config.apiKey,
-      PAPR_API_KEY: config.apiKey,
-      NEXT_PUBLIC_MEMORY_SERVER_URL: 'https://memory.papr.ai'
+  try {
+    if (!(await fs.pathExists(file))) {
+      throw new CliError(`File not found: ${file}`, EXIT_CODES.USAGE);
     }
-  };
 
-  // Add PAPR workflow system prompt instructions
-  const systemPromptInstructions = `
-## PAPR Workflow Orchestration System
+    const records = parseRecords(await fs.readFile(file, 'utf8'), detectFormat(file, options.format));
+
+    let previous = null;
+    if (options.resume) {
+      previous = await loadReport(reportFile);
+      if (!previous) {
+        throw new CliError(`No report to resume from at ${reportFile}`, EXIT_CODES.USAGE);
+      }
+      console.log(chalk.gray(`Resuming: ${previous.succeeded.length} of ${previous.total} already imported`));
+    }
 
-When users have PAPR CLI installed, you have access to 4 specialized agents for systematic feature development:
+    if (options.dryRun) {
+      const invalid = records.filter(record => record.error);
+      console.log(`${records.length - invalid.length} memories ready to import, ${invalid.length} invalid`);
+      invalid.forEach(record => console.log(chalk.yellow(`  line ${record.line}: ${record.error}`)));
+      return;
+    }
 
-### Automatic Workflow Detection
+    const client = createTerminalClient();
+    const spinner = ora(`Importing ${records.length - (previous?.succeeded.length || 0)} memories...`).start();
+    const report = await importRecords(client, records, {
+      source: path.resolve(file),
+      reportFile,
+      previous,
+      onChunk: (done, total) => {
+        spinner.text = `Importing memories... ${done}/${total}`;
+      }
+    });
 
-**For New Feature Requests** (keywords: "implement", "create", "build", "add feature"):
-1. Use \`workflow-orchestrator\` agent to coordinate the process
-2. Agent will invoke \`prd-agent\` to research memory and create requirements
-3. Agent will invoke \`architect-agent\` to analyze codebase and create technical plans
-4. Follow the detailed task breakdown with progress tracking
+    if (report.failed.length === 0) {
+      spinner.succeed(chalk.green(`Imported ${report.succeeded.length} memories`));
+      return;
+    }
 
-**For Continuing Work** (keywords: "continue", "update", "modify", "keep working"):
-1. Use \`papr-memory-agent\` to find existing PRDs, architecture, and task progress
-2. Resume implementation from current task status
-3. Update task completion in memory as work progresses
+    spinner.warn(chalk.yellow(`Imported ${report.succeeded.length} memories, ${report.failed.length} failed`));
+    report.failed.slice(0, 5).forEach(failure => {
+      console.log(chalk.yellow(`  #${failure.index + 1}${failure.line ? ` (line ${failure.line})` : ''}: ${failure.error}`));
+    });
+    if (report.failed.length > 5) {
+      console.log(chalk.gray(`  ...and ${report.failed.length - 5} more`));
+    }
+    console.log(chalk.gray(`Report: ${reportFile}`));
+    console.log(chalk.gray(`Retry the failures with: papr import ${file} --resume`));
+    process.exit(EXIT_CODES.GENERAL);
+  } catch (error) {
+    const cliError = toCliError(error);
+    console.error(chalk.red(`❌ Import failed: ${cliError.message}`));
+    process.exit(cliError.exitCode);
+  }
+}
 
-### Agent Usage Guidelines
+function formatConfigValue(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
 
-- **workflow-orchestrator**: Complex multi-step feature development, coordination
-- **prd-agent**: New features needing requirements documentation and planning
-- **architect-agent**: Technical design, codebase analysis, task breakdown
-- **papr-memory-agent**: Context search, previous decisions, existing patterns
+async function configGet(key) {
+  if (!SCHEMA[key]) {
+    console.error(chalk.red(`❌ Unknown key: ${key}. Run: papr config list`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  const { values } = loadConfig();
+  console.log(Array.isArray(values[key]) ? JSON.stringify(values[key]) : values[key]);
+}
 
-### Best Practices
-1. Always research memory first before starting new work
-2. Follow the workflow for complex features (PRD → Architecture → Implementation)
-3. Track progress by updating task status in memory
-4. Use architect agent's codebase analysis for consistency
+async function configSet(key, rawValue, options = {}) {
+  try {
+    const layer = options.project ? 'project' : 'user';
+    const file = setConfigValue(key, parseValue(key, rawValue), { layer });
+    console.log(chalk.green(`✅ ${key} = ${formatConfigValue(loadConfig().values[key])}`));
+    console.log(chalk.gray(`Saved to ${file}`));
+
+    // Env vars win over files, so the new value would silently not apply
+    if (process.env[envVarFor(key)] !== undefined) {
+      console.log(chalk.yellow(`⚠️ ${envVarFor(key)} is set and overrides this value`));
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(error instanceof SyntaxError ? EXIT_CODES.SETTINGS_INVALID : EXIT_CODES.USAGE);
+  }
+}
 
-Use the Task tool to invoke agents:
-\`\`\`
-await Task({
-  description: "Coordinate feature development",
-  prompt: "Manage development of [feature] following systematic workflow",
-  subagent_type: "workflow-orchestrator"
-});
-\`\`\`
-`;
+async function configList(options = {}) {
+  const { values, sources, errors } = loadConfig();
 
-  // Add to existing system prompt or create new one
-  const existingSystemPrompt = settings.systemPrompt || '';
-  settings.systemPrompt = existingSystemPrompt + systemPromptInstructions;
+  if (options.json) {
+    console.log(JSON.stringify({ values, sources, errors }, null, 2));
+    return;
+  }
 
-  // Write updated settings
-  await fs.writeJson(SETTINGS_FILE, settings, { spaces: 2 });
+  Object.keys(SCHEMA).forEach(key => {
+    const source = sources[key] === 'default' ? chalk.gray('default') : chalk.cyan(sources[key]);
+    console.log(`${key} = ${formatConfigValue(values[key])}  ${source}`);
+    console.log(chalk.gray(`    ${SCHEMA[key].description} (env: ${envVarFor(key)})`));
+  });
 
-  spinner.text = 'PAPR Memory MCP server and system prompt registered ✓';
+  errors.forEach(error => console.log(chalk.yellow(`⚠️ Ignored ${error}`)));
 }
 
-async function updateHooks() {
-  const spinner = ora('Updating PAPR memory hooks').start();
+async function configEdit(options = {}) {
+  const file = getConfigFile(options.project ? 'project' : 'user');
+  if (!(await fs.pathExists(file))) {
+    await fs.ensureDir(path.dirname(file));
+    await fs.writeFile(file, '{}\n');
+  }
+
+  await openInEditor(file);
+
+  // Validate what was saved so mistakes show up now rather than as ignored values later
+  const { errors } = readConfigFile(file);
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(chalk.red(`❌ ${error}`)));
+    console.error(chalk.yellow('Invalid values are ignored until fixed. Run: papr config edit'));
+    process.exit(EXIT_CODES.SETTINGS_INVALID);
+  }
+  console.log(chalk.green(`✅ ${file} is valid`));
+}
 
+async function restoreSettings(backupName, options = {}) {
   try {
-    // Copy latest hook templates
-    await setupHooks(spinner);
+    if (options.list || !backupName) {
+      const backups = await listBackups();
+      if (backups.length === 0) {
+        console.log(chalk.yellow('No settings backups found'));
+        return;
+      }
+
+      console.log(chalk.blue('🗂️  Settings backups (newest first):'));
+      backups.forEach(backup => {
+        console.log(`  ${chalk.cyan(backup.name)}  ${chalk.gray(backup.source)}`);
+      });
+      console.log('\n' + chalk.gray('Restore one with: papr restore <backup>'));
+      return;
+    }
 
-    spinner.succeed(chalk.green('✅ Hooks updated successfully!'));
+    const result = await restoreBackup(backupName);
+    console.log(chalk.green(`✅ Restored ${result.restored.name} to ${result.target}`));
+    if (result.backup) {
+      console.log(chalk.gray(`Previous version saved as ${result.backup.name}`));
+    }
   } catch (error) {
-    spinner.fail(chalk.red(`❌ Update failed: ${error.message}`));
+    console.error(chalk.red(`❌ Restore failed: ${error.message}`));
+    process.exit(1);
   }
 }
 
@@ -611,32 +1932,19 @@ async function indexCodebase(directory, options = {}) {
 
   const spinner = ora('Initializing code indexer').start();
 
-  try {
-    // Check if directory exists
-    if (!(await fs.pathExists(directory))) {
-      spinner.fail(chalk.red('❌ Directory not found'));
-      console.log(chalk.yellow(`Please provide a valid directory path: ${directory}`));
-      process.exit(1);
-    }
-
-    // Load code indexer
-    const { getCodeIndexer } = require('./code-indexer/index');
-    const indexer = getCodeIndexer();
-
-    // Initialize schema
-    spinner.text = 'Initializing schema...';
-    const initResult = await indexer.initialize();
-    if (!initResult.success) {
-      throw new Error(`Schema initialization failed: ${initResult.error}`);
+  // The indexer's per-file lines go to the console as before
+  const cli = new PaprCli({ logger: console });
+  cli.on('progress', (event) => {
+    if (event.schemaId) {
+      spinner.succeed(chalk.green(`✓ ${event.message}`));
+      spinner.start();
+    } else {
+      spinner.text = event.message;
     }
-    spinner.succeed(chalk.green(`✓ Schema ready (${initResult.schemaId})`));
+  });
 
-    // Index directory
-    spinner.start('Indexing files...');
-    const result = await indexer.indexDirectory(directory, {
-      includeTests: options.includeTests || false,
-      includeGenerated: options.includeGenerated || false
-    });
+  try {
+    const result = await cli.index(directory, options);
 
     spinner.stop();
 
@@ -677,15 +1985,61 @@ async function indexCodebase(directory, options = {}) {
 
   } catch (error) {
     spinner.fail(chalk.red(`❌ Indexing failed: ${error.message}`));
-    console.error(error.stack);
-    process.exit(1);
+    if (error.cause) {
+      console.error(error.cause.stack);
+    }
+    process.exit(error.exitCode);
   }
 }
 
 module.exports = {
+  PaprCli,
+  CliError,
+  EXIT_CODES,
   initPapr,
   startClaude,
   checkStatus,
-  updateHooks,
+  collectStatus,
+  updatePapr,
+  runtimeList,
+  runtimePrune,
+  agentsList,
+  agentsInstall,
+  agentsRemove,
+  agentsEnable,
+  agentsDisable,
+  agentsNew,
+  agentsDiff,
+  clientsList,
+  clientsRemove,
+  mcpServe,
+  hookSessionStart,
+  mcpToken,
+  printCompletion,
+  uninstallPapr,
+  restoreSettings,
+  runDoctor,
+  authLogin,
+  authLogout,
+  authRotate,
+  authWhoami,
+  profileAdd,
+  profileUse,
+  profileList,
+  profileRemove,
+  configGet,
+  configSet,
+  configList,
+  configEdit,
+  searchMemories,
+  addMemory,
+  memoryGet,
+  memoryUpdate,
+  memoryDelete,
+  memoryPin,
+  memoryUnpin,
+  memoryList,
+  exportMemories,
+  importMemories,
   indexCodebase
 };
\ No newline at end of file
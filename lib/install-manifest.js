@@ -0,0 +1,382 @@
+/**
+ * Install Manifest
+ * Records every file and settings entry PAPR writes in ~/.papr/install.json, with checksums,
+ * so `papr update` can upgrade only what PAPR owns and spot what the user edited locally.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { PAPR_DIR } = require('./credentials');
+const {
+  readSettings,
+  writeSettings,
+  mergePaprSettings,
+  mergeMcpServer,
+  isPaprHookGroup,
+  isPaprEnvKey
+} = require('./settings-manager');
+
+const MANIFEST_FILE = path.join(PAPR_DIR, 'install.json');
+const CLI_VERSION = require('../package.json').version;
+
+/**
+ * Checksum file content or a settings value
+ * @param {string|Buffer|Object} value - Content or JSON value
+ * @returns {string|null} - sha256 hex, or null for undefined values
+ */
+function checksum(value) {
+  if (value === undefined || value === null) return null;
+  const data = typeof value === 'string' || Buffer.isBuffer(value) ? value : JSON.stringify(value);
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+async function fileChecksum(file) {
+  if (!(await fs.pathExists(file))) return null;
+  return checksum(await fs.readFile(file));
+}
+
+/**
+ * Load the manifest
+ * @returns {Promise<Object>} - { installs: { [key]: install } }
+ */
+async function loadManifest() {
+  const data = await fs.readJson(MANIFEST_FILE).catch(() => ({}));
+  return { installs: data.installs || {} };
+}
+
+async function saveManifest(manifest) {
+  await fs.ensureDir(PAPR_DIR);
+  await fs.writeJson(MANIFEST_FILE, manifest, { spaces: 2 });
+}
+
+/**
+ * Manifest key for an install target: one user install, one per project directory per scope
+ * @param {Object} target - Scope paths from getScopePaths
+ * @returns {string}
+ */
+function getInstallKey(target) {
+  return target.scope === 'user' ? 'user' : `${target.scope}:${path.dirname(target.root)}`;
+}
+
+/**
+ * Extract the settings entries PAPR owns
+ * @param {Object} settings - Settings file content
+ * @param {Object} mcpConfig - .mcp.json content (project scope only)
+ * @param {Object} target - Scope paths
+ * @returns {Array<Object>} - [{ file, key, value }]
+ */
+function getOwnedEntries(settings, mcpConfig, target) {
+  const paprEnv = Object.fromEntries(Object.entries(settings.env || {}).filter(([key]) => isPaprEnvKey(key)));
+  const mcpSource = target.mcpFile ? mcpConfig : settings;
+
+  return [
+    {
+      file: target.settingsFile,
+      key: 'hooks.SessionStart[papr]',
+      value: (settings.hooks?.SessionStart || []).find(isPaprHookGroup) || null
+    },
+    {
+      file: target.mcpFile || target.settingsFile,
+      key: 'mcpServers.papr-memory',
+      value: mcpSource.mcpServers?.['papr-memory'] || null
+    },
+    {
+      file: target.settingsFile,
+      key: 'env[PAPR]',
+      value: Object.keys(paprEnv).length > 0 ? paprEnv : null
+    }
+  ];
+}
+
+/**
+ * Read the PAPR-owned settings entries of a target as they are now, and as the current templates want them
+ * @param {Object} target - Scope paths
+ * @param {Object} paths - { sessionHookPath, mcpServerPath }
+ * @returns {Promise<Object>} - { current, desired } entry lists
+ */
+async function getSettingsState(target, { sessionHookPath, mcpServerPath }) {
+  const settings = await readSettings(target.settingsFile);
+  const mcpConfig = target.mcpFile ? await readSettings(target.mcpFile) : {};
+  const current = getOwnedEntries(settings, mcpConfig, target);
+
+  // Same merge papr init performs, applied to copies
+  const nextSettings = JSON.parse(JSON.stringify(settings));
+  const nextMcp = JSON.parse(JSON.stringify(mcpConfig));
+  if (target.mcpFile) {
+    mergeMcpServer(nextMcp, mcpServerPath, {}, { portable: true });
+    mergePaprSettings(nextSettings, { sessionHookPath, mcpServerPath: null, env: {}, portable: true });
+  } else {
+    mergePaprSettings(nextSettings, { sessionHookPath, mcpServerPath, env: {} });
+  }
+
+  return { current, desired: getOwnedEntries(nextSettings, nextMcp, target) };
+}
+
+/**
+ * Record what an install or update wrote
+ * @param {Object} target - Scope paths
+ * @param {Object} install - What was written
+ * @param {Array<Object>} install.files - [{ source, target }] template files copied
+ * @param {Object} install.paths - { sessionHookPath, mcpServerPath } written into settings
+ * @param {Object} install.options - { agents, commands, disabledAgents } install choices, kept for updates
+ * @param {string[]} install.kept - Files and settings keys left alone because the user edited them;
+ *   their previous record is kept so the next update still sees them as modified
+ * @returns {Promise<Object>} - Manifest entry
+ */
+async function recordInstall(target, { files, paths, options = {}, kept = [] }) {
+  const manifest = await loadManifest();
+  const key = getInstallKey(target);
+  const previous = manifest.installs[key] || {};
+
+  const { current } = await getSettingsState(target, paths);
+  const entry = {
+    scope: target.scope,
+    projectDir: target.scope === 'user' ? null : path.dirname(target.root),
+    version: CLI_VERSION,
+    installedAt: previous.installedAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    options: {
+      agents: options.agents !== false,
+      commands: options.commands !== false,
+      disabledAgents: options.disabledAgents || previous.options?.disabledAgents || []
+    },
+    files: {},
+    settings: current
+      .map(item => {
+        if (!kept.includes(item.key)) {
+          return { file: item.file, key: item.key, checksum: checksum(item.value) };
+        }
+        return (previous.settings || []).find(s => s.key === item.key && s.file === item.file);
+      })
+      .filter(Boolean)
+  };
+
+  for (const file of files) {
+    if (kept.includes(file.target)) {
+      if (previous.files?.[file.target]) {
+        entry.files[file.target] = previous.files[file.target];
+      }
+      continue;
+    }
+    entry.files[file.target] = {
+      source: path.basename(file.source),
+      checksum: await fileChecksum(file.target)
+    };
+  }
+
+  manifest.installs[key] = entry;
+  await saveManifest(manifest);
+  return entry;
+}
+
+/**
+ * Drop the record of an install, e.g. after papr uninstall
+ * @param {Object} target - Scope paths
+ */
+async function forgetInstall(target) {
+  const manifest = await loadManifest();
+  delete manifest.installs[getInstallKey(target)];
+  await saveManifest(manifest);
+}
+
+/**
+ * Record files written outside a full install or update (e.g. papr agents install).
+ * Does nothing for a scope PAPR has no install record for.
+ * @param {Object} target - Scope paths
+ * @param {Array<Object>} files - [{ source, target }] files just written
+ * @param {Array<string>} removed - Installed files that were deleted
+ */
+async function recordFiles(target, files, removed = []) {
+  const manifest = await loadManifest();
+  const install = manifest.installs[getInstallKey(target)];
+  if (!install) return;
+
+  for (const file of files) {
+    install.files[file.target] = { source: path.basename(file.source), checksum: await fileChecksum(file.target) };
+  }
+  removed.forEach(file => delete install.files[file]);
+  install.updatedAt = new Date().toISOString();
+  await saveManifest(manifest);
+}
+
+/**
+ * Get or change the agents an install leaves out
+ * @param {Object} target - Scope paths
+ * @param {Function} change - Called with the current list, returns the new one (optional)
+ * @returns {Promise<Array<string>>} - Disabled agent names
+ */
+async function updateDisabledAgents(target, change) {
+  const manifest = await loadManifest();
+  const install = manifest.installs[getInstallKey(target)];
+  const disabled = install?.options?.disabledAgents || [];
+  if (!change || !install) return disabled;
+
+  install.options = { ...install.options, disabledAgents: [...new Set(change(disabled))] };
+  await saveManifest(manifest);
+  return install.options.disabledAgents;
+}
+
+/**
+ * Classify a PAPR-owned item
+ * - add: missing on disk
+ * - unchanged: already matches the templates
+ * - update: PAPR's last write is untouched and the templates changed
+ * - modified: the user edited it since PAPR wrote it (or there is no record of PAPR writing it)
+ */
+function classify(currentSum, desiredSum, recordedSum) {
+  if (currentSum === desiredSum) return 'unchanged';
+  if (currentSum === null) return 'add';
+  if (recordedSum && currentSum === recordedSum) return 'update';
+  return 'modified';
+}
+
+/**
+ * Compare installed files with their templates
+ * @param {Object|null} install - Manifest entry of the scope
+ * @param {Array<Object>} files - [{ source, target }]
+ * @returns {Promise<Array<Object>>} - Files with an action
+ */
+async function planFiles(install, files) {
+  const actions = [];
+  for (const file of files) {
+    const currentSum = await fileChecksum(file.target);
+    const desiredSum = await fileChecksum(file.source);
+    const recordedSum = install?.files?.[file.target]?.checksum || null;
+    actions.push({ ...file, action: classify(currentSum, desiredSum, recordedSum) });
+  }
+  return actions;
+}
+
+/**
+ * Compare an install with the current templates
+ * @param {Object} target - Scope paths
+ * @param {Object} desired - What the current CLI would install
+ * @param {Array<Object>} desired.files - [{ source, target }]
+ * @param {Object} desired.paths - { sessionHookPath, mcpServerPath }
+ * @returns {Promise<Object>} - { key, install, files: [...], settings: [...] }
+ */
+async function planUpdate(target, { files, paths }) {
+  const manifest = await loadManifest();
+  const key = getInstallKey(target);
+  const install = manifest.installs[key] || null;
+
+  const fileActions = await planFiles(install, files);
+
+  const { current, desired } = await getSettingsState(target, paths);
+  const settingsActions = current.map((item, index) => {
+    const recorded = install?.settings?.find(s => s.key === item.key && s.file === item.file);
+    const currentSum = checksum(item.value);
+    const desiredSum = checksum(desired[index].value);
+    // Settings entries are recognisably PAPR's, so without a record they are safe to replace
+    const action = classify(currentSum, desiredSum, recorded ? recorded.checksum : currentSum);
+    return {
+      file: item.file,
+      key: item.key,
+      before: item.value,
+      after: desired[index].value,
+      action: action === 'add' ? 'update' : action
+    };
+  });
+
+  return { key, install, files: fileActions, settings: settingsActions };
+}
+
+/**
+ * Write planned settings entries, leaving everything else in the files untouched
+ * @param {Array<Object>} entries - Settings actions from planUpdate to apply
+ * @returns {Promise<Array<string>>} - Backup names created
+ */
+async function applySettingsEntries(entries) {
+  const backups = [];
+  const byFile = new Map();
+  entries.forEach(entry => byFile.set(entry.file, [...(byFile.get(entry.file) || []), entry]));
+
+  for (const [file, fileEntries] of byFile) {
+    const settings = await readSettings(file);
+
+    for (const { key, after } of fileEntries) {
+      if (key === 'hooks.SessionStart[papr]') {
+        settings.hooks = settings.hooks || {};
+        const others = (settings.hooks.SessionStart || []).filter(group => !isPaprHookGroup(group));
+        settings.hooks.SessionStart = after ? [...others, after] : others;
+      } else if (key === 'mcpServers.papr-memory') {
+        settings.mcpServers = settings.mcpServers || {};
+        if (after) {
+          settings.mcpServers['papr-memory'] = after;
+        } else {
+          delete settings.mcpServers['papr-memory'];
+        }
+        delete settings.mcpServers['papr-memory-mcp'];
+      } else if (key === 'env[PAPR]') {
+        const others = Object.fromEntries(Object.entries(settings.env || {}).filter(([name]) => !isPaprEnvKey(name)));
+        settings.env = { ...others, ...after };
+        if (Object.keys(settings.env).length === 0) delete settings.env;
+      }
+    }
+
+    const backup = await writeSettings(settings, file);
+    if (backup) backups.push(backup.name);
+  }
+
+  return backups;
+}
+
+/**
+ * Line diff between two texts, as unified-style lines with 2 lines of context
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {string[]} - Lines prefixed with ' ', '-' or '+' ('…' marks skipped context)
+ */
+function diffLines(before, after) {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // Longest common subsequence table (template files are small)
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push(' ' + a[i]); i++; j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push('-' + a[i]); i++;
+    } else {
+      ops.push('+' + b[j]); j++;
+    }
+  }
+
+  // Keep changed lines plus a little context around them
+  const keep = ops.map((op, index) => ops.slice(Math.max(0, index - 2), index + 3).some(near => near[0] !== ' '));
+  const lines = [];
+  ops.forEach((op, index) => {
+    if (keep[index]) {
+      lines.push(op);
+    } else if (lines[lines.length - 1] !== '…') {
+      lines.push('…');
+    }
+  });
+  return lines;
+}
+
+module.exports = {
+  loadManifest,
+  recordInstall,
+  forgetInstall,
+  recordFiles,
+  updateDisabledAgents,
+  planFiles,
+  planUpdate,
+  applySettingsEntries,
+  getInstallKey,
+  diffLines,
+  checksum,
+  MANIFEST_FILE
+};
@@ -0,0 +1,195 @@
+/**
+ * Memory Cache
+ * IDs and one-line summaries of the memories recent terminal commands and MCP tool calls returned,
+ * newest first, plus the memories pinned with `papr memory pin`, in ~/.papr/memory-cache.json.
+ * Shell completion and the MCP server's resource list read it without an API call, so it only
+ * uses Node built-ins. It also logs recent updates and deletes, so every MCP server process and
+ * session can notify its resource subscribers, whoever made the change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PAPR_DIR } = require('./credentials');
+
+const MEMORY_CACHE_FILE = path.join(PAPR_DIR, 'memory-cache.json');
+const MAX_CACHED_MEMORIES = 200;
+const MAX_MEMORY_CHANGES = 50;
+
+/**
+ * Read the cache file
+ * @returns {Object} - { memories, pinned, changes }; empty when the file does not exist
+ * @throws {Error} - When the file exists but cannot be read or parsed
+ */
+function readCache() {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(MEMORY_CACHE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { memories: [], pinned: [], changes: [] };
+    }
+    throw new Error(`Cannot read ${MEMORY_CACHE_FILE}: ${error.message}`);
+  }
+  return {
+    memories: Array.isArray(data.memories) ? data.memories : [],
+    pinned: Array.isArray(data.pinned) ? data.pinned : [],
+    changes: Array.isArray(data.changes) ? data.changes : []
+  };
+}
+
+function loadCache() {
+  try {
+    return readCache();
+  } catch (error) {
+    // Invalid: readers show nothing rather than fail
+    return { memories: [], pinned: [], changes: [] };
+  }
+}
+
+/**
+ * Change the cache. An unreadable file is left alone: saving over it would drop every pin.
+ * @param {Function} update - Receives the cache, returns the new cache (or null to leave it as is)
+ */
+function updateCache(update) {
+  let cache;
+  try {
+    cache = readCache();
+  } catch (error) {
+    return;
+  }
+  const next = update(cache);
+  if (next) saveCache(next);
+}
+
+function saveCache({ memories, pinned, changes = [] }) {
+  const tempFile = `${MEMORY_CACHE_FILE}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(PAPR_DIR, { recursive: true, mode: 0o700 });
+    const data = { memories: memories.slice(0, MAX_CACHED_MEMORIES), pinned, changes: changes.slice(0, MAX_MEMORY_CHANGES) };
+    // MCP servers read the file whenever it changes, so it is replaced in one rename, never
+    // rewritten in place. Summaries can be private; ~/.papr may already exist world-readable
+    fs.writeFileSync(tempFile, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(tempFile, MEMORY_CACHE_FILE);
+  } catch (error) {
+    // The cache only feeds completion and resource lists; a command must not fail over it
+    try {
+      fs.unlinkSync(tempFile);
+    } catch (cleanupError) {
+      // Never written
+    }
+  }
+}
+
+function summarize(memory) {
+  return String(memory.summary || memory.title || memory.content || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+}
+
+/**
+ * Load the cached memories
+ * @returns {Array<Object>} - [{ id, summary, seenAt }], newest first
+ */
+function loadCachedMemories() {
+  return loadCache().memories;
+}
+
+/**
+ * Load the pinned memories
+ * @returns {Array<Object>} - [{ id, summary, pinnedAt }], in the order they were pinned
+ */
+function loadPinnedMemories() {
+  return loadCache().pinned;
+}
+
+/**
+ * Remember memories a command returned (moved to the front if already cached)
+ * @param {Array<Object>} memories - Memories with id and content (or a summary)
+ */
+function cacheMemories(memories) {
+  const fresh = memories
+    .filter(memory => memory && memory.id)
+    .map(memory => ({
+      id: memory.id,
+      summary: summarize(memory),
+      seenAt: new Date().toISOString()
+    }));
+  if (fresh.length === 0) return;
+
+  const ids = new Set(fresh.map(memory => memory.id));
+  updateCache(cache => ({ ...cache, memories: [...fresh, ...cache.memories.filter(memory => !ids.has(memory.id))] }));
+}
+
+/**
+ * Forget a deleted memory, including its pin
+ * @param {string} id - Memory ID
+ */
+function uncacheMemory(id) {
+  updateCache(cache => {
+    const memories = cache.memories.filter(memory => memory.id !== id);
+    const pinned = cache.pinned.filter(memory => memory.id !== id);
+    if (memories.length === cache.memories.length && pinned.length === cache.pinned.length) return null;
+    return { ...cache, memories, pinned };
+  });
+}
+
+/**
+ * Log that a memory was updated or deleted, for MCP servers watching the cache file
+ * @param {string} id - Memory ID
+ */
+function recordMemoryChange(id) {
+  updateCache(cache => {
+    const seq = (cache.changes[0]?.seq || 0) + 1;
+    return { ...cache, changes: [{ id, seq, changedAt: new Date().toISOString() }, ...cache.changes] };
+  });
+}
+
+/**
+ * Memory changes logged after a sequence number
+ * @param {number} afterSeq - Last sequence number already handled (0 for all)
+ * @returns {Array<Object>|null} - [{ id, seq, changedAt }], newest first; null if the file cannot be read
+ */
+function loadMemoryChanges(afterSeq = 0) {
+  try {
+    return readCache().changes.filter(change => change.seq > afterSeq);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Pin a memory, so MCP clients always list it
+ * @param {Object} memory - Memory with id and content (or a summary)
+ * @returns {boolean} - False if it was already pinned
+ * @throws {Error} - When the cache file cannot be read
+ */
+function pinMemory(memory) {
+  const cache = readCache();
+  if (cache.pinned.some(pin => pin.id === memory.id)) return false;
+  saveCache({ ...cache, pinned: [...cache.pinned, { id: memory.id, summary: summarize(memory), pinnedAt: new Date().toISOString() }] });
+  return true;
+}
+
+/**
+ * Unpin a memory
+ * @param {string} id - Memory ID
+ * @returns {boolean} - False if it was not pinned
+ * @throws {Error} - When the cache file cannot be read
+ */
+function unpinMemory(id) {
+  const cache = readCache();
+  const pinned = cache.pinned.filter(pin => pin.id !== id);
+  if (pinned.length === cache.pinned.length) return false;
+  saveCache({ ...cache, pinned });
+  return true;
+}
+
+module.exports = {
+  loadCachedMemories,
+  loadPinnedMemories,
+  cacheMemories,
+  uncacheMemory,
+  recordMemoryChange,
+  loadMemoryChanges,
+  pinMemory,
+  unpinMemory,
+  MEMORY_CACHE_FILE
+};
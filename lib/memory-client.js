@@ -0,0 +1,227 @@
+/**
+ * Memory Client
+ * Client construction and request shaping shared by the MCP server and the terminal
+ * commands (`papr search`, `papr add`), so both send the server identical requests.
+ */
+
+const Papr = require('@papr/memory').default;
+const { resolveConnection } = require('./profiles');
+const { getConfigValue } = require('./config');
+
+// Server-side limit on memories per add_memory_batch request
+const MAX_BATCH_ITEMS = 50;
+
+// Server-side limit on max_memories per search request
+const MAX_SEARCH_MEMORIES = 100;
+
+// Values for customMetadata.memory_type and importance
+const MEMORY_TYPES = ['preference', 'goal', 'task', 'general', 'solution', 'insight'];
+const IMPORTANCE_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Create a PAPR client for the active profile
+ * @param {Object} options - Options
+ * @param {string} options.apiKey - Key passed directly by the caller (takes priority)
+ * @param {string} options.clientType - X-Client-Type header
+ * @param {string} options.configPrefix - Config section for timeout and retries (e.g. 'mcpServer')
+ * @returns {Papr} - PAPR client instance
+ */
+function createMemoryClient({ apiKey: explicit, clientType = 'papr_cli', configPrefix = 'mcpServer' } = {}) {
+  // Priority: 1. explicit key, 2. PAPR_MEMORY_API_KEY env, 3. PAPR_API_KEY env, 4. ~/.papr/credentials (active profile's key)
+  const { apiKey, serverUrl } = resolveConnection({ apiKey: explicit });
+  if (!apiKey) {
+    throw new Error('API key is required. Pass api_key parameter, set PAPR_MEMORY_API_KEY, or run: papr auth login');
+  }
+
+  return new Papr({
+    baseURL: serverUrl,
+    timeout: getConfigValue(`${configPrefix}.timeout`),
+    maxRetries: getConfigValue(`${configPrefix}.maxRetries`),
+    logLevel: 'warn',
+    xAPIKey: apiKey,
+    defaultHeaders: {
+      'X-Client-Type': clientType,
+      'Accept-Encoding': 'gzip'
+    }
+  });
+}
+
+/**
+ * Scope metadata to the active profile's workspace, unless the caller already chose one
+ * @param {Object} metadata - Caller's metadata (optional)
+ * @returns {Object|undefined} - Metadata with workspace_id
+ */
+function withWorkspace(metadata) {
+  const { workspace } = resolveConnection();
+  if (!workspace || metadata?.workspace_id) {
+    return metadata;
+  }
+  return { ...metadata, workspace_id: workspace };
+}
+
+/**
+ * Shape search_memory arguments into a memory.search request
+ * @param {Object} args - search_memory tool arguments
+ * @returns {Object} - Search params
+ */
+function buildSearchParams(args) {
+  const {
+    query,
+    max_memories = getConfigValue('search.maxMemories'),
+    max_nodes = getConfigValue('search.maxNodes'),
+    rank_results = false,
+    enable_agentic_graph = false,
+    user_id,
+    external_user_id,
+    metadata
+  } = args;
+
+  const searchParams = {
+    query,
+    max_memories,
+    max_nodes,
+    rank_results,
+    enable_agentic_graph
+  };
+
+  if (user_id) searchParams.user_id = user_id;
+  if (external_user_id) searchParams.external_user_id = external_user_id;
+  const searchMetadata = withWorkspace(metadata);
+  if (searchMetadata) searchParams.metadata = searchMetadata;
+
+  return searchParams;
+}
+
+/**
+ * Metadata for a memory saved with a type, topics and importance (`papr add` and the add prompt)
+ * @param {Object} options - Options
+ * @param {string} options.type - One of MEMORY_TYPES (default: general)
+ * @param {Array<string>} options.topics - Topics
+ * @param {string} options.importance - One of IMPORTANCE_LEVELS (default: medium)
+ * @param {string} options.source - sourceType and created_by (default: papr_cli)
+ * @returns {Object} - add_memory metadata
+ */
+function buildMemoryMetadata({ type = 'general', topics = [], importance = 'medium', source = 'papr_cli' } = {}) {
+  return {
+    topics,
+    hierarchical_structures: `Claude CLI > ${type.charAt(0).toUpperCase() + type.slice(1)}`,
+    sourceType: source,
+    customMetadata: {
+      memory_type: type,
+      importance,
+      created_by: source
+    }
+  };
+}
+
+/**
+ * Shape add_memory arguments into a memory.add request
+ * @param {Object} args - add_memory tool arguments
+ * @returns {Object} - Add params
+ */
+function buildAddParams(args) {
+  const {
+    content,
+    type = 'text',
+    metadata,
+    context,
+    relationships_json,
+    skip_background_processing = false
+  } = args;
+
+  const addParams = {
+    content,
+    type,
+    skip_background_processing
+  };
+
+  const addMetadata = withWorkspace(metadata);
+  if (addMetadata) addParams.metadata = addMetadata;
+  if (context) addParams.context = context;
+  if (relationships_json) addParams.relationships_json = relationships_json;
+
+  return addParams;
+}
+
+/**
+ * Shape add_memory_batch arguments into a memory.addBatch request
+ * @param {Object} args - add_memory_batch tool arguments
+ * @returns {Object} - Batch params
+ */
+function buildAddBatchParams(args) {
+  const {
+    memories,
+    user_id,
+    external_user_id,
+    batch_size = 10,
+    skip_background_processing = false,
+    webhook_url,
+    webhook_secret
+  } = args;
+
+  const batchParams = {
+    memories: memories.map(memory => {
+      const memoryMetadata = withWorkspace(memory.metadata);
+      return memoryMetadata ? { ...memory, metadata: memoryMetadata } : memory;
+    }),
+    batch_size,
+    skip_background_processing
+  };
+
+  if (user_id) batchParams.user_id = user_id;
+  if (external_user_id) batchParams.external_user_id = external_user_id;
+  if (webhook_url) batchParams.webhook_url = webhook_url;
+  if (webhook_secret) batchParams.webhook_secret = webhook_secret;
+
+  return batchParams;
+}
+
+/**
+ * Shape update_memory arguments into a memory.update call. Only fields that were given are sent.
+ * @param {Object} args - update_memory tool arguments
+ * @returns {Object} - { memoryId, body } for client.memory.update(memoryId, body)
+ */
+function buildUpdateParams(args) {
+  const { memory_id, content, type, metadata, context, relationships_json } = args;
+
+  const body = {};
+  if (content) body.content = content;
+  if (type) body.type = type;
+  if (metadata) body.metadata = metadata;
+  if (context) body.context = context;
+  if (relationships_json) body.relationships_json = relationships_json;
+
+  return { memoryId: memory_id, body };
+}
+
+/**
+ * Summarize a memory.search response the way the search_memory tool returns it. Embedding vectors
+ * are dropped: they are thousands of numbers per memory that no caller reads.
+ * @param {Object} result - memory.search response
+ * @returns {Object} - { status, search_id, memories, nodes, total_memories, total_nodes }
+ */
+function summarizeSearchResult(result) {
+  return {
+    status: result.status,
+    search_id: result.search_id ?? result.data?.search_id,
+    memories: (result.data?.memories || []).map(({ embedding, embedding_int8, ...memory }) => memory),
+    nodes: result.data?.nodes || [],
+    total_memories: result.data?.memories?.length || 0,
+    total_nodes: result.data?.nodes?.length || 0
+  };
+}
+
+module.exports = {
+  MAX_BATCH_ITEMS,
+  MAX_SEARCH_MEMORIES,
+  MEMORY_TYPES,
+  IMPORTANCE_LEVELS,
+  createMemoryClient,
+  buildMemoryMetadata,
+  withWorkspace,
+  buildSearchParams,
+  buildAddParams,
+  buildAddBatchParams,
+  buildUpdateParams,
+  summarizeSearchResult
+};
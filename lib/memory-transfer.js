@@ -0,0 +1,236 @@
+/**
+ * Memory Transfer
+ * Serialization behind `papr export` and `papr import`.
+ * Both formats round-trip: each memory keeps its content, type, topics, customMetadata and other metadata.
+ */
+
+const fs = require('fs-extra');
+const { MAX_BATCH_ITEMS, buildAddBatchParams } = require('./memory-client');
+
+const FORMATS = ['jsonl', 'markdown'];
+const MARKDOWN_MEMORY_START = '<!-- papr-memory: ';
+const MARKDOWN_MEMORY_END = '<!-- /papr-memory -->';
+
+// Memory fields the server derives per account or workspace; they must not follow a memory elsewhere
+const ACCOUNT_FIELDS = [
+  'workspace_id',
+  'user_id',
+  'organization_id',
+  'namespace_id',
+  'external_user_id',
+  'pageId',
+  'upload_id'
+];
+
+/**
+ * Turn a memory from a search response into an add_memory_batch item
+ * @param {Object} memory - Memory from memory.search
+ * @returns {Object} - { id, createdAt, content, type, metadata }
+ */
+function toExportRecord(memory) {
+  // Older memories carry metadata as a JSON string
+  let metadata = {};
+  if (memory.metadata && typeof memory.metadata === 'object') {
+    metadata = { ...memory.metadata };
+  } else if (typeof memory.metadata === 'string') {
+    try {
+      metadata = JSON.parse(memory.metadata);
+    } catch (error) {
+      // Not JSON; nothing to keep
+    }
+  }
+
+  if (memory.topics?.length) metadata.topics = memory.topics;
+  if (memory.customMetadata) metadata.customMetadata = memory.customMetadata;
+  if (memory.hierarchical_structures) metadata.hierarchical_structures = memory.hierarchical_structures;
+  if (memory.source_type) metadata.sourceType = memory.source_type;
+  if (memory.source_url) metadata.sourceUrl = memory.source_url;
+  if (memory.location) metadata.location = memory.location;
+  if (memory.category) metadata.category = memory.category;
+  if (memory.createdAt) metadata.createdAt = memory.createdAt;
+
+  ACCOUNT_FIELDS.forEach(field => delete metadata[field]);
+
+  return {
+    id: memory.id,
+    createdAt: memory.createdAt || null,
+    content: memory.content,
+    type: memory.type || 'text',
+    metadata
+  };
+}
+
+/**
+ * Serialize export records
+ * @param {Array<Object>} records - Export records
+ * @param {string} format - 'jsonl' or 'markdown'
+ * @returns {string} - File content
+ */
+function serializeRecords(records, format) {
+  if (format === 'jsonl') {
+    return records.map(record => JSON.stringify(record)).join('\n') + (records.length ? '\n' : '');
+  }
+
+  const sections = records.map(record => {
+    const { content, ...header } = record;
+    const title = (content.split('\n')[0] || 'Memory').slice(0, 80);
+    return [
+      `## ${title}`,
+      '',
+      // JSON header keeps the file importable; '--' cannot appear inside an HTML comment
+      `${MARKDOWN_MEMORY_START}${JSON.stringify(header).replace(/--/g, '-\\u002d')} -->`,
+      content.trim(),
+      MARKDOWN_MEMORY_END
+    ].join('\n');
+  });
+
+  return [`# PAPR Memory Export`, '', `${records.length} memories, exported ${new Date().toISOString()}`, '', ...sections.map(section => section + '\n')].join('\n');
+}
+
+/**
+ * Parse an export file back into records
+ * @param {string} text - File content
+ * @param {string} format - 'jsonl' or 'markdown'
+ * @returns {Array<Object>} - Records; unparseable entries carry { error, line }
+ */
+function parseRecords(text, format) {
+  if (format === 'jsonl') {
+    return text.split('\n')
+      .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+      .filter(({ line }) => line)
+      .map(({ line, number }) => {
+        try {
+          const record = JSON.parse(line);
+          if (typeof record.content !== 'string' || !record.content.trim()) {
+            return { error: 'Missing content', line: number };
+          }
+          return record;
+        } catch (error) {
+          return { error: `Invalid JSON: ${error.message}`, line: number };
+        }
+      });
+  }
+
+  const records = [];
+  let searchFrom = 0;
+  while (true) {
+    const start = text.indexOf(MARKDOWN_MEMORY_START, searchFrom);
+    if (start === -1) break;
+
+    const headerEnd = text.indexOf(' -->', start);
+    const end = text.indexOf(MARKDOWN_MEMORY_END, headerEnd);
+    const line = text.slice(0, start).split('\n').length;
+    if (headerEnd === -1 || end === -1) {
+      records.push({ error: 'Unterminated memory block', line });
+      break;
+    }
+
+    try {
+      const header = JSON.parse(text.slice(start + MARKDOWN_MEMORY_START.length, headerEnd));
+      records.push({ ...header, content: text.slice(headerEnd + 4, end).trim() });
+    } catch (error) {
+      records.push({ error: `Invalid memory header: ${error.message}`, line });
+    }
+    searchFrom = end + MARKDOWN_MEMORY_END.length;
+  }
+  return records;
+}
+
+/**
+ * Pick a format from an explicit option or the file extension
+ * @param {string} file - File path
+ * @param {string} format - Explicit format (optional)
+ * @returns {string} - 'jsonl' or 'markdown'
+ */
+function detectFormat(file, format) {
+  if (format) return format === 'md' ? 'markdown' : format;
+  return /\.(md|markdown)$/i.test(file) ? 'markdown' : 'jsonl';
+}
+
+/**
+ * Load the report of a previous import, if any
+ * @param {string} reportFile - Report path
+ * @returns {Promise<Object|null>} - Report or null
+ */
+async function loadReport(reportFile) {
+  return fs.readJson(reportFile).catch(() => null);
+}
+
+/**
+ * Add records through add_memory_batch in chunks of MAX_BATCH_ITEMS, writing the report after every
+ * chunk so an interrupted import can resume.
+ * @param {Papr} client - PAPR client
+ * @param {Array<Object>} records - Parsed records (entries with `error` are reported, not sent)
+ * @param {Object} options - Options
+ * @param {string} options.source - Imported file
+ * @param {string} options.reportFile - Where to write the report
+ * @param {Object} options.previous - Report of an earlier run to resume from (optional)
+ * @param {Function} options.onChunk - Called with (done, total) after each chunk
+ * @returns {Promise<Object>} - Report { source, total, succeeded, failed, completedAt }
+ */
+async function importRecords(client, records, { source, reportFile, previous = null, onChunk = () => {} }) {
+  const alreadyImported = new Set(previous?.succeeded || []);
+  const report = {
+    source,
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    total: records.length,
+    succeeded: [...alreadyImported],
+    failed: []
+  };
+
+  // Record indexes (0-based position in the file) still to send
+  const pending = [];
+  records.forEach((record, index) => {
+    if (alreadyImported.has(index)) return;
+    if (record.error) {
+      report.failed.push({ index, line: record.line, error: record.error });
+    } else {
+      pending.push(index);
+    }
+  });
+
+  for (let offset = 0; offset < pending.length; offset += MAX_BATCH_ITEMS) {
+    const chunk = pending.slice(offset, offset + MAX_BATCH_ITEMS);
+    const memories = chunk.map(index => {
+      const { content, type = 'text', metadata = {}, context, relationships_json } = records[index];
+      const memory = { content, type, metadata };
+      if (context) memory.context = context;
+      if (relationships_json) memory.relationships_json = relationships_json;
+      return memory;
+    });
+
+    try {
+      const result = await client.memory.addBatch(buildAddBatchParams({ memories }));
+      const errors = new Map((result.errors || []).map(error => [error.index, error.error]));
+      chunk.forEach((index, position) => {
+        if (errors.has(position)) {
+          report.failed.push({ index, id: records[index].id || null, error: errors.get(position) });
+        } else {
+          report.succeeded.push(index);
+        }
+      });
+    } catch (error) {
+      chunk.forEach(index => {
+        report.failed.push({ index, id: records[index].id || null, error: error.message });
+      });
+    }
+
+    await fs.writeJson(reportFile, report, { spaces: 2 });
+    onChunk(Math.min(offset + MAX_BATCH_ITEMS, pending.length), pending.length);
+  }
+
+  report.completedAt = new Date().toISOString();
+  await fs.writeJson(reportFile, report, { spaces: 2 });
+  return report;
+}
+
+module.exports = {
+  toExportRecord,
+  serializeRecords,
+  parseRecords,
+  detectFormat,
+  loadReport,
+  importRecords,
+  FORMATS
+};
@@ -0,0 +1,748 @@
+/**
+ * PAPR CLI API
+ * The setup, start, status and indexing flows behind `papr init|start|status|index`, usable as a
+ * library. Methods return plain results, report progress as 'progress' events ({ step, message })
+ * and throw CliError (with exitCode and code) instead of printing or exiting; the commander
+ * handlers in lib/index.js render them for the terminal.
+ *
+ *   const { PaprCli } = require('@papr/cli');
+ *   const cli = new PaprCli({ cwd: repoDir });
+ *   cli.on('progress', ({ step, message }) => log(step, message));
+ *   await cli.init({ scope: 'project', skipInstall: true });
+ *   const result = await cli.index('.');
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { spawn, exec } = require('child_process');
+const { CliError, EXIT_CODES, getExitCode } = require('./errors');
+const { saveApiKey, hasSecurePermissions } = require('./credentials');
+const { loadProfiles, addProfile, getActiveProfile, resolveConnection } = require('./profiles');
+const { inspectEnvFiles } = require('./env-files');
+const { loadManifest, getInstallKey, recordInstall, planFiles } = require('./install-manifest');
+const { listAgentTemplates, getAgentFile } = require('./agents');
+const { getClient, getClientConfigFile, registerClient, detectClients } = require('./clients');
+const {
+  readSettings,
+  writeSettings,
+  mergePaprSettings,
+  mergeMcpServer,
+  getScopePaths,
+  detectScopes,
+  SETTINGS_FILE
+} = require('./settings-manager');
+const { installRuntime, getRuntimePaths, getCurrentVersion, CURRENT_LINK } = require('./runtime');
+
+// Bundled templates: agents and commands are copied from here, runtime scripts via ~/.papr/runtime
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+const CLI_VERSION = require('../package.json').version;
+
+const SILENT_LOGGER = { log: () => {}, error: () => {} };
+
+/**
+ * Any error as a CliError, keeping the original as `cause`
+ * @param {Error} error - Thrown error
+ * @returns {CliError}
+ */
+function toTypedError(error) {
+  if (error instanceof CliError) return error;
+  const typed = new CliError(error.message, getExitCode(error));
+  typed.cause = error;
+  return typed;
+}
+
+/**
+ * List what PAPR installs into a scope: template files to copy and paths written into settings
+ * @param {Object} target - Scope paths
+ * @param {Object} options - { agents, commands } (false skips that group) and disabledAgents
+ * @returns {Promise<Object>} - { files: [{ source, target }], paths: { sessionHookPath, mcpServerPath } }
+ */
+async function getInstallArtifacts(target, options = {}) {
+  const files = [];
+
+  if (options.commands !== false) {
+    const commandsSourceDir = path.join(TEMPLATES_DIR, 'commands');
+    if (await fs.pathExists(commandsSourceDir)) {
+      for (const file of await fs.readdir(commandsSourceDir)) {
+        files.push({ source: path.join(commandsSourceDir, file), target: path.join(target.commandsDir, file) });
+      }
+    }
+  }
+
+  if (options.agents !== false) {
+    const disabled = options.disabledAgents || [];
+    for (const agent of await listAgentTemplates()) {
+      if (!disabled.includes(agent.name)) {
+        files.push({ source: agent.file, target: getAgentFile(target, agent.name) });
+      }
+    }
+  }
+
+  // Settings point at the runtime copy, not at the npm install
+  const { sessionHookPath, mcpServerPath } = getRuntimePaths();
+  return { files, paths: { sessionHookPath, mcpServerPath } };
+}
+
+async function checkMcpServer() {
+  try {
+    // Check if MCP server is registered
+    const mcpList = await new Promise((resolve, reject) => {
+      exec('claude mcp list', { timeout: 15000 }, (error, stdout) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(stdout);
+        }
+      });
+    });
+
+    if (mcpList.includes('papr-memory')) {
+      return {
+        state: 'registered',
+        working: true,
+        details: 'PAPR Memory tools should be available in Claude CLI'
+      };
+    } else if (mcpList.includes('No MCP servers configured')) {
+      return {
+        state: 'not-registered',
+        working: false,
+        details: 'No MCP servers found. Memory tools not available to Claude.'
+      };
+    } else {
+      return {
+        state: 'not-found',
+        working: false,
+        details: 'PAPR Memory server not in MCP list'
+      };
+    }
+  } catch (error) {
+    // Test if the MCP server file exists and is runnable
+    const { mcpServerPath } = getRuntimePaths();
+    const serverExists = await fs.pathExists(mcpServerPath);
+
+    if (!serverExists) {
+      return {
+        state: 'missing',
+        working: false,
+        details: 'MCP server file not found'
+      };
+    }
+
+    return {
+      state: 'unknown',
+      working: false,
+      details: 'Could not check MCP status'
+    };
+  }
+}
+
+/**
+ * Gather every status check as plain data. Each check has `ok` plus the details behind it;
+ * `exitCode` identifies the first failing component (0 when everything required is in place).
+ * @param {string} projectDir - Project root for the project and local scopes (default: cwd)
+ * @returns {Promise<Object>} - { ok, exitCode, failing, checks }
+ */
+async function collectStatus(projectDir = process.cwd()) {
+  const checks = {};
+
+  // Claude CLI
+  const claudeVersion = await new Promise((resolve) => {
+    exec('claude --version', { timeout: 5000 }, (error, stdout) => resolve(error ? null : stdout.trim()));
+  });
+  checks.claude = { ok: Boolean(claudeVersion), version: claudeVersion };
+
+  // PAPR Memory SDK, as resolved by the MCP server and session hook
+  let sdkVersion = null;
+  try {
+    sdkVersion = require('@papr/memory/version').VERSION;
+  } catch (error) {
+    // Not installed
+  }
+  checks.sdk = { ok: Boolean(sdkVersion), version: sdkVersion };
+
+  // Settings, hooks and MCP registration across scopes (user, project, local)
+  const scopeInfo = await detectScopes(projectDir);
+  const broken = scopeInfo.scopes.filter(s => s.error);
+  checks.settings = {
+    ok: broken.length === 0 && scopeInfo.active !== null,
+    path: scopeInfo.active ? getScopePaths(scopeInfo.active, projectDir).settingsFile : SETTINGS_FILE,
+    scope: scopeInfo.active,
+    errors: broken.map(s => s.error),
+    conflicts: scopeInfo.conflicts
+  };
+
+  const hookScopes = scopeInfo.scopes.filter(s => s.hook).map(s => s.scope);
+  checks.hooks = { ok: hookScopes.length > 0, scopes: hookScopes };
+
+  const mcpScopes = scopeInfo.scopes.filter(s => s.mcpServer).map(s => s.scope);
+  if (mcpScopes.length > 0) {
+    checks.mcp = { ok: true, scopes: mcpScopes, source: 'settings' };
+  } else {
+    // Registered with `claude mcp add` rather than through a settings file?
+    const mcpStatus = await checkMcpServer();
+    checks.mcp = { ok: mcpStatus.working, scopes: [], source: 'claude mcp list', state: mcpStatus.state, details: mcpStatus.details };
+  }
+
+  // Env files the runtime scripts load in this project, and where each PAPR variable comes from
+  // (informational; values are never included). Read only: status must not change process.env
+  const envFiles = inspectEnvFiles({ projectDir });
+  checks.env = {
+    ok: true,
+    files: envFiles.files.filter(entry => entry.exists || entry.error),
+    variables: envFiles.variables
+  };
+
+  // API key (environment, env file or ~/.papr/credentials), never the key itself
+  const connection = resolveConnection();
+  checks.apiKey = {
+    ok: Boolean(connection.apiKey),
+    source: connection.apiKeySource,
+    profile: connection.profile,
+    serverUrl: connection.serverUrl,
+    workspace: connection.workspace,
+    securePermissions: hasSecurePermissions()
+  };
+
+  // MCP hosts with the server registered (informational: Claude is covered by the checks above)
+  const clients = await detectClients(projectDir);
+  checks.clients = {
+    ok: true,
+    registered: clients
+      .filter(entry => entry.registered)
+      .map(({ client, scope, file, serverFound }) => ({ client, scope, file, serverFound }))
+  };
+
+  // Runtime copy the settings point at (informational: older installs point into npm globals)
+  const runtimeVersion = await getCurrentVersion();
+  checks.runtime = {
+    ok: true,
+    path: CURRENT_LINK,
+    version: runtimeVersion,
+    upToDate: runtimeVersion === CLI_VERSION
+  };
+
+  // Code indexer state is informational: a project does not have to be indexed
+  const { SCHEMA_CACHE_FILE } = require('./code-indexer/schema/schema-manager');
+  const schemaCache = await fs.readJson(SCHEMA_CACHE_FILE).catch(() => null);
+  checks.schemaCache = {
+    ok: true,
+    path: SCHEMA_CACHE_FILE,
+    present: Boolean(schemaCache),
+    schemaId: schemaCache?.schemaId || null,
+    cachedAt: schemaCache?.timestamp || null
+  };
+
+  const { getIndexState } = require('./code-indexer/utils/index-state');
+  const indexState = await getIndexState(projectDir);
+  checks.index = {
+    ok: true,
+    indexed: Boolean(indexState),
+    directory: indexState?.directory || null,
+    indexedAt: indexState?.indexedAt || null,
+    files: indexState ? indexState.success : 0,
+    failed: indexState ? indexState.failed : 0
+  };
+
+  // First failing component decides the exit code
+  const exitCodes = [
+    ['claude', EXIT_CODES.CLAUDE_NOT_FOUND],
+    ['sdk', EXIT_CODES.SDK_NOT_FOUND],
+    ['settings', broken.length > 0 ? EXIT_CODES.SETTINGS_INVALID : EXIT_CODES.NOT_CONFIGURED],
+    ['hooks', EXIT_CODES.NOT_CONFIGURED],
+    ['mcp', EXIT_CODES.MCP_NOT_REGISTERED],
+    ['apiKey', EXIT_CODES.MISSING_API_KEY]
+  ];
+  const failing = exitCodes.filter(([name]) => !checks[name].ok);
+
+  return {
+    ok: failing.length === 0,
+    exitCode: failing.length > 0 ? failing[0][1] : EXIT_CODES.SUCCESS,
+    failing: failing.map(([name]) => name),
+    checks
+  };
+}
+
+class PaprCli extends EventEmitter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.cwd - Project directory for the project and local scopes (default: process.cwd())
+   * @param {Function} options.prompt - inquirer-style `async (questions) => answers`. Without it nothing
+   *   prompts: the API key has to come from init options, the environment or ~/.papr/credentials
+   * @param {Object} options.logger - Receives the code indexer's per-file lines ({ log, error }; default: discarded)
+   * @param {Object} options.env - Environment Claude is started with (default: process.env)
+   */
+  constructor({ cwd = process.cwd(), prompt = null, logger = null, env = process.env } = {}) {
+    super();
+    this.cwd = path.resolve(cwd);
+    this.prompt = prompt;
+    this.logger = logger || SILENT_LOGGER;
+    this.env = env;
+  }
+
+  /**
+   * Emit a 'progress' event
+   * @param {string} step - Flow step, e.g. 'claude', 'settings', 'agents', 'index'
+   * @param {string} message - Human-readable progress line
+   * @param {Object} details - Extra fields for the event
+   */
+  progress(step, message, details = {}) {
+    this.emit('progress', { step, message, ...details });
+  }
+
+  /**
+   * Install PAPR into a Claude scope, or register the MCP server with another MCP host
+   * @param {Object} options - papr init options: apiKey, apiKeyEnv, workspace, scope, client, yes,
+   *   skipInstall, installDeps, agents and commands (false skips them)
+   * @returns {Promise<Object>} - { success, scope, client, claude, profile, written, backups, skipped, warnings }
+   * @throws {CliError} - With the summary of what was done so far as `error.summary`
+   */
+  async init(options = {}) {
+    // --yes (or no prompt function) never prompts
+    const interactive = Boolean(this.prompt) && !options.yes;
+
+    const summary = {
+      success: false,
+      scope: options.scope || 'user',
+      client: options.client || 'claude',
+      claude: null,
+      written: [],
+      backups: [],
+      skipped: [],
+      warnings: []
+    };
+
+    try {
+      // Other MCP hosts get only the MCP server: no Claude CLI, session hook, agents or commands
+      const client = getClient(summary.client);
+      const target = client.name === 'claude'
+        ? getScopePaths(summary.scope, this.cwd)
+        : { scope: summary.scope, file: getClientConfigFile(client.name, summary.scope, this.cwd) };
+
+      if (client.name === 'claude') {
+        this.progress('claude', 'Checking Claude CLI installation...');
+        summary.claude = await this.checkClaudeInstallation({ ...options, interactive });
+        if (!summary.claude.installed) {
+          summary.warnings.push('Claude CLI not found; install it before running papr start: npm install -g @anthropic-ai/claude-code');
+        }
+      }
+
+      this.progress('config', 'Reading configuration...');
+      const config = await this.getConfiguration({ ...options, interactive });
+
+      // Store the key once in ~/.papr/credentials; settings files never contain it
+      if (config.apiKey) {
+        summary.written.push(saveApiKey(config.apiKey, getActiveProfile()?.keyRef));
+      }
+
+      // --workspace scopes memories of the active profile (created as 'default' on first use)
+      if (options.workspace) {
+        const profileName = getActiveProfile()?.name || 'default';
+        addProfile(profileName, { workspace: options.workspace });
+        summary.profile = profileName;
+      }
+
+      if (client.name !== 'claude') {
+        const clientResult = await this.setupClient(client, target);
+        summary.written.push(...clientResult.written);
+        summary.backups.push(...clientResult.backups);
+        summary.success = true;
+        return summary;
+      }
+
+      // Choices made with papr agents survive a re-run of init
+      const previousInstall = (await loadManifest()).installs[getInstallKey(target)];
+      const installOptions = { ...options, disabledAgents: previousInstall?.options?.disabledAgents || [] };
+      const kept = [];
+
+      this.progress('settings', 'Setting up directories...');
+      await fs.ensureDir(target.root);
+
+      const settingsResult = await this.setupClaudeSettings(target);
+      summary.written.push(...settingsResult.written);
+      summary.backups.push(...settingsResult.backups);
+
+      if (options.commands === false) {
+        summary.skipped.push('slash commands');
+      } else {
+        const commandsResult = await this.setupHooks(target);
+        summary.written.push(...commandsResult.written);
+        kept.push(...commandsResult.kept);
+        commandsResult.kept.forEach(file => summary.warnings.push(`Kept local edits in ${file} (see: papr update --dry-run)`));
+      }
+
+      if (options.agents === false) {
+        summary.skipped.push('agents');
+      } else {
+        const agentsResult = await this.setupPaprAgent(target, installOptions);
+        summary.written.push(...agentsResult.written);
+        kept.push(...agentsResult.kept);
+        agentsResult.kept.forEach(file => summary.warnings.push(`Kept local edits in ${file} (see: papr agents diff)`));
+      }
+
+      // Record checksums of everything written so papr update can tell PAPR's files from user edits
+      await recordInstall(target, { ...await getInstallArtifacts(target, installOptions), options: installOptions, kept });
+
+      summary.success = true;
+      return summary;
+    } catch (error) {
+      const typed = toTypedError(error);
+      typed.summary = summary;
+      throw typed;
+    }
+  }
+
+  /**
+   * Ask before installing a package globally. Without a prompt only installDeps (--install-deps) allows it.
+   */
+  async confirmGlobalInstall(pkg, options) {
+    if (options.installDeps) {
+      return true;
+    }
+    if (!options.interactive) {
+      return false;
+    }
+
+    const { install } = await this.prompt([{
+      type: 'confirm',
+      name: 'install',
+      message: `Install ${pkg} globally with npm?`,
+      default: true
+    }]);
+    return install;
+  }
+
+  async checkClaudeInstallation(options = {}) {
+    const version = await new Promise((resolve) => {
+      exec('claude --version', { timeout: 5000 }, (error, stdout) => {
+        resolve(error ? null : stdout.trim());
+      });
+    });
+
+    if (version) {
+      this.progress('claude', 'Claude CLI found ✓');
+      return { installed: true, version };
+    }
+
+    if (options.skipInstall) {
+      return { installed: false, version: null };
+    }
+
+    if (!(await this.confirmGlobalInstall('@anthropic-ai/claude-code', options))) {
+      const optIn = options.interactive ? '' : ', pass --install-deps to let papr install it, or --skip-install to set up without it';
+      throw new CliError(`Claude CLI is required. Install it manually: npm install -g @anthropic-ai/claude-code${optIn}`, EXIT_CODES.CLAUDE_NOT_FOUND);
+    }
+
+    this.progress('claude', 'Installing Claude CLI...');
+    return new Promise((resolve, reject) => {
+      // Install Claude CLI via npm
+      const installTimeout = setTimeout(() => {
+        reject(new CliError('Timeout installing Claude CLI', EXIT_CODES.INSTALL_FAILED));
+      }, 30000);
+
+      exec('npm install -g @anthropic-ai/claude-code', { timeout: 25000 }, (installError) => {
+        clearTimeout(installTimeout);
+        if (installError) {
+          reject(new CliError('Failed to install Claude CLI. Please install manually: npm install -g @anthropic-ai/claude-code', EXIT_CODES.INSTALL_FAILED));
+        } else {
+          resolve({ installed: true, version: null });
+        }
+      });
+    });
+  }
+
+  async getConfiguration(options) {
+    // --api-key-env names the variable to read, so the key never appears in shell history or process lists
+    let apiKey = options.apiKey;
+    if (!apiKey && options.apiKeyEnv) {
+      apiKey = this.env[options.apiKeyEnv];
+      if (!apiKey) {
+        throw new CliError(`Environment variable ${options.apiKeyEnv} is not set`, EXIT_CODES.MISSING_API_KEY);
+      }
+    }
+
+    // Project scope never writes the key into the repo, and each developer logs in on their own
+    if (options.scope === 'project') {
+      return {
+        apiKey: apiKey || null
+      };
+    }
+
+    // Reuse a key from the environment or an earlier papr auth login
+    if (!apiKey) {
+      apiKey = resolveConnection().apiKey;
+    }
+
+    if (!apiKey && !options.interactive) {
+      throw new CliError('No API key provided. Pass --api-key <key> or --api-key-env <VAR>, set PAPR_MEMORY_API_KEY, or run: papr auth login', EXIT_CODES.MISSING_API_KEY);
+    }
+
+    if (!apiKey) {
+      const answers = await this.prompt([{
+        type: 'password',
+        name: 'apiKey',
+        message: 'Enter your PAPR Memory API key (get it from dashboard.papr.ai):',
+        validate: (input) => input.length > 0 || 'API key is required'
+      }]);
+      apiKey = answers.apiKey;
+    }
+
+    return { apiKey };
+  }
+
+  async setupClaudeSettings(target) {
+    this.progress('runtime', 'Installing PAPR runtime...');
+
+    // Copy the runtime scripts out of the npm install so Node upgrades don't break the paths in settings
+    const { sessionHookPath, mcpServerPath } = await installRuntime();
+    this.progress('settings', 'Configuring Claude CLI settings...');
+
+    // Verify critical template files exist
+    if (!(await fs.pathExists(sessionHookPath))) {
+      throw new CliError(`Session hook not found at: ${sessionHookPath}. Try reinstalling: npm install -g @papr/cli`, EXIT_CODES.TEMPLATES_MISSING);
+    }
+    if (!(await fs.pathExists(mcpServerPath))) {
+      throw new CliError(`MCP server not found at: ${mcpServerPath}. Try reinstalling: npm install -g @papr/cli`, EXIT_CODES.TEMPLATES_MISSING);
+    }
+
+    const written = [];
+    const backups = [];
+
+    // Refuses to continue if the existing file cannot be parsed
+    const settings = await readSettings(target.settingsFile);
+
+    if (target.scope === 'project') {
+      // Shared config: the MCP server goes in .mcp.json and resolves the key at runtime. Both launch
+      // through the papr command, since runtime paths differ on every teammate's machine
+      const mcpConfig = await readSettings(target.mcpFile);
+      mergeMcpServer(mcpConfig, mcpServerPath, {}, { portable: true });
+      const mcpBackup = await writeSettings(mcpConfig, target.mcpFile);
+      written.push(target.mcpFile);
+      if (mcpBackup) backups.push(mcpBackup.name);
+
+      mergePaprSettings(settings, {
+        sessionHookPath,
+        mcpServerPath: null,
+        env: {},
+        portable: true
+      });
+    } else {
+      // Merge PAPR session hook and MCP server into existing settings.
+      // Key, server URL and workspace come from the active profile at runtime.
+      mergePaprSettings(settings, {
+        sessionHookPath,
+        mcpServerPath,
+        env: {}
+      });
+    }
+
+    const backup = await writeSettings(settings, target.settingsFile);
+    written.push(target.settingsFile);
+    if (backup) {
+      backups.push(backup.name);
+      this.progress('settings', `Settings updated (backup: ${backup.name})`);
+    }
+
+    return { written, backups };
+  }
+
+  /**
+   * Register the MCP server with an MCP host other than Claude
+   * @param {Object} client - Client from getClient
+   * @param {Object} target - { scope, file }
+   * @returns {Promise<Object>} - { written, backups }
+   */
+  async setupClient(client, target) {
+    this.progress('runtime', 'Installing PAPR runtime...');
+    const { mcpServerPath } = await installRuntime();
+    if (!(await fs.pathExists(mcpServerPath))) {
+      throw new CliError(`MCP server not found at: ${mcpServerPath}. Try reinstalling: npm install -g @papr/cli`, EXIT_CODES.TEMPLATES_MISSING);
+    }
+
+    this.progress('client', `Registering PAPR MCP server with ${client.label}...`);
+    const { file, backup } = await registerClient(client.name, { mcpServerPath, scope: target.scope, projectDir: this.cwd });
+    return { written: [file], backups: backup ? [backup] : [] };
+  }
+
+  async setupHooks(target) {
+    this.progress('commands', 'Setting up memory hooks and commands...');
+
+    // Verify session hook exists
+    const hookFile = path.join(TEMPLATES_DIR, 'session-hook.js');
+    if (!(await fs.pathExists(hookFile))) {
+      throw new CliError(`Session hook template not found at: ${hookFile}`, EXIT_CODES.TEMPLATES_MISSING);
+    }
+
+    // Setup Claude CLI commands directory
+    await fs.ensureDir(target.commandsDir);
+
+    // Copy command templates; commands edited in place are kept, as for agents
+    const commandsSourceDir = path.join(TEMPLATES_DIR, 'commands');
+
+    const written = [];
+    const kept = [];
+    if (await fs.pathExists(commandsSourceDir)) {
+      const files = (await fs.readdir(commandsSourceDir)).map(name => ({
+        source: path.join(commandsSourceDir, name),
+        target: path.join(target.commandsDir, name)
+      }));
+      const install = (await loadManifest()).installs[getInstallKey(target)];
+      for (const file of await planFiles(install, files)) {
+        if (file.action === 'modified') {
+          kept.push(file.target);
+        } else if (file.action !== 'unchanged') {
+          await fs.copy(file.source, file.target, { overwrite: true });
+          written.push(file.target);
+        }
+      }
+    }
+
+    this.progress('commands', 'Memory hooks and commands ready ✓');
+    return { written, kept };
+  }
+
+  async setupPaprAgent(target, options = {}) {
+    this.progress('agents', 'Installing PAPR agents...');
+
+    const agents = await listAgentTemplates();
+    if (!agents.some(agent => agent.source === 'builtin')) {
+      throw new CliError(`PAPR agent templates not found in: ${TEMPLATES_DIR}`, EXIT_CODES.TEMPLATES_MISSING);
+    }
+
+    // Agents edited in place (by you or your team) are kept, not overwritten
+    const disabled = options.disabledAgents || [];
+    const files = agents
+      .filter(agent => !disabled.includes(agent.name))
+      .map(agent => ({ name: agent.name, source: agent.file, target: getAgentFile(target, agent.name) }));
+    const install = (await loadManifest()).installs[getInstallKey(target)];
+
+    await fs.ensureDir(target.agentsDir);
+    const installedAgents = [];
+    const written = [];
+    const kept = [];
+    for (const file of await planFiles(install, files)) {
+      if (file.action === 'modified') {
+        kept.push(file.target);
+        continue;
+      }
+      if (file.action !== 'unchanged') {
+        await fs.copy(file.source, file.target, { overwrite: true });
+        written.push(file.target);
+      }
+      installedAgents.push(file.name);
+    }
+
+    this.progress('agents', `PAPR agents installed: ${installedAgents.join(', ')} ✓`);
+    return { written, kept };
+  }
+
+  /**
+   * Every status check as plain data
+   * @returns {Promise<Object>} - { ok, exitCode, failing, checks } (see collectStatus)
+   */
+  async status() {
+    return collectStatus(this.cwd);
+  }
+
+  /**
+   * Environment `start` launches Claude with
+   * @param {Object} options - memory (false for clean mode), profile, context
+   * @returns {Object} - Environment variables
+   * @throws {CliError} - USAGE for an unknown profile
+   */
+  getStartEnv(options = {}) {
+    if (options.profile && !loadProfiles().profiles[options.profile]) {
+      throw new CliError(`Profile not found: ${options.profile}. Run: papr profile list`, EXIT_CODES.USAGE);
+    }
+
+    const env = { ...this.env, PAPR_MEMORY_ENABLED: options.memory !== false ? 'true' : 'false' };
+
+    // The session hook searches for this instead of its default task query
+    if (options.context) {
+      env.PAPR_SESSION_CONTEXT = options.context;
+    } else {
+      delete env.PAPR_SESSION_CONTEXT;
+    }
+
+    // The MCP server, session hook and indexer inherit PAPR_PROFILE from Claude.
+    // Drop env overrides so the selected profile's key, server and workspace apply.
+    if (options.profile) {
+      env.PAPR_PROFILE = options.profile;
+      delete env.PAPR_MEMORY_API_KEY;
+      delete env.PAPR_API_KEY;
+      delete env.NEXT_PUBLIC_MEMORY_SERVER_URL;
+      delete env.PAPR_WORKSPACE_ID;
+    }
+    return env;
+  }
+
+  /**
+   * Launch Claude with PAPR memory and wait for it to exit. Emits 'spawn' with the child process.
+   * @param {Object} options - memory, profile, context (see getStartEnv) and stdio (default: 'inherit')
+   * @param {string[]} claudeArgs - Arguments forwarded to claude unchanged (e.g. --resume, -p "...")
+   * @returns {Promise<Object>} - { exitCode, signal }
+   * @throws {CliError} - USAGE for an unknown profile, GENERAL if claude cannot be started
+   */
+  async start(options = {}, claudeArgs = []) {
+    const env = this.getStartEnv(options);
+
+    return new Promise((resolve, reject) => {
+      const claude = spawn('claude', claudeArgs, {
+        stdio: options.stdio || 'inherit',
+        env,
+        cwd: this.cwd
+      });
+
+      claude.on('error', (error) => {
+        reject(new CliError(`Failed to start Claude CLI: ${error.message}`, EXIT_CODES.GENERAL));
+      });
+      claude.on('close', (exitCode, signal) => {
+        resolve({ exitCode, signal });
+      });
+
+      this.emit('spawn', claude);
+    });
+  }
+
+  /**
+   * Index a codebase directory into PAPR Memory
+   * @param {string} directory - Directory to index (relative to cwd)
+   * @param {Object} options - includeTests, includeGenerated
+   * @returns {Promise<Object>} - { directory, schemaId, success, skipped, failed, indexed, errors }
+   */
+  async index(directory, options = {}) {
+    const root = path.resolve(this.cwd, directory);
+    if (!(await fs.pathExists(root))) {
+      throw new CliError(`Directory not found: ${directory}`, EXIT_CODES.GENERAL);
+    }
+
+    try {
+      const { CodeIndexer } = require('./code-indexer/index');
+      const indexer = new CodeIndexer({ logger: this.logger });
+
+      this.progress('schema', 'Initializing schema...');
+      const initResult = await indexer.initialize();
+      if (!initResult.success) {
+        throw new CliError(`Schema initialization failed: ${initResult.error}`, EXIT_CODES.GENERAL);
+      }
+      this.progress('schema', `Schema ready (${initResult.schemaId})`, { schemaId: initResult.schemaId });
+
+      this.progress('index', 'Indexing files...');
+      const result = await indexer.indexDirectory(root, {
+        includeTests: options.includeTests || false,
+        includeGenerated: options.includeGenerated || false,
+        onProgress: (event) => this.progress('index', `${event.index}/${event.total} ${event.status}: ${path.relative(root, event.filePath)}`, event)
+      });
+
+      return { directory: root, schemaId: initResult.schemaId, indexed: [], errors: [], ...result };
+    } catch (error) {
+      throw toTypedError(error);
+    }
+  }
+}
+
+module.exports = {
+  PaprCli,
+  collectStatus,
+  getInstallArtifacts
+};
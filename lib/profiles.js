@@ -0,0 +1,143 @@
+/**
+ * Profiles
+ * Named connection profiles (API key reference, server URL, workspace) in ~/.papr/profiles.json.
+ * Loaded by the MCP server, session hook and code indexer at runtime, so it only uses Node built-ins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveApiKey, PAPR_DIR } = require('./credentials');
+
+const PROFILES_FILE = path.join(PAPR_DIR, 'profiles.json');
+const DEFAULT_SERVER_URL = 'https://memory.papr.ai';
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Load the profiles file
+ * @returns {Object} - { current, profiles: { [name]: { keyRef, serverUrl, workspace } } }
+ */
+function loadProfiles() {
+  try {
+    const data = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+    return { current: data.current || null, profiles: data.profiles || {} };
+  } catch (error) {
+    // File doesn't exist or is invalid
+    return { current: null, profiles: {} };
+  }
+}
+
+/**
+ * Write the profiles file
+ * @param {Object} data - { current, profiles }
+ */
+function saveProfiles(data) {
+  fs.mkdirSync(PAPR_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(PROFILES_FILE, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Create or update a profile. The first profile added becomes the current one.
+ * @param {string} name - Profile name
+ * @param {Object} profile - Profile fields
+ * @param {string} profile.keyRef - Name of the key in ~/.papr/credentials
+ * @param {string} profile.serverUrl - Memory server URL (optional)
+ * @param {string} profile.workspace - Workspace ID (optional)
+ * @returns {Object} - Saved profile
+ */
+function addProfile(name, { keyRef, serverUrl, workspace } = {}) {
+  if (!PROFILE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid profile name: ${name}. Use letters, digits, '-' and '_'`);
+  }
+
+  const data = loadProfiles();
+  const existing = data.profiles[name] || {};
+  const profile = {
+    keyRef: keyRef || existing.keyRef || name,
+    serverUrl: serverUrl || existing.serverUrl || null,
+    workspace: workspace || existing.workspace || null
+  };
+
+  data.profiles[name] = profile;
+  if (!data.current) {
+    data.current = name;
+  }
+  saveProfiles(data);
+  return profile;
+}
+
+/**
+ * Remove a profile
+ * @param {string} name - Profile name
+ * @returns {Object|null} - Removed profile, or null if it did not exist
+ */
+function removeProfile(name) {
+  const data = loadProfiles();
+  const profile = data.profiles[name];
+  if (!profile) {
+    return null;
+  }
+
+  delete data.profiles[name];
+  if (data.current === name) {
+    data.current = Object.keys(data.profiles)[0] || null;
+  }
+  saveProfiles(data);
+  return profile;
+}
+
+/**
+ * Make a profile the default for new sessions
+ * @param {string} name - Profile name
+ */
+function useProfile(name) {
+  const data = loadProfiles();
+  if (!data.profiles[name]) {
+    throw new Error(`Profile not found: ${name}. Run: papr profile list`);
+  }
+  data.current = name;
+  saveProfiles(data);
+}
+
+/**
+ * Get the profile this process should use: PAPR_PROFILE (set by papr start --profile) or the current one
+ * @returns {Object|null} - { name, keyRef, serverUrl, workspace } or null when no profiles exist
+ */
+function getActiveProfile() {
+  const data = loadProfiles();
+  const name = process.env.PAPR_PROFILE || data.current;
+  if (!name || !data.profiles[name]) {
+    return null;
+  }
+  return { name, ...data.profiles[name] };
+}
+
+/**
+ * Resolve everything needed to talk to the memory server.
+ * Priority for each value: explicit argument, then environment, then active profile, then default.
+ * @param {Object} options - Options
+ * @param {string} options.apiKey - Key passed directly by the caller (e.g. api_key tool argument)
+ * @returns {Object} - { apiKey, apiKeySource, serverUrl, workspace, profile }
+ */
+function resolveConnection({ apiKey: explicit } = {}) {
+  const profile = getActiveProfile();
+  const { apiKey, source } = resolveApiKey({ explicit, name: profile?.keyRef });
+
+  return {
+    apiKey,
+    apiKeySource: source,
+    serverUrl: process.env.NEXT_PUBLIC_MEMORY_SERVER_URL || profile?.serverUrl || DEFAULT_SERVER_URL,
+    workspace: process.env.PAPR_WORKSPACE_ID || profile?.workspace || null,
+    profile: profile?.name || null
+  };
+}
+
+module.exports = {
+  loadProfiles,
+  addProfile,
+  removeProfile,
+  useProfile,
+  getActiveProfile,
+  resolveConnection,
+  PROFILES_FILE,
+  DEFAULT_SERVER_URL
+};
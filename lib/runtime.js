@@ -0,0 +1,266 @@
+/**
+ * Runtime
+ * Copies the scripts Claude launches (session hook, MCP server, tools) together with the lib modules
+ * and dependencies they load into ~/.papr/runtime/<version>, and points ~/.papr/runtime/current at it.
+ * Settings reference the `current` path, so launches keep working when Node is switched with
+ * nvm or fnm, or the global npm install moves.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { PAPR_DIR } = require('./credentials');
+
+const RUNTIME_DIR = path.join(PAPR_DIR, 'runtime');
+const CURRENT_LINK = path.join(RUNTIME_DIR, 'current');
+const PACKAGE_ROOT = path.join(__dirname, '..');
+const CLI_VERSION = require('../package.json').version;
+
+// Written last, so an interrupted copy is redone on the next install
+const STAMP_FILE = '.papr-runtime.json';
+
+/**
+ * Paths to the runtime scripts under a runtime root
+ * @param {string} root - Runtime root (default: the `current` pointer)
+ * @returns {Object} - { root, templatesPath, sessionHookPath, mcpServerPath }
+ */
+function getRuntimePaths(root = CURRENT_LINK) {
+  const templatesPath = path.join(root, 'templates');
+  return {
+    root,
+    templatesPath,
+    sessionHookPath: path.join(templatesPath, 'session-hook.js'),
+    mcpServerPath: path.join(templatesPath, 'papr-mcp-server.js')
+  };
+}
+
+/**
+ * Fingerprint the package's lib and templates, so a development checkout that changes
+ * without a version bump still refreshes its runtime copy
+ * @returns {Promise<string>} - sha256 hex
+ */
+async function fingerprintPackage() {
+  const hash = crypto.createHash('sha256');
+  const walk = async (dir) => {
+    for (const name of (await fs.readdir(dir)).sort()) {
+      const file = path.join(dir, name);
+      if ((await fs.stat(file)).isDirectory()) {
+        await walk(file);
+      } else {
+        hash.update(path.relative(PACKAGE_ROOT, file));
+        hash.update(await fs.readFile(file));
+      }
+    }
+  };
+  await walk(path.join(PACKAGE_ROOT, 'lib'));
+  await walk(path.join(PACKAGE_ROOT, 'templates'));
+  return hash.digest('hex');
+}
+
+/**
+ * Find the node_modules directory the package's dependencies were installed into
+ * @returns {string|null} - Directory, or null if it cannot be located
+ */
+function findDependenciesDir() {
+  try {
+    // <node_modules>/@papr/memory/index.js (the package does not export its package.json)
+    const entry = require.resolve('@papr/memory');
+    const marker = `${path.sep}node_modules${path.sep}`;
+    return entry.slice(0, entry.lastIndexOf(marker) + marker.length - 1);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Point `current` at a version directory. Junctions on Windows need no extra privileges.
+ * @param {string} versionDir - Runtime version directory
+ */
+async function linkCurrent(versionDir) {
+  const tempLink = `${CURRENT_LINK}.${process.pid}`;
+  await fs.remove(tempLink);
+  await fs.symlink(versionDir, tempLink, 'junction');
+  try {
+    // Atomic swap where the platform allows it
+    await fs.rename(tempLink, CURRENT_LINK);
+  } catch (error) {
+    await fs.remove(CURRENT_LINK);
+    await fs.rename(tempLink, CURRENT_LINK);
+  }
+}
+
+/**
+ * Read the version `current` points at
+ * @returns {Promise<string|null>} - Version, or null if no runtime is installed
+ */
+async function getCurrentVersion() {
+  try {
+    return path.basename(await fs.realpath(CURRENT_LINK));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build a complete runtime copy in a temporary directory next to versionDir
+ * @param {string} versionDir - Runtime version directory it will replace
+ * @param {Object} stamp - Stamp to write once everything is copied
+ * @returns {Promise<string>} - Temporary directory
+ */
+async function buildRuntime(versionDir, stamp) {
+  const tempDir = `${versionDir}.tmp-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  await fs.ensureDir(tempDir);
+  try {
+    for (const entry of ['lib', 'templates', 'package.json']) {
+      await fs.copy(path.join(PACKAGE_ROOT, entry), path.join(tempDir, entry));
+    }
+    // Native modules (tree-sitter) come along built for the Node that installed the CLI; the ABI in
+    // the stamp tells installRuntime and papr doctor when that no longer matches
+    const dependenciesDir = findDependenciesDir();
+    if (dependenciesDir) {
+      await fs.copy(dependenciesDir, path.join(tempDir, 'node_modules'), { dereference: true });
+    }
+    await fs.writeJson(path.join(tempDir, STAMP_FILE), stamp, { spaces: 2 });
+  } catch (error) {
+    await fs.remove(tempDir);
+    throw error;
+  }
+  return tempDir;
+}
+
+/**
+ * Swap a finished copy in for versionDir. Running sessions load files from versionDir, so it is
+ * never modified in place: it moves aside in one rename and the new copy takes its name in another.
+ * @param {string} tempDir - Finished copy
+ * @param {string} versionDir - Runtime version directory
+ */
+async function replaceRuntime(tempDir, versionDir) {
+  const oldDir = `${versionDir}.old-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  try {
+    await fs.rename(versionDir, oldDir);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      await fs.remove(tempDir);
+      throw error;
+    }
+  }
+  try {
+    await fs.rename(tempDir, versionDir);
+  } catch (error) {
+    // Another process that started at the same time put its copy in place first
+    await fs.remove(tempDir);
+    if (!(await fs.pathExists(path.join(versionDir, STAMP_FILE)))) {
+      throw error;
+    }
+  }
+  await fs.remove(oldDir);
+}
+
+/**
+ * Copy this CLI version's runtime into ~/.papr/runtime/<version> (if not already there) and make it current
+ * @param {Object} options - Options
+ * @param {boolean} options.verify - Also fingerprint lib and templates, so a development checkout that
+ *   changes without a version bump is recopied (default: true). Launches (papr mcp serve, papr hook
+ *   session-start) pass false and only compare the version and Node ABI in the stamp.
+ * @returns {Promise<Object>} - getRuntimePaths() plus { version, versionDir, copied }
+ */
+async function installRuntime({ verify = true } = {}) {
+  const versionDir = path.join(RUNTIME_DIR, CLI_VERSION);
+  const stamp = await fs.readJson(path.join(versionDir, STAMP_FILE)).catch(() => null);
+  const abi = process.versions.modules;
+
+  let upToDate = stamp?.version === CLI_VERSION && stamp.abi === abi;
+  let fingerprint = stamp?.fingerprint;
+  if (upToDate && verify) {
+    fingerprint = await fingerprintPackage();
+    upToDate = stamp.fingerprint === fingerprint;
+  }
+
+  let copied = false;
+  if (!upToDate) {
+    if (!verify) fingerprint = await fingerprintPackage();
+    await fs.ensureDir(RUNTIME_DIR);
+    const tempDir = await buildRuntime(versionDir, {
+      version: CLI_VERSION,
+      fingerprint,
+      abi,
+      installedAt: new Date().toISOString()
+    });
+    await replaceRuntime(tempDir, versionDir);
+    copied = true;
+  }
+
+  if ((await getCurrentVersion()) !== CLI_VERSION) {
+    await linkCurrent(versionDir);
+  }
+
+  return { ...getRuntimePaths(), version: CLI_VERSION, versionDir, copied };
+}
+
+/**
+ * Read the stamp of the runtime `current` points at
+ * @returns {Promise<Object|null>} - { version, fingerprint, abi, installedAt }, or null if missing
+ */
+async function getCurrentStamp() {
+  return fs.readJson(path.join(CURRENT_LINK, STAMP_FILE)).catch(() => null);
+}
+
+/**
+ * Compare dotted versions numerically
+ */
+function compareVersions(a, b) {
+  const pa = a.split(/[.-]/).map(part => parseInt(part, 10) || 0);
+  const pb = b.split(/[.-]/).map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    if ((pa[i] || 0) !== (pb[i] || 0)) return (pa[i] || 0) - (pb[i] || 0);
+  }
+  return 0;
+}
+
+/**
+ * List installed runtime versions, newest first
+ * @returns {Promise<Array<Object>>} - [{ version, dir, current, installedAt }]
+ */
+async function listRuntimes() {
+  if (!(await fs.pathExists(RUNTIME_DIR))) return [];
+
+  const current = await getCurrentVersion();
+  const runtimes = [];
+  for (const name of await fs.readdir(RUNTIME_DIR)) {
+    const dir = path.join(RUNTIME_DIR, name);
+    if (name.startsWith('current') || /\.(tmp|old)-/.test(name)) continue;
+    if (!(await fs.lstat(dir)).isDirectory()) continue;
+    const stamp = await fs.readJson(path.join(dir, STAMP_FILE)).catch(() => null);
+    runtimes.push({ version: name, dir, current: name === current, installedAt: stamp?.installedAt || null });
+  }
+  return runtimes.sort((a, b) => compareVersions(b.version, a.version));
+}
+
+/**
+ * Remove old runtime versions. The current one is never removed.
+ * @param {Object} options - Options
+ * @param {number} options.keep - Number of most recent non-current versions to keep (default: 0)
+ * @param {boolean} options.dryRun - Only report what would be removed
+ * @returns {Promise<Array<Object>>} - Removed (or removable) runtimes
+ */
+async function pruneRuntimes({ keep = 0, dryRun = false } = {}) {
+  const old = (await listRuntimes()).filter(runtime => !runtime.current);
+  const removable = old.slice(keep);
+  if (!dryRun) {
+    for (const runtime of removable) {
+      await fs.remove(runtime.dir);
+    }
+  }
+  return removable;
+}
+
+module.exports = {
+  installRuntime,
+  getRuntimePaths,
+  getCurrentVersion,
+  getCurrentStamp,
+  listRuntimes,
+  pruneRuntimes,
+  RUNTIME_DIR,
+  CURRENT_LINK
+};
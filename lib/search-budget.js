@@ -0,0 +1,221 @@
+/**
+ * Search Budget
+ * Fits search_memory results into a character budget: long memory content is cut to a snippet around
+ * the part that matches the query, memories that do not fit are left for the next page, and an opaque
+ * cursor fetches that page. Full results are kept in memory for a few minutes, so paging does not
+ * repeat the search. Cached results and cursors belong to the API key that ran the search, so one
+ * caller (or HTTP session) can never page through another's results.
+ * Loaded by the MCP server at runtime, so it only uses Node built-ins.
+ */
+
+const crypto = require('crypto');
+
+// Rough size of a token in characters, for turning max_tokens into a budget
+const CHARS_PER_TOKEN = 4;
+
+const CACHE_TTL = 10 * 60 * 1000;
+const MAX_CACHED_SEARCHES = 20;
+
+// Owner and JSON-encoded search params -> { summary, cachedAt }
+const searchCache = new Map();
+
+/**
+ * Identify who ran a search without keeping their API key: a hash of the resolved key and server
+ * @param {Object} connection - resolveConnection output ({ apiKey, serverUrl })
+ * @returns {string} - Owner ID
+ */
+function searchOwner({ apiKey, serverUrl }) {
+  return crypto.createHash('sha256').update(`${serverUrl}\n${apiKey || ''}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Encode the next page of a search as an opaque cursor. It carries the search params and the owner
+ * (never the API key), so the page can still be fetched after the cached result expires.
+ * @param {Object} searchParams - memory.search params
+ * @param {number} offset - Index of the first memory on the page
+ * @param {string} owner - searchOwner of the caller
+ * @returns {string} - Cursor
+ */
+function encodeCursor(searchParams, offset, owner) {
+  return Buffer.from(JSON.stringify({ p: searchParams, o: offset, k: owner })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor
+ * @param {string} owner - searchOwner of the caller
+ * @returns {Object} - { searchParams, offset }
+ * @throws {Error} - If the cursor is not one this server issued, or was issued to another API key
+ */
+function decodeCursor(cursor, owner) {
+  let decoded = null;
+  try {
+    const { p, o, k } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (p && typeof p.query === 'string' && Number.isInteger(o) && o >= 0) {
+      decoded = { searchParams: p, offset: o, owner: k };
+    }
+  } catch (error) {
+    // Fall through
+  }
+  if (!decoded) {
+    throw new Error('Invalid cursor. Pass the next_cursor value from a previous search_memory result unchanged');
+  }
+  if (decoded.owner !== owner) {
+    throw new Error('This cursor belongs to a search made with another API key. Run the search again');
+  }
+  return { searchParams: decoded.searchParams, offset: decoded.offset };
+}
+
+function cacheKey(searchParams, owner) {
+  return `${owner}:${JSON.stringify(searchParams)}`;
+}
+
+/**
+ * Get a cached search result
+ * @param {Object} searchParams - memory.search params
+ * @param {string} owner - searchOwner of the caller
+ * @returns {Object|null} - summarizeSearchResult output, or null if not cached or expired
+ */
+function getCachedSearch(searchParams, owner) {
+  const key = cacheKey(searchParams, owner);
+  const entry = searchCache.get(key);
+  if (!entry || Date.now() - entry.cachedAt > CACHE_TTL) {
+    searchCache.delete(key);
+    return null;
+  }
+  return entry.summary;
+}
+
+/**
+ * Cache a search result for paging, dropping the oldest once MAX_CACHED_SEARCHES are held
+ * @param {Object} searchParams - memory.search params
+ * @param {string} owner - searchOwner of the caller
+ * @param {Object} summary - summarizeSearchResult output
+ */
+function cacheSearch(searchParams, owner, summary) {
+  const key = cacheKey(searchParams, owner);
+  searchCache.delete(key);
+  searchCache.set(key, { summary, cachedAt: Date.now() });
+  while (searchCache.size > MAX_CACHED_SEARCHES) {
+    searchCache.delete(searchCache.keys().next().value);
+  }
+}
+
+/**
+ * Cut text to a window of maxChars around the densest cluster of query terms (the start when
+ * nothing matches), marking cuts with an ellipsis
+ * @param {string} text - Memory content
+ * @param {string} query - Search query
+ * @param {number} maxChars - Snippet length
+ * @returns {string} - Text if it fits, otherwise the snippet
+ */
+function snippetAround(text, query, maxChars) {
+  if (text.length <= maxChars) return text;
+
+  const lower = text.toLowerCase();
+  const terms = [...new Set(query.toLowerCase().split(/[^\p{L}\p{N}_]+/u).filter(term => term.length >= 3))];
+  const hits = [];
+  for (const term of terms) {
+    for (let at = lower.indexOf(term); at !== -1 && hits.length < 500; at = lower.indexOf(term, at + term.length)) {
+      hits.push(at);
+    }
+  }
+  hits.sort((a, b) => a - b);
+
+  // Slide a window over the hits, keeping the one that covers the most; a quarter of it goes
+  // before the first hit so the match has some lead-in
+  let start = 0;
+  let best = 0;
+  for (let i = 0, j = 0; i < hits.length; i++) {
+    while (j < hits.length && hits[j] < hits[i] + maxChars * 0.75) j++;
+    if (j - i > best) {
+      best = j - i;
+      start = Math.max(0, hits[i] - Math.floor(maxChars / 4));
+    }
+  }
+  start = Math.min(start, text.length - maxChars);
+
+  return `${start > 0 ? '…' : ''}${text.slice(start, start + maxChars).trim()}${start + maxChars < text.length ? '…' : ''}`;
+}
+
+/**
+ * Take one page of a search result that fits the budget. Every memory gets a snippet if its content
+ * is longer than snippetChars; graph nodes go on the first page only. A page always holds at least
+ * one memory, even if that one alone exceeds the budget.
+ * @param {Object} summary - Full summarizeSearchResult output
+ * @param {Object} options - Options
+ * @param {Object} options.searchParams - memory.search params (for the next cursor and the query)
+ * @param {string} options.owner - searchOwner of the caller (for the next cursor)
+ * @param {number} options.offset - Index of the first memory on this page
+ * @param {number} options.budgetChars - Character budget for memories and nodes
+ * @param {number} options.snippetChars - Longest content kept in full
+ * @returns {Object} - summary fields for this page, plus next_cursor and omitted
+ */
+function paginateSearch(summary, { searchParams, owner, offset = 0, budgetChars, snippetChars }) {
+  const memories = [];
+  let used = 0;
+  let truncatedChars = 0;
+  let truncatedMemories = 0;
+
+  let index = offset;
+  for (; index < summary.memories.length; index++) {
+    const memory = summary.memories[index];
+    const content = String(memory.content || '');
+    const snippet = snippetAround(content, searchParams.query, snippetChars);
+    const pageMemory = snippet === content
+      ? memory
+      : { ...memory, content: snippet, content_truncated: true, content_length: content.length };
+
+    const cost = JSON.stringify(pageMemory).length;
+    if (memories.length > 0 && used + cost > budgetChars) break;
+
+    memories.push(pageMemory);
+    used += cost;
+    if (pageMemory.content_truncated) {
+      truncatedMemories++;
+      truncatedChars += content.length - snippet.length;
+    }
+  }
+
+  const nodes = [];
+  const candidateNodes = offset === 0 ? summary.nodes : [];
+  for (const node of candidateNodes) {
+    const cost = JSON.stringify(node).length;
+    if (used + cost > budgetChars) break;
+    nodes.push(node);
+    used += cost;
+  }
+
+  const remaining = summary.memories.slice(index);
+  return {
+    status: summary.status,
+    search_id: summary.search_id,
+    memories,
+    nodes,
+    total_memories: summary.memories.length,
+    total_nodes: summary.nodes.length,
+    offset,
+    next_cursor: remaining.length > 0 ? encodeCursor(searchParams, index, owner) : null,
+    omitted: {
+      memories: remaining.length,
+      nodes: candidateNodes.length - nodes.length,
+      truncated_memories: truncatedMemories,
+      chars: truncatedChars
+        + remaining.reduce((sum, memory) => sum + String(memory.content || '').length, 0)
+        + candidateNodes.slice(nodes.length).reduce((sum, node) => sum + JSON.stringify(node).length, 0)
+    },
+    budget_chars: budgetChars,
+    used_chars: used
+  };
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  searchOwner,
+  encodeCursor,
+  decodeCursor,
+  getCachedSearch,
+  cacheSearch,
+  snippetAround,
+  paginateSearch
+};
@@ -0,0 +1,463 @@
+/**
+ * Settings Manager
+ * Reads, merges and writes Claude settings files without clobbering user entries.
+ * Every write is preceded by a timestamped backup that `papr restore` can roll back to.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { CliError, EXIT_CODES } = require('./errors');
+const { DEFAULT_SERVER_URL } = require('./profiles');
+
+const CLAUDE_DIR = path.join(os.homedir(), '.claude');
+const SETTINGS_FILE = path.join(CLAUDE_DIR, 'settings.json');
+const BACKUP_DIR = path.join(os.homedir(), '.papr', 'backups');
+const BACKUP_INDEX_FILE = path.join(BACKUP_DIR, 'index.json');
+
+// Keep the most recent backups only, oldest are pruned after each write
+const MAX_BACKUPS = 20;
+
+// Env keys written by PAPR that are not covered by the PAPR_ prefix
+const PAPR_EXTRA_ENV_KEYS = ['NEXT_PUBLIC_MEMORY_SERVER_URL'];
+
+// Env keys that older versions used to store the API key in plain text
+const LEGACY_API_KEY_ENV_KEYS = ['PAPR_MEMORY_API_KEY', 'PAPR_API_KEY'];
+
+// Installation scopes, matching Claude's own settings hierarchy
+const SCOPES = ['user', 'project', 'local'];
+
+// Project files are committed and shared, so they launch PAPR through the papr command on each
+// developer's PATH instead of a path under one machine's ~/.papr/runtime
+const PORTABLE_SESSION_HOOK_COMMAND = 'papr hook session-start';
+const PORTABLE_MCP_SERVER = { command: 'papr', args: ['mcp', 'serve'] };
+
+class SettingsParseError extends Error {
+  constructor(filePath, cause) {
+    super(`Refusing to modify ${filePath}: it is not valid JSON (${cause.message}). Fix the file or run: papr restore --list`);
+    this.name = 'SettingsParseError';
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Read a settings file
+ * @param {string} filePath - Settings file path (default: ~/.claude/settings.json)
+ * @returns {Promise<Object>} - Parsed settings, or {} if the file does not exist
+ * @throws {SettingsParseError} - If the file exists but cannot be parsed
+ */
+async function readSettings(filePath = SETTINGS_FILE) {
+  if (!(await fs.pathExists(filePath))) {
+    return {};
+  }
+
+  const raw = await fs.readFile(filePath, 'utf8');
+  if (raw.trim() === '') {
+    return {};
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new SettingsParseError(filePath, error);
+  }
+}
+
+/**
+ * Write a settings file, backing up the previous version first
+ * @param {Object} settings - Settings to write
+ * @param {string} filePath - Settings file path (default: ~/.claude/settings.json)
+ * @returns {Promise<Object|null>} - Backup entry, or null if there was nothing to back up
+ */
+async function writeSettings(settings, filePath = SETTINGS_FILE) {
+  const backup = await createBackup(filePath);
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeJson(filePath, settings, { spaces: 2 });
+  return backup;
+}
+
+/**
+ * Read, modify and write a settings file in one step
+ * @param {Function} mutate - Receives the settings object and modifies it in place
+ * @param {string} filePath - Settings file path (default: ~/.claude/settings.json)
+ * @returns {Promise<Object>} - Updated settings
+ */
+async function updateSettings(mutate, filePath = SETTINGS_FILE) {
+  const settings = await readSettings(filePath);
+  await mutate(settings);
+  await writeSettings(settings, filePath);
+  return settings;
+}
+
+/**
+ * Resolve where each PAPR artifact lives for an installation scope.
+ * - user: ~/.claude (applies to every project)
+ * - project: <project>/.claude/settings.json and <project>/.mcp.json (meant to be committed)
+ * - local: <project>/.claude/settings.local.json (personal, not committed)
+ * @param {string} scope - 'user', 'project' or 'local'
+ * @param {string} projectDir - Project root (default: current directory)
+ * @returns {Object} - { scope, root, settingsFile, mcpFile, agentsDir, commandsDir }
+ */
+function getScopePaths(scope = 'user', projectDir = process.cwd()) {
+  if (!SCOPES.includes(scope)) {
+    throw new CliError(`Unknown scope: ${scope}. Use one of: ${SCOPES.join(', ')}`, EXIT_CODES.USAGE);
+  }
+
+  if (scope === 'user') {
+    return {
+      scope,
+      root: CLAUDE_DIR,
+      settingsFile: SETTINGS_FILE,
+      mcpFile: null,
+      agentsDir: path.join(CLAUDE_DIR, 'agents'),
+      commandsDir: path.join(CLAUDE_DIR, 'commands')
+    };
+  }
+
+  const root = path.join(path.resolve(projectDir), '.claude');
+  return {
+    scope,
+    root,
+    settingsFile: path.join(root, scope === 'project' ? 'settings.json' : 'settings.local.json'),
+    mcpFile: scope === 'project' ? path.join(path.resolve(projectDir), '.mcp.json') : null,
+    agentsDir: path.join(root, 'agents'),
+    commandsDir: path.join(root, 'commands')
+  };
+}
+
+/**
+ * Detect which scopes have PAPR configured
+ * @param {string} projectDir - Project root (default: current directory)
+ * @returns {Promise<Object>} - { scopes: [{ scope, settingsFile, hook, mcpServer, error }], active, conflicts }
+ */
+async function detectScopes(projectDir = process.cwd()) {
+  const scopes = [];
+
+  for (const scope of SCOPES) {
+    const paths = getScopePaths(scope, projectDir);
+    const entry = { scope, settingsFile: paths.settingsFile, hook: false, mcpServer: false, error: null };
+
+    try {
+      const settings = await readSettings(paths.settingsFile);
+      entry.hook = (settings.hooks?.SessionStart || []).some(isPaprHookGroup);
+      entry.mcpServer = Boolean(settings.mcpServers?.['papr-memory']);
+
+      if (paths.mcpFile) {
+        const mcpConfig = await readSettings(paths.mcpFile);
+        entry.mcpServer = entry.mcpServer || Boolean(mcpConfig.mcpServers?.['papr-memory']);
+      }
+    } catch (error) {
+      entry.error = error.message;
+    }
+
+    if (entry.hook || entry.mcpServer || entry.error) {
+      scopes.push(entry);
+    }
+  }
+
+  const configured = scopes.filter(s => s.hook || s.mcpServer);
+  const conflicts = [];
+  if (configured.filter(s => s.hook).length > 1) {
+    conflicts.push(`PAPR session hook is installed in several scopes (${configured.filter(s => s.hook).map(s => s.scope).join(', ')}); memory context will load more than once`);
+  }
+  if (configured.filter(s => s.mcpServer).length > 1) {
+    conflicts.push(`papr-memory MCP server is registered in several scopes (${configured.filter(s => s.mcpServer).map(s => s.scope).join(', ')}); the most specific one wins`);
+  }
+
+  // Claude applies local over project over user, so the most specific scope is the active one
+  const active = [...configured].reverse()[0]?.scope || null;
+
+  return { scopes, active, conflicts };
+}
+
+/**
+ * Check whether a SessionStart hook group was written by PAPR.
+ * PAPR hooks run templates/session-hook.js, directly or through papr hook session-start.
+ * @param {Object} group - Hook group ({ matcher, hooks: [...] })
+ * @returns {boolean}
+ */
+function isPaprHookGroup(group) {
+  return Array.isArray(group?.hooks) &&
+    group.hooks.some(hook => typeof hook.command === 'string' &&
+      (hook.command.includes('session-hook.js') || hook.command === PORTABLE_SESSION_HOOK_COMMAND));
+}
+
+/**
+ * Check whether an env key was written by PAPR
+ * @param {string} key - Env variable name
+ * @returns {boolean}
+ */
+function isPaprEnvKey(key) {
+  return key.startsWith('PAPR_') || PAPR_EXTRA_ENV_KEYS.includes(key);
+}
+
+/**
+ * How an MCP client launches the PAPR server
+ * @param {string} mcpServerPath - Absolute path to papr-mcp-server.js
+ * @param {boolean} portable - Launch through papr mcp serve instead, for shared project files
+ * @returns {Object} - { command, args }
+ */
+function getMcpServerLaunch(mcpServerPath, portable = false) {
+  return portable
+    ? { command: PORTABLE_MCP_SERVER.command, args: [...PORTABLE_MCP_SERVER.args] }
+    : { command: 'node', args: [mcpServerPath] };
+}
+
+/**
+ * Merge the papr-memory MCP server into a settings or .mcp.json object
+ * @param {Object} config - Object with an optional mcpServers map (modified in place)
+ * @param {string} mcpServerPath - Absolute path to papr-mcp-server.js
+ * @param {Object} env - Env keys passed to the MCP server
+ * @param {Object} options - { portable } to launch through papr mcp serve (project scope)
+ * @returns {Object} - The same config object
+ */
+function mergeMcpServer(config, mcpServerPath, env, { portable = false } = {}) {
+  config.mcpServers = config.mcpServers || {};
+  config.mcpServers['papr-memory'] = {
+    type: 'stdio',
+    ...getMcpServerLaunch(mcpServerPath, portable),
+    env: { ...env }
+  };
+
+  // Remove any conflicting papr-memory-mcp server (we use our own Node.js implementation)
+  delete config.mcpServers['papr-memory-mcp'];
+
+  return config;
+}
+
+/**
+ * Merge PAPR entries into a settings object.
+ * Existing hooks, MCP servers and env keys are kept; only PAPR's own entries are replaced.
+ * @param {Object} settings - Settings object (modified in place)
+ * @param {Object} papr - PAPR configuration
+ * @param {string} papr.sessionHookPath - Absolute path to session-hook.js
+ * @param {string|null} papr.mcpServerPath - Absolute path to papr-mcp-server.js (null to skip, e.g. when it goes in .mcp.json)
+ * @param {Object} papr.env - Env keys to set for Claude
+ * @param {Object} papr.mcpEnv - Env keys for the MCP server (default: same as env)
+ * @param {boolean} papr.portable - Launch through the papr command instead of runtime paths (project scope)
+ * @returns {Object} - The same settings object
+ */
+function mergePaprSettings(settings, { sessionHookPath, mcpServerPath, env, mcpEnv = env, portable = false }) {
+  // SessionStart hook: replace any previous PAPR hook, keep everyone else's
+  settings.hooks = settings.hooks || {};
+  const sessionStart = Array.isArray(settings.hooks.SessionStart) ? settings.hooks.SessionStart : [];
+  settings.hooks.SessionStart = [
+    ...sessionStart.filter(group => !isPaprHookGroup(group)),
+    {
+      matcher: '*',
+      hooks: [{
+        type: 'command',
+        command: portable ? PORTABLE_SESSION_HOOK_COMMAND : `node ${sessionHookPath}`
+      }]
+    }
+  ];
+
+  // MCP server for PAPR Memory tools
+  if (mcpServerPath) {
+    mergeMcpServer(settings, mcpServerPath, mcpEnv, { portable });
+  }
+
+  settings.env = {
+    ...settings.env,
+    ...env
+  };
+
+  // The API key lives in ~/.papr/credentials now; drop plain-text copies from older installs
+  for (const key of LEGACY_API_KEY_ENV_KEYS) {
+    if (!(key in env)) {
+      delete settings.env[key];
+    }
+  }
+
+  // Older installs pinned the default server URL, which would override the active profile
+  if (settings.env.NEXT_PUBLIC_MEMORY_SERVER_URL === DEFAULT_SERVER_URL && !('NEXT_PUBLIC_MEMORY_SERVER_URL' in env)) {
+    delete settings.env.NEXT_PUBLIC_MEMORY_SERVER_URL;
+  }
+  if (Object.keys(settings.env).length === 0) {
+    delete settings.env;
+  }
+
+  return settings;
+}
+
+/**
+ * Strip PAPR entries (MCP server, SessionStart hook, env keys) from a settings object.
+ * Everything else is left as-is.
+ * @param {Object} settings - Settings object (modified in place)
+ * @returns {string[]} - Descriptions of what was removed
+ */
+function removePaprSettings(settings) {
+  const removed = [];
+
+  if (settings.mcpServers && settings.mcpServers['papr-memory']) {
+    delete settings.mcpServers['papr-memory'];
+    removed.push('mcpServers.papr-memory');
+    if (Object.keys(settings.mcpServers).length === 0) {
+      delete settings.mcpServers;
+    }
+  }
+
+  if (settings.hooks && Array.isArray(settings.hooks.SessionStart)) {
+    const remaining = settings.hooks.SessionStart.filter(group => !isPaprHookGroup(group));
+    if (remaining.length !== settings.hooks.SessionStart.length) {
+      removed.push('hooks.SessionStart (PAPR session hook)');
+      if (remaining.length > 0) {
+        settings.hooks.SessionStart = remaining;
+      } else {
+        delete settings.hooks.SessionStart;
+      }
+      if (Object.keys(settings.hooks).length === 0) {
+        delete settings.hooks;
+      }
+    }
+  }
+
+  if (settings.env) {
+    for (const key of Object.keys(settings.env)) {
+      if (isPaprEnvKey(key)) {
+        delete settings.env[key];
+        removed.push(`env.${key}`);
+      }
+    }
+    if (Object.keys(settings.env).length === 0) {
+      delete settings.env;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Load the backup index
+ * @returns {Promise<Array<Object>>} - Backup entries, oldest first
+ */
+async function loadBackupIndex() {
+  try {
+    const index = await fs.readJson(BACKUP_INDEX_FILE);
+    return Array.isArray(index.backups) ? index.backups : [];
+  } catch (error) {
+    // Index doesn't exist or is invalid
+    return [];
+  }
+}
+
+async function saveBackupIndex(backups) {
+  await fs.ensureDir(BACKUP_DIR);
+  await fs.writeJson(BACKUP_INDEX_FILE, { backups }, { spaces: 2 });
+}
+
+/**
+ * Copy a settings file into ~/.papr/backups
+ * @param {string} filePath - File to back up
+ * @returns {Promise<Object|null>} - Backup entry { name, source, createdAt }, or null if the file does not exist
+ */
+async function createBackup(filePath = SETTINGS_FILE) {
+  if (!(await fs.pathExists(filePath))) {
+    return null;
+  }
+
+  const createdAt = new Date().toISOString();
+  const stamp = createdAt.replace(/[:.]/g, '-');
+  const base = path.basename(filePath, path.extname(filePath));
+  let name = `${base}-${stamp}.json`;
+
+  // Two writes within the same millisecond must not overwrite each other
+  let suffix = 1;
+  while (await fs.pathExists(path.join(BACKUP_DIR, name))) {
+    name = `${base}-${stamp}-${suffix++}.json`;
+  }
+
+  await fs.ensureDir(BACKUP_DIR);
+  await fs.copy(filePath, path.join(BACKUP_DIR, name));
+
+  const entry = { name, source: path.resolve(filePath), createdAt };
+  const backups = await loadBackupIndex();
+  backups.push(entry);
+
+  // Prune the oldest backups
+  while (backups.length > MAX_BACKUPS) {
+    const oldest = backups.shift();
+    await fs.remove(path.join(BACKUP_DIR, oldest.name));
+  }
+
+  await saveBackupIndex(backups);
+  return entry;
+}
+
+/**
+ * List available backups
+ * @returns {Promise<Array<Object>>} - Backup entries with absolute paths, newest first
+ */
+async function listBackups() {
+  const backups = await loadBackupIndex();
+  return backups
+    .map(entry => ({ ...entry, path: path.join(BACKUP_DIR, entry.name) }))
+    .reverse();
+}
+
+/**
+ * Restore a backup over the file it was taken from.
+ * The current file is backed up first, so a restore can itself be undone.
+ * @param {string} [name] - Backup name or path (default: most recent backup)
+ * @returns {Promise<Object>} - { restored, target, backup }
+ */
+async function restoreBackup(name) {
+  const backups = await listBackups();
+
+  let entry;
+  if (!name) {
+    entry = backups[0];
+    if (!entry) {
+      throw new Error(`No backups found in ${BACKUP_DIR}`);
+    }
+  } else {
+    entry = backups.find(b => b.name === name || b.path === path.resolve(name));
+    if (!entry) {
+      throw new Error(`Backup not found: ${name}. Run: papr restore --list`);
+    }
+  }
+
+  if (!(await fs.pathExists(entry.path))) {
+    throw new Error(`Backup file is missing: ${entry.path}`);
+  }
+
+  // Read it before taking the safety backup: once MAX_BACKUPS is reached, that prunes the oldest
+  // backup, which may be this one
+  const content = await fs.readFile(entry.path, 'utf8');
+
+  // Never restore something that is not valid JSON
+  try {
+    JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Backup ${entry.name} is not valid JSON: ${error.message}`);
+  }
+
+  const backup = await createBackup(entry.source);
+  await fs.ensureDir(path.dirname(entry.source));
+  await fs.writeFile(entry.source, content);
+
+  return { restored: entry, target: entry.source, backup };
+}
+
+module.exports = {
+  readSettings,
+  writeSettings,
+  updateSettings,
+  mergePaprSettings,
+  mergeMcpServer,
+  getMcpServerLaunch,
+  removePaprSettings,
+  isPaprHookGroup,
+  isPaprEnvKey,
+  createBackup,
+  listBackups,
+  restoreBackup,
+  getScopePaths,
+  detectScopes,
+  SettingsParseError,
+  SCOPES,
+  PORTABLE_SESSION_HOOK_COMMAND,
+  CLAUDE_DIR,
+  SETTINGS_FILE,
+  BACKUP_DIR
+};
@@ -0,0 +1,319 @@
+/**
+ * Tool Results
+ * Output schemas for the MCP server's tools, and the compact text each result is rendered as next to
+ * its structuredContent, so the model reads a short summary instead of re-parsing pretty-printed JSON.
+ * Loaded by the MCP server at runtime, so it only uses Node built-ins.
+ */
+
+const { snippetAround } = require('./search-budget');
+
+// Fields any PAPR API response may carry
+const API_RESULT_PROPERTIES = {
+  status: { type: 'string' },
+  code: { type: 'integer' },
+  message: { type: ['string', 'null'] },
+  error: { type: ['string', 'null'] },
+  details: {}
+};
+
+const MEMORY_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    content: { type: 'string' },
+    title: { type: ['string', 'null'] },
+    type: { type: 'string' },
+    topics: { type: ['array', 'null'], items: { type: 'string' } },
+    createdAt: { type: ['string', 'null'] },
+    updatedAt: { type: ['string', 'null'] },
+    customMetadata: { type: ['object', 'null'] },
+    relevance_score: { type: ['number', 'null'] },
+    content_truncated: { type: 'boolean', description: 'content is a snippet; get_memory returns all of it' },
+    content_length: { type: 'integer', description: 'Length of the full content' }
+  },
+  required: ['id', 'content']
+};
+
+const OUTPUT_SCHEMAS = {
+  search_memory: {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      search_id: { type: ['string', 'null'], description: 'Pass to submit_feedback' },
+      memories: { type: 'array', items: MEMORY_SCHEMA },
+      nodes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { label: { type: 'string' }, properties: { type: 'object' } }
+        }
+      },
+      total_memories: { type: 'integer', description: 'Memories the search found, across all pages' },
+      total_nodes: { type: 'integer' },
+      offset: { type: 'integer', description: 'Index of the first memory on this page' },
+      next_cursor: { type: ['string', 'null'], description: 'Pass as cursor to get the next page; null on the last page' },
+      omitted: {
+        type: 'object',
+        description: 'What this page leaves out',
+        properties: {
+          memories: { type: 'integer', description: 'Memories left for later pages' },
+          nodes: { type: 'integer', description: 'Graph nodes that did not fit' },
+          truncated_memories: { type: 'integer', description: 'Memories on this page cut to a snippet' },
+          chars: { type: 'integer', description: 'Characters left out, including the cut parts of snippets' }
+        }
+      },
+      budget_chars: { type: 'integer' },
+      used_chars: { type: 'integer' }
+    },
+    required: ['memories', 'nodes', 'total_memories', 'total_nodes']
+  },
+  add_memory: {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      memory_id: { type: ['string', 'null'] },
+      data: {
+        type: ['array', 'null'],
+        items: {
+          type: 'object',
+          properties: { memoryId: { type: 'string' }, objectId: { type: 'string' }, createdAt: { type: 'string' } }
+        }
+      }
+    },
+    required: ['status']
+  },
+  get_memory: {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      memory: MEMORY_SCHEMA
+    },
+    required: ['memory']
+  },
+  update_memory: {
+    type: 'object',
+    properties: {
+      ...API_RESULT_PROPERTIES,
+      memory_items: { type: ['array', 'null'], items: { type: 'object' } }
+    }
+  },
+  delete_memory: {
+    type: 'object',
+    properties: {
+      ...API_RESULT_PROPERTIES,
+      memoryId: { type: 'string' },
+      objectId: { type: 'string' },
+      deletion_status: { type: ['object', 'null'] }
+    }
+  },
+  add_memory_batch: {
+    type: 'object',
+    properties: {
+      ...API_RESULT_PROPERTIES,
+      total_processed: { type: 'integer' },
+      total_successful: { type: 'integer' },
+      total_failed: { type: 'integer' },
+      successful: { type: 'array', items: { type: 'object' } },
+      errors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { index: { type: 'integer' }, error: { type: 'string' } }
+        }
+      }
+    }
+  },
+  submit_feedback: {
+    type: 'object',
+    properties: {
+      ...API_RESULT_PROPERTIES,
+      feedback_id: { type: ['string', 'null'] }
+    }
+  },
+  submit_batch_feedback: {
+    type: 'object',
+    properties: {
+      ...API_RESULT_PROPERTIES,
+      feedback_ids: { type: 'array', items: { type: 'string' } },
+      successful_count: { type: 'integer' },
+      failed_count: { type: 'integer' },
+      errors: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  query_code_graphql: {
+    type: 'object',
+    properties: {
+      data: { description: 'Query result, or the schema when introspect is true' },
+      errors: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  index_codebase: {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      directory: { type: 'string' },
+      success_count: { type: 'integer' },
+      skipped_count: { type: 'integer' },
+      failed_count: { type: 'integer' },
+      indexed_files: {
+        type: 'array',
+        description: 'The first 20 indexed files',
+        items: {
+          type: 'object',
+          properties: { path: { type: 'string' }, functions: { type: 'integer' }, classes: { type: 'integer' } }
+        }
+      },
+      errors: {
+        type: 'array',
+        description: 'The first 10 failures',
+        items: {
+          type: 'object',
+          properties: { path: { type: 'string' }, error: { type: 'string' } }
+        }
+      }
+    },
+    required: ['status', 'directory']
+  }
+};
+
+function truncate(text, width) {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > width ? flat.slice(0, width - 1) + '…' : flat;
+}
+
+/**
+ * Render a memory as Markdown, with its type, topics and dates
+ * @param {Object} memory - Memory from memory.get or memory.search
+ * @returns {string} - Markdown
+ */
+function renderMemory(memory) {
+  const custom = memory.customMetadata || {};
+  const details = [
+    `- ID: ${memory.id}`,
+    custom.memory_type && `- Type: ${custom.memory_type}${custom.importance ? ` (${custom.importance} importance)` : ''}`,
+    memory.topics?.length && `- Topics: ${memory.topics.join(', ')}`,
+    memory.createdAt && `- Created: ${memory.createdAt}`,
+    memory.updatedAt && `- Updated: ${memory.updatedAt}`
+  ].filter(Boolean);
+  const title = memory.title || String(memory.content || '').split('\n')[0].slice(0, 80);
+
+  return `# ${title}\n\n${details.join('\n')}\n\n${memory.content || ''}\n`;
+}
+
+function renderSearch(result, args) {
+  const { memories, nodes, search_id, total_memories, offset = 0, omitted } = result;
+  const range = offset > 0 || total_memories > memories.length
+    ? `Memories ${offset + 1}-${offset + memories.length} of ${total_memories}`
+    : `${memories.length} ${memories.length === 1 ? 'memory' : 'memories'}`;
+  const lines = [memories.length === 0
+    ? 'No memories found. Try broader terms.'
+    : `${range}${search_id ? ` (search_id ${search_id})` : ''}:`];
+
+  memories.forEach((memory, index) => {
+    const i = offset + index;
+    const meta = [
+      memory.id,
+      memory.customMetadata?.memory_type,
+      memory.topics?.length ? memory.topics.join(', ') : null,
+      memory.createdAt ? String(memory.createdAt).slice(0, 10) : null
+    ].filter(Boolean).join(' · ');
+    // Show the matching part of long content, not its opening lines
+    const content = args.query ? snippetAround(String(memory.content || '').replace(/\s+/g, ' '), args.query, 200) : memory.content;
+    if (memory.title) {
+      lines.push(`${i + 1}. ${memory.title} [${meta}]`, `   ${truncate(content, 200)}`);
+    } else {
+      lines.push(`${i + 1}. ${truncate(content, 200)} [${meta}]`);
+    }
+  });
+
+  if (nodes.length > 0) {
+    const names = nodes.map(node => {
+      const name = node.properties?.name || node.properties?.title || node.properties?.id;
+      return name ? `${node.label}: ${truncate(name, 60)}` : node.label;
+    });
+    lines.push('', `Graph nodes: ${names.join('; ')}`);
+  }
+
+  if (omitted) {
+    const notes = [];
+    if (omitted.truncated_memories) notes.push(`${omitted.truncated_memories} cut to snippets (get_memory returns the full content)`);
+    if (omitted.nodes) notes.push(`${omitted.nodes} graph nodes did not fit`);
+    if (omitted.memories) notes.push(`${omitted.memories} more memories, about ${Math.ceil(omitted.chars / 4)} tokens left out in all`);
+    if (notes.length > 0) lines.push('', `Left out: ${notes.join('; ')}.`);
+    if (result.next_cursor) lines.push(`Next page: search_memory with cursor "${result.next_cursor}"`);
+  }
+  return lines.join('\n');
+}
+
+function renderIntrospection(result) {
+  const types = (result.data?.__schema?.types || []).filter(type => !type.name.startsWith('__'));
+  if (types.length === 0) {
+    return JSON.stringify(result);
+  }
+  return types.map(type => {
+    const fields = (type.fields || []).map(field => `${field.name}: ${field.type?.name || field.type?.kind}`);
+    return `${type.name} (${type.kind})${fields.length ? `: ${fields.join(', ')}` : ''}`;
+  }).join('\n');
+}
+
+function renderIndex(result) {
+  const lines = [`Indexed ${result.success_count} files in ${result.directory} (${result.skipped_count} skipped, ${result.failed_count} failed)`];
+  (result.indexed_files || []).forEach(file => {
+    lines.push(`- ${file.path} (${file.functions ?? 0} functions, ${file.classes ?? 0} classes)`);
+  });
+  if (result.errors?.length) {
+    lines.push('Failures:', ...result.errors.map(failure => `- ${failure.path}: ${failure.error}`));
+  }
+  return lines.join('\n');
+}
+
+// Text rendering of each tool's structured result (args are the tool arguments)
+const RENDERERS = {
+  search_memory: renderSearch,
+  add_memory: (result) => (result.memory_id ? `Saved memory ${result.memory_id}` : `Memory saved (${result.status})`),
+  get_memory: (result) => renderMemory(result.memory),
+  update_memory: (result, args) => `Updated memory ${args.memory_id}${result.message ? `: ${result.message}` : ''}`,
+  delete_memory: (result, args) => `Deleted memory ${args.memory_id}${result.message ? `: ${result.message}` : ''}`,
+  add_memory_batch: (result) => [
+    `Added ${result.total_successful ?? 0} of ${result.total_processed ?? 0} memories${result.total_failed ? ` (${result.total_failed} failed)` : ''}`,
+    ...(result.errors || []).map(failure => `- #${failure.index}: ${failure.error}`)
+  ].join('\n'),
+  submit_feedback: (result) => `Feedback recorded${result.feedback_id ? ` (${result.feedback_id})` : ''}`,
+  submit_batch_feedback: (result) => `Recorded ${result.successful_count ?? result.feedback_ids?.length ?? 0} feedback items${result.failed_count ? `, ${result.failed_count} failed` : ''}`,
+  query_code_graphql: (result, args) => (args.introspect ? renderIntrospection(result) : JSON.stringify(result)),
+  index_codebase: renderIndex
+};
+
+/**
+ * A successful tool result: structuredContent plus its compact text rendering
+ * @param {string} name - Tool name
+ * @param {Object} structured - Result matching OUTPUT_SCHEMAS[name]
+ * @param {Object} args - Tool arguments
+ * @returns {Object} - CallTool result
+ */
+function toolResult(name, structured, args = {}) {
+  return {
+    content: [{ type: 'text', text: RENDERERS[name](structured, args) }],
+    structuredContent: structured
+  };
+}
+
+/**
+ * A failed tool result the model can read and recover from (clients skip output validation)
+ * @param {string} message - What went wrong
+ * @param {string} hint - What to try instead (optional)
+ * @returns {Object} - CallTool result with isError
+ */
+function toolError(message, hint = null) {
+  return {
+    content: [{ type: 'text', text: hint ? `${message}\n${hint}` : message }],
+    isError: true
+  };
+}
+
+module.exports = {
+  OUTPUT_SCHEMAS,
+  renderMemory,
+  toolResult,
+  toolError
+};
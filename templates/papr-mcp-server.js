@@ -2,16 +2,81 @@
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
 const {
   CallToolRequestSchema,
+  CompleteRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  isInitializeRequest,
 } = require('@modelcontextprotocol/sdk/types.js');
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
 
-const Papr = require('@papr/memory').default;
+// Claude starts the server in the project, so project .env files apply
+const { loadEnvFiles, getProjectDir } = require(path.join(__dirname, '..', 'lib', 'env-files.js'));
+loadEnvFiles();
+
+const { resolveConnection } = require(path.join(__dirname, '..', 'lib', 'profiles.js'));
+const { getMcpToken } = require(path.join(__dirname, '..', 'lib', 'credentials.js'));
+const {
+  MAX_BATCH_ITEMS,
+  MEMORY_TYPES,
+  IMPORTANCE_LEVELS,
+  createMemoryClient,
+  buildMemoryMetadata,
+  buildSearchParams,
+  buildAddParams,
+  buildAddBatchParams,
+  buildUpdateParams,
+  summarizeSearchResult
+} = require(path.join(__dirname, '..', 'lib', 'memory-client.js'));
+const { getConfigValue } = require(path.join(__dirname, '..', 'lib', 'config.js'));
+const { OUTPUT_SCHEMAS, renderMemory, toolResult, toolError } = require(path.join(__dirname, '..', 'lib', 'tool-results.js'));
+const {
+  CHARS_PER_TOKEN,
+  searchOwner,
+  decodeCursor,
+  getCachedSearch,
+  cacheSearch,
+  paginateSearch
+} = require(path.join(__dirname, '..', 'lib', 'search-budget.js'));
+const {
+  loadCachedMemories,
+  loadPinnedMemories,
+  cacheMemories,
+  uncacheMemory,
+  recordMemoryChange,
+  loadMemoryChanges,
+  MEMORY_CACHE_FILE
+} = require(path.join(__dirname, '..', 'lib', 'memory-cache.js'));
+const { getIndexState } = require(path.join(__dirname, '..', 'lib', 'code-indexer', 'utils', 'index-state.js'));
+const { detectLanguage, shouldIndexFile } = require(path.join(__dirname, '..', 'lib', 'code-indexer', 'utils', 'language-detector.js'));
+
+// Recent memories listed as resources, after the pinned ones
+const MAX_RECENT_RESOURCES = 50;
+
+// HTTP mode: sessions without a request for this long are closed; clients start a new one
+const HTTP_SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+
+// HTTP mode: largest initialize request read into memory
+const MAX_HTTP_BODY_SIZE = 1024 * 1024;
+
+// Prompt arguments with a fixed set of values, offered through completion/complete
+const PROMPT_ARGUMENT_CHOICES = {
+  type: MEMORY_TYPES,
+  importance: IMPORTANCE_LEVELS
+};
 
 // Log file for debugging
 const LOG_FILE = path.join(process.env.HOME || '/tmp', '.papr-mcp-debug.log');
@@ -23,12 +88,32 @@ function log(message) {
   console.error(logLine.trim()); // Also log to stderr for immediate visibility
 }
 
+// Arguments as logged: every tool takes an optional api_key, which must not reach the log file
+function formatArgs(args) {
+  if (!args || typeof args !== 'object' || !('api_key' in args)) {
+    return JSON.stringify(args);
+  }
+  return JSON.stringify({ ...args, api_key: '[REDACTED]' });
+}
+
+// structuredContent must be an object; GraphQL responses normally are ({ data, errors })
+function asGraphQLResult(result) {
+  return result && typeof result === 'object' && !Array.isArray(result) ? result : { data: result };
+}
+
+function logConnection() {
+  // Never log any part of the key itself, only where it comes from
+  const connection = resolveConnection();
+  log(`[INIT] Profile: ${connection.profile || 'none'}`);
+  log(`[INIT] API key: ${connection.apiKeySource ? `SET (from ${connection.apiKeySource})` : 'NOT SET'}`);
+  log(`[INIT] Server URL: ${connection.serverUrl}`);
+  log(`[INIT] Workspace: ${connection.workspace || 'none'}`);
+}
+
+// One instance per client connection: the stdio client, or each HTTP session
 class PaprMemoryServer {
   constructor() {
     log(`[INIT] Starting PaprMemoryServer`);
-    log(`[INIT] PAPR_MEMORY_API_KEY: ${process.env.PAPR_MEMORY_API_KEY ? 'SET (' + process.env.PAPR_MEMORY_API_KEY.substring(0, 8) + '...)' : 'NOT SET'}`);
-    log(`[INIT] PAPR_API_KEY: ${process.env.PAPR_API_KEY ? 'SET (' + process.env.PAPR_API_KEY.substring(0, 8) + '...)' : 'NOT SET'}`);
-    log(`[INIT] NEXT_PUBLIC_MEMORY_SERVER_URL: ${process.env.NEXT_PUBLIC_MEMORY_SERVER_URL || 'NOT SET'}`);
 
     this.server = new Server(
       {
@@ -38,11 +123,21 @@ class PaprMemoryServer {
       {
         capabilities: {
           tools: {},
+          resources: { subscribe: true, listChanged: true },
+          prompts: {},
+          completions: {},
         },
       }
     );
 
+    // Subscribed resource URIs -> file watcher (code files) or null (memories)
+    this.subscriptions = new Map();
+    this.pendingNotifications = new Set();
+    this.listWatcher = null;
+
     this.setupToolHandlers();
+    this.setupResourceHandlers();
+    this.setupPromptHandlers();
     this.setupErrorHandling();
     log(`[INIT] Server setup complete`);
   }
@@ -52,11 +147,6 @@ class PaprMemoryServer {
       log(`[MCP Error] ${error}`);
       console.error('[MCP Error]', error);
     };
-    process.on('SIGINT', async () => {
-      log(`[SHUTDOWN] Received SIGINT`);
-      await this.server.close();
-      process.exit(0);
-    });
   }
 
   setupToolHandlers() {
@@ -65,7 +155,7 @@ class PaprMemoryServer {
       tools: [
         {
           name: 'search_memory',
-          description: 'Search through memories with authentication required. Returns matching memories and knowledge graph nodes.',
+          description: 'Search through memories with authentication required. Returns matching memories and knowledge graph nodes. Results fit a token budget: long memories are cut to snippets around the match (get_memory returns the full content), and next_cursor fetches the memories left for the next page.',
           inputSchema: {
             type: 'object',
             properties: {
@@ -76,12 +166,12 @@ class PaprMemoryServer {
               max_memories: {
                 type: 'integer',
                 description: 'Maximum number of memories to return (recommended: 15-20)',
-                default: 20
+                default: getConfigValue('search.maxMemories')
               },
               max_nodes: {
                 type: 'integer',
                 description: 'Maximum number of neo nodes to return (recommended: 10-15)',
-                default: 15
+                default: getConfigValue('search.maxNodes')
               },
               rank_results: {
                 type: 'boolean',
@@ -105,13 +195,28 @@ class PaprMemoryServer {
                 type: 'object',
                 description: 'Optional metadata filter'
               },
+              max_tokens: {
+                type: 'integer',
+                minimum: 1,
+                description: 'Approximate token budget for this response',
+                default: getConfigValue('search.maxTokens')
+              },
+              max_chars: {
+                type: 'integer',
+                minimum: 1,
+                description: 'Character budget for this response (overrides max_tokens)'
+              },
+              cursor: {
+                type: 'string',
+                description: 'next_cursor from a previous result, to fetch the next page of that search (other search arguments are ignored)'
+              },
               api_key: {
                 type: 'string',
-                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY environment variable.'
+                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY or the key stored by papr auth login.'
               }
-            },
-            required: ['query']
-          }
+            }
+          },
+          outputSchema: OUTPUT_SCHEMAS.search_memory
         },
         {
           name: 'add_memory',
@@ -149,11 +254,12 @@ class PaprMemoryServer {
               },
               api_key: {
                 type: 'string',
-                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY environment variable.'
+                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY or the key stored by papr auth login.'
               }
             },
             required: ['content']
-          }
+          },
+          outputSchema: OUTPUT_SCHEMAS.add_memory
         },
         {
           name: 'get_memory',
@@ -167,11 +273,12 @@ class PaprMemoryServer {
               },
               api_key: {
                 type: 'string',
-                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY environment variable.'
+                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY or the key stored by papr auth login.'
               }
             },
             required: ['memory_id']
-          }
+          },
+          outputSchema: OUTPUT_SCHEMAS.get_memory
         },
         {
           name: 'update_memory',
@@ -207,11 +314,12 @@ class PaprMemoryServer {
               },
               api_key: {
                 type: 'string',
-                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY environment variable.'
+                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY or the key stored by papr auth login.'
               }
             },
             required: ['memory_id']
-          }
+          },
+          outputSchema: OUTPUT_SCHEMAS.update_memory
         },
         {
           name: 'delete_memory',
@@ -230,11 +338,12 @@ class PaprMemoryServer {
               },
               api_key: {
                 type: 'string',
-                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY environment variable.'
+                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY or the key stored by papr auth login.'
               }
             },
             required: ['memory_id']
-          }
+          },
+          outputSchema: OUTPUT_SCHEMAS.delete_memory
         },
         {
           name: 'add_memory_batch',
@@ -245,7 +354,7 @@ class PaprMemoryServer {
               memories: {
                 type: 'array',
                 items: { type: 'object' },
-                description: 'List of memory items to add in batch (max 50)'
+                description: `List of memory items to add in batch (max ${MAX_BATCH_ITEMS})`
               },
               user_id: {
                 type: 'string',
@@ -275,11 +384,12 @@ class PaprMemoryServer {
               },
               api_key: {
                 type: 'string',
-                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY environment variable.'
+                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY or the key stored by papr auth login.'
               }
             },
             required: ['memories']
-          }
+          },
+          outputSchema: OUTPUT_SCHEMAS.add_memory_batch
         },
         {
           name: 'submit_feedback',
@@ -320,11 +430,12 @@ class PaprMemoryServer {
               },
               api_key: {
                 type: 'string',
-                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY environment variable.'
+                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY or the key stored by papr auth login.'
               }
             },
             required: ['search_id', 'feedback_type']
-          }
+          },
+          outputSchema: OUTPUT_SCHEMAS.submit_feedback
         },
         {
           name: 'submit_batch_feedback',
@@ -343,11 +454,12 @@ class PaprMemoryServer {
               },
               api_key: {
                 type: 'string',
-                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY environment variable.'
+                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY or the key stored by papr auth login.'
               }
             },
             required: ['feedback_items']
-          }
+          },
+          outputSchema: OUTPUT_SCHEMAS.submit_batch_feedback
         },
         {
           name: 'query_code_graphql',
@@ -371,11 +483,12 @@ class PaprMemoryServer {
               },
               api_key: {
                 type: 'string',
-                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY environment variable.'
+                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY or the key stored by papr auth login.'
               }
             },
             required: ['query']
-          }
+          },
+          outputSchema: OUTPUT_SCHEMAS.query_code_graphql
         },
         {
           name: 'index_codebase',
@@ -399,11 +512,12 @@ class PaprMemoryServer {
               },
               api_key: {
                 type: 'string',
-                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY environment variable.'
+                description: 'Optional API key. If not provided, uses PAPR_MEMORY_API_KEY or the key stored by papr auth login.'
               }
             },
             required: ['directory']
-          }
+          },
+          outputSchema: OUTPUT_SCHEMAS.index_codebase
         }
       ]
     }));
@@ -411,7 +525,7 @@ class PaprMemoryServer {
     this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
       try {
         const { name, arguments: args } = request.params;
-        log(`[TOOL CALL] Tool: ${name}, Args: ${JSON.stringify(args)}`);
+        log(`[TOOL CALL] Tool: ${name}, Args: ${formatArgs(args)}`);
 
         let result;
         switch (name) {
@@ -465,157 +579,485 @@ class PaprMemoryServer {
     });
   }
 
-  createPaprClient(apiKeyFromArgs = null) {
-    // Priority: 1. api_key from tool args, 2. PAPR_MEMORY_API_KEY env, 3. PAPR_API_KEY env
-    const apiKey = apiKeyFromArgs || process.env.PAPR_MEMORY_API_KEY || process.env.PAPR_API_KEY;
-    if (!apiKey) {
-      throw new Error('API key is required. Pass api_key parameter or set PAPR_MEMORY_API_KEY environment variable.');
-    }
+  setupResourceHandlers() {
+    // Pinned memories, then the ones recent tool calls and terminal commands returned
+    this.server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const pinned = loadPinnedMemories();
+      const pinnedIds = new Set(pinned.map(memory => memory.id));
+      const recent = loadCachedMemories().filter(memory => !pinnedIds.has(memory.id)).slice(0, MAX_RECENT_RESOURCES);
+
+      return {
+        resources: [
+          ...pinned.map(memory => this.memoryResource(memory, 'Pinned memory', 1)),
+          ...recent.map(memory => this.memoryResource(memory, `Recent memory (seen ${memory.seenAt.slice(0, 10)})`, 0.5))
+        ]
+      };
+    });
 
-    return new Papr({
-      baseURL: process.env.NEXT_PUBLIC_MEMORY_SERVER_URL || 'https://memory.papr.ai',
-      timeout: 30000,
-      maxRetries: 2,
-      logLevel: 'warn',
-      xAPIKey: apiKey,
-      defaultHeaders: {
-        'X-Client-Type': 'claude_cli_mcp',
-        'Accept-Encoding': 'gzip'
+    this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+      resourceTemplates: [
+        {
+          uriTemplate: 'papr://memory/{id}',
+          name: 'memory',
+          title: 'PAPR memory',
+          description: 'A memory by ID, with its type, topics and dates',
+          mimeType: 'text/markdown'
+        },
+        {
+          uriTemplate: 'papr://code/{path}',
+          name: 'code',
+          title: 'Indexed code file',
+          description: 'A source file in the indexed repository, by path relative to its root (see papr index)'
+        }
+      ]
+    }));
+
+    this.server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      log(`[RESOURCE READ] ${uri}`);
+      try {
+        const target = this.parseResourceUri(uri);
+        const contents = target.kind === 'memory'
+          ? await this.readMemoryResource(target.id)
+          : await this.readCodeResource(target.path);
+        return { contents: [{ uri, ...contents }] };
+      } catch (error) {
+        log(`[RESOURCE ERROR] ${error.message}`);
+        if (error instanceof McpError) throw error;
+        throw new McpError(ErrorCode.InternalError, `Resource read failed: ${error.message}`);
       }
     });
-  }
 
-  async handleSearchMemory(args) {
-    const {
-      query,
-      max_memories = 20,
-      max_nodes = 15,
-      rank_results = false,
-      enable_agentic_graph = false,
-      user_id,
-      external_user_id,
-      metadata,
-      api_key
-    } = args;
+    this.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      if (this.subscriptions.has(uri)) return {};
+
+      const target = this.parseResourceUri(uri);
+      let watcher = null;
+      if (target.kind === 'code') {
+        // Files change on disk; memory changes arrive through the memory cache (watchResourceList)
+        watcher = fs.watch(await this.resolveCodeFile(target.path), () => this.notifyResourceUpdated(uri));
+        watcher.on('error', (error) => log(`[RESOURCE WATCH] ${uri}: ${error.message}`));
+        watcher.unref();
+      }
+      this.subscriptions.set(uri, watcher);
+      log(`[RESOURCE SUBSCRIBE] ${uri}`);
+      return {};
+    });
 
-    const client = this.createPaprClient(api_key);
+    this.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const watcher = this.subscriptions.get(uri);
+      if (watcher) watcher.close();
+      this.subscriptions.delete(uri);
+      log(`[RESOURCE UNSUBSCRIBE] ${uri}`);
+      return {};
+    });
+  }
 
-    log(`[DEBUG] Searching with query: "${query}"`);
-    log(`[DEBUG] Search params: max_memories=${max_memories}, max_nodes=${max_nodes}, rank_results=${rank_results}, enable_agentic_graph=${enable_agentic_graph}`);
+  setupPromptHandlers() {
+    // The /add and /search slash commands as prompts with typed arguments, for every MCP client
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: [
+        {
+          name: 'add',
+          title: 'Add memory',
+          description: 'Save information to PAPR memory with a type, topics and importance',
+          arguments: [
+            { name: 'content', description: 'What to remember', required: true },
+            { name: 'type', description: `Memory type: ${MEMORY_TYPES.join(', ')} (default: general)` },
+            { name: 'topics', description: 'Topics, comma-separated (e.g. auth,deadline)' },
+            { name: 'importance', description: `Importance: ${IMPORTANCE_LEVELS.join(', ')} (default: medium)` }
+          ]
+        },
+        {
+          name: 'search',
+          title: 'Search memory',
+          description: 'Search PAPR memory and present the most relevant results with their dates and topics',
+          arguments: [
+            { name: 'query', description: 'What to look for', required: true },
+            { name: 'limit', description: `Maximum number of memories (default: ${getConfigValue('search.maxMemories')})` },
+            { name: 'topics', description: 'Only memories with these topics, comma-separated' }
+          ]
+        },
+        {
+          name: 'recall-decision',
+          title: 'Recall a decision',
+          description: 'Find what was decided about a topic, when, and why',
+          arguments: [
+            { name: 'topic', description: 'The subject of the decision (e.g. "state management library")', required: true }
+          ]
+        },
+        {
+          name: 'handoff',
+          title: 'Hand off',
+          description: 'Summarize where the current work stands and save it so a later session can pick it up',
+          arguments: [
+            { name: 'focus', description: 'Part of the work to concentrate on (default: the whole session)' },
+            { name: 'topics', description: 'Topics, comma-separated, so the handoff can be found later' }
+          ]
+        }
+      ]
+    }));
 
-    const searchParams = {
-      query,
-      max_memories,
-      max_nodes,
-      rank_results,
-      enable_agentic_graph
-    };
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+      log(`[PROMPT] Prompt: ${name}, Args: ${formatArgs(args)}`);
+
+      switch (name) {
+        case 'add':
+          return this.handleAddPrompt(args);
+        case 'search':
+          return this.handleSearchPrompt(args);
+        case 'recall-decision':
+          return this.handleRecallDecisionPrompt(args);
+        case 'handoff':
+          return this.handleHandoffPrompt(args);
+        default:
+          throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+      }
+    });
 
-    if (user_id) searchParams.user_id = user_id;
-    if (external_user_id) searchParams.external_user_id = external_user_id;
-    if (metadata) searchParams.metadata = metadata;
+    this.server.setRequestHandler(CompleteRequestSchema, async (request) => {
+      const { ref, argument } = request.params;
+      const choices = (ref.type === 'ref/prompt' && PROMPT_ARGUMENT_CHOICES[argument.name]) || [];
+      const values = choices.filter(choice => choice.startsWith(argument.value));
+      return { completion: { values, total: values.length, hasMore: false } };
+    });
+  }
 
-    const result = await client.memory.search(searchParams);
+  promptArgument(args, name, { required = false, choices = null } = {}) {
+    const value = typeof args[name] === 'string' ? args[name].trim() : '';
+    if (!value) {
+      if (required) {
+        throw new McpError(ErrorCode.InvalidParams, `Missing required argument: ${name}`);
+      }
+      return null;
+    }
+    if (choices && !choices.includes(value)) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid ${name}: ${value}. Expected one of: ${choices.join(', ')}`);
+    }
+    return value;
+  }
 
-    log(`[DEBUG] API Response status: ${result.status}`);
-    log(`[DEBUG] Found memories: ${result.data?.memories?.length || 0}`);
-    log(`[DEBUG] Found nodes: ${result.data?.nodes?.length || 0}`);
+  promptTopics(args) {
+    const value = this.promptArgument(args, 'topics');
+    return value ? value.split(',').map(topic => topic.trim()).filter(Boolean) : [];
+  }
 
-    // Return raw data for the caller to process
+  promptResult(description, text) {
     return {
-      content: [{
-        type: 'text',
-        text: JSON.stringify({
-          status: result.status,
-          search_id: result.data?.search_id,
-          memories: result.data?.memories || [],
-          nodes: result.data?.nodes || [],
-          total_memories: result.data?.memories?.length || 0,
-          total_nodes: result.data?.nodes?.length || 0
-        }, null, 2)
-      }]
+      description,
+      messages: [{ role: 'user', content: { type: 'text', text } }]
     };
   }
 
-  async handleAddMemory(args) {
-    const {
+  handleAddPrompt(args) {
+    const content = this.promptArgument(args, 'content', { required: true });
+    const type = this.promptArgument(args, 'type', { choices: MEMORY_TYPES }) || 'general';
+    const importance = this.promptArgument(args, 'importance', { choices: IMPORTANCE_LEVELS }) || 'medium';
+    const toolArgs = {
       content,
-      type = 'text',
-      metadata,
-      context,
-      relationships_json,
-      skip_background_processing = false,
-      api_key
-    } = args;
+      metadata: buildMemoryMetadata({ type, topics: this.promptTopics(args), importance, source: 'claude_cli_mcp' })
+    };
 
-    const client = this.createPaprClient(api_key);
+    return this.promptResult(`Add a ${type} memory`, [
+      'Save this to PAPR memory by calling the add_memory tool with exactly these arguments:',
+      '',
+      '```json',
+      JSON.stringify(toolArgs, null, 2),
+      '```',
+      '',
+      'Then confirm with the memory ID it returns.'
+    ].join('\n'));
+  }
 
-    const addParams = {
-      content,
-      type,
-      skip_background_processing
+  handleSearchPrompt(args) {
+    const query = this.promptArgument(args, 'query', { required: true });
+    const limitValue = this.promptArgument(args, 'limit');
+    const limit = limitValue === null ? getConfigValue('search.maxMemories') : Number(limitValue);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid limit: ${limitValue}. Expected a positive integer`);
+    }
+    const topics = this.promptTopics(args);
+    const toolArgs = { query, max_memories: limit };
+    if (topics.length > 0) toolArgs.metadata = { topics };
+
+    return this.promptResult(`Search memory for "${query}"`, [
+      'Search PAPR memory by calling the search_memory tool with these arguments:',
+      '',
+      '```json',
+      JSON.stringify(toolArgs, null, 2),
+      '```',
+      '',
+      'Present the most relevant memories first. For each, give what it says, when it was saved and its topics, and cite its memory ID.',
+      'If nothing relevant comes back, say so instead of guessing.'
+    ].join('\n'));
+  }
+
+  handleRecallDecisionPrompt(args) {
+    const topic = this.promptArgument(args, 'topic', { required: true });
+    const toolArgs = {
+      query: `Decisions about ${topic}: what was chosen, the alternatives considered and why`,
+      rank_results: true
     };
 
-    if (metadata) addParams.metadata = metadata;
-    if (context) addParams.context = context;
-    if (relationships_json) addParams.relationships_json = relationships_json;
+    return this.promptResult(`Recall the decision about ${topic}`, [
+      `Find out what was decided about ${topic}. Call the search_memory tool with these arguments:`,
+      '',
+      '```json',
+      JSON.stringify(toolArgs, null, 2),
+      '```',
+      '',
+      'Answer with the decision, when it was made, the reasoning behind it and any alternatives that were rejected, citing memory IDs.',
+      'If memories disagree, go with the most recent one and point out the conflict. If no decision is recorded, say so rather than inferring one.'
+    ].join('\n'));
+  }
 
-    const result = await client.memory.add(addParams);
+  handleHandoffPrompt(args) {
+    const focus = this.promptArgument(args, 'focus');
+    const toolArgs = {
+      content: '<handoff note>',
+      metadata: buildMemoryMetadata({
+        type: 'task',
+        topics: ['handoff', ...this.promptTopics(args)],
+        importance: 'high',
+        source: 'claude_cli_mcp'
+      })
+    };
 
+    return this.promptResult('Save a handoff note for the next session', [
+      `Write a handoff note for whoever continues this work in a later session${focus ? `, focusing on ${focus}` : ''}. Cover:`,
+      '- The goal',
+      '- What is done',
+      '- What is in progress, and where it stands',
+      '- Next steps, in order',
+      '- Open questions and blockers',
+      '- Key files, commands and decisions',
+      '',
+      'Then save it by calling the add_memory tool with these arguments, replacing <handoff note> with the note:',
+      '',
+      '```json',
+      JSON.stringify(toolArgs, null, 2),
+      '```',
+      '',
+      'Reply with the memory ID so the next session can recall it.'
+    ].join('\n'));
+  }
+
+  memoryResource(memory, description, priority) {
     return {
-      content: [{
-        type: 'text',
-        text: JSON.stringify({
-          status: 'success',
-          memory_id: result.data?.[0]?.memoryId,
-          data: result.data
-        }, null, 2)
-      }]
+      uri: `papr://memory/${encodeURIComponent(memory.id)}`,
+      name: memory.id,
+      title: memory.summary || memory.id,
+      description,
+      mimeType: 'text/markdown',
+      annotations: { priority }
     };
   }
 
-  async handleGetMemory(args) {
-    const { memory_id, api_key } = args;
-    const client = this.createPaprClient(api_key);
+  parseResourceUri(uri) {
+    const match = uri.match(/^papr:\/\/(memory|code)\/(.+)$/);
+    if (!match) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}. Use papr://memory/{id} or papr://code/{path}`);
+    }
+    const value = decodeURIComponent(match[2]);
+    return match[1] === 'memory' ? { kind: 'memory', id: value } : { kind: 'code', path: value };
+  }
 
-    const result = await client.memory.get(memory_id);
+  async readMemoryResource(memoryId) {
+    const client = this.createPaprClient();
+    const result = await client.memory.get(memoryId);
+    const memory = result.data?.memories?.[0];
+    if (!memory) {
+      throw new McpError(ErrorCode.InvalidParams, `Memory not found: ${memoryId}`);
+    }
+    cacheMemories([memory]);
+
+    return { mimeType: 'text/markdown', text: renderMemory(memory) };
+  }
+
+  // A papr://code path as a file in the indexed repository covering the project. Only files the
+  // indexer would parse are served, so .env files and the like never are.
+  async resolveCodeFile(relativePath) {
+    const projectDir = getProjectDir();
+    const indexState = await getIndexState(projectDir);
+    if (!indexState) {
+      throw new McpError(ErrorCode.InvalidParams, `${projectDir} has not been indexed. Run: papr index`);
+    }
+
+    const root = fs.realpathSync(indexState.directory);
+    let filePath;
+    try {
+      filePath = fs.realpathSync(path.resolve(root, relativePath));
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, `File not found: ${relativePath}`);
+    }
+
+    const relative = path.relative(root, filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new McpError(ErrorCode.InvalidParams, `${relativePath} is outside the indexed repository ${root}`);
+    }
+    if (!fs.statSync(filePath).isFile() || !shouldIndexFile(relative, { includeTests: true, includeGenerated: true })) {
+      throw new McpError(ErrorCode.InvalidParams, `${relativePath} is not an indexed code file`);
+    }
+    return filePath;
+  }
 
+  async readCodeResource(relativePath) {
+    const filePath = await this.resolveCodeFile(relativePath);
     return {
-      content: [{
-        type: 'text',
-        text: JSON.stringify(result, null, 2)
-      }]
+      mimeType: `text/x-${detectLanguage(filePath)}`,
+      text: fs.readFileSync(filePath, 'utf8')
     };
   }
 
-  async handleUpdateMemory(args) {
-    const {
-      memory_id,
-      content,
-      type,
-      metadata,
-      context,
-      relationships_json,
-      api_key
-    } = args;
+  // Editors fire several change events per save; send one notification per burst
+  notifyResourceUpdated(uri) {
+    if (!this.subscriptions.has(uri)) return;
+    this.debounceNotification(uri, () => this.server.sendResourceUpdated({ uri }));
+  }
+
+  debounceNotification(key, send) {
+    if (this.pendingNotifications.has(key)) return;
+    this.pendingNotifications.add(key);
+    setTimeout(() => {
+      this.pendingNotifications.delete(key);
+      send().catch((error) => log(`[NOTIFY ERROR] ${error.message}`));
+    }, 100).unref();
+  }
+
+  // The resource list comes from the memory cache, which terminal commands and other server
+  // processes and sessions write too. It also logs memory updates and deletes, wherever they were
+  // made (this server's tools included), for subscribed memories.
+  watchResourceList() {
+    this.lastMemoryChange = loadMemoryChanges()?.[0]?.seq || 0;
+    try {
+      fs.mkdirSync(path.dirname(MEMORY_CACHE_FILE), { recursive: true, mode: 0o700 });
+      const watcher = fs.watch(path.dirname(MEMORY_CACHE_FILE), (event, filename) => {
+        if (filename === path.basename(MEMORY_CACHE_FILE)) {
+          this.debounceNotification('list', () => this.server.sendResourceListChanged());
+          this.notifyMemoryChanges();
+        }
+      });
+      watcher.on('error', (error) => log(`[RESOURCE WATCH] ${error.message}`));
+      watcher.unref();
+      this.listWatcher = watcher;
+    } catch (error) {
+      // ~/.papr cannot be watched; clients still see the list on their next request
+      log(`[RESOURCE WATCH] Not watching ${MEMORY_CACHE_FILE}: ${error.message}`);
+    }
+  }
+
+  notifyMemoryChanges() {
+    // Unreadable (e.g. a half-written file from an older version): wait for the next change
+    const logged = loadMemoryChanges();
+    if (!logged) return;
+    // The log starts over if the cache file was deleted or rewritten by an older version
+    if ((logged[0]?.seq || 0) < this.lastMemoryChange) this.lastMemoryChange = 0;
+    const changes = logged.filter(change => change.seq > this.lastMemoryChange);
+    if (changes.length === 0) return;
+    this.lastMemoryChange = changes[0].seq;
+    for (const change of changes) {
+      this.notifyResourceUpdated(`papr://memory/${encodeURIComponent(change.id)}`);
+    }
+  }
+
+  createPaprClient(apiKeyFromArgs = null) {
+    // Priority: 1. api_key from tool args, 2. PAPR_MEMORY_API_KEY env, 3. PAPR_API_KEY env, 4. ~/.papr/credentials (active profile's key)
+    return createMemoryClient({ apiKey: apiKeyFromArgs, clientType: 'claude_cli_mcp', configPrefix: 'mcpServer' });
+  }
+
+  async handleSearchMemory(args) {
+    const { cursor, max_tokens = getConfigValue('search.maxTokens'), max_chars } = args;
+    const budgetChars = max_chars === undefined ? max_tokens * CHARS_PER_TOKEN : max_chars;
+    if (!Number.isInteger(budgetChars) || budgetChars < 1) {
+      return toolError('max_tokens and max_chars must be positive integers');
+    }
+
+    // Cached pages and cursors are only served to the key that ran the search
+    const owner = searchOwner(resolveConnection({ apiKey: args.api_key }));
+    let searchParams;
+    let offset = 0;
+    if (cursor) {
+      try {
+        ({ searchParams, offset } = decodeCursor(cursor, owner));
+      } catch (error) {
+        return toolError(error.message);
+      }
+    } else if (!args.query) {
+      return toolError('query is required, unless you pass a cursor from a previous search_memory result');
+    } else {
+      searchParams = buildSearchParams(args);
+    }
+
+    // Later pages come from the cached result; a new search or an expired cursor asks the API
+    let summary = cursor ? getCachedSearch(searchParams, owner) : null;
+    if (!summary) {
+      const client = this.createPaprClient(args.api_key);
+
+      log(`[DEBUG] Searching with query: "${searchParams.query}"`);
+      log(`[DEBUG] Search params: max_memories=${searchParams.max_memories}, max_nodes=${searchParams.max_nodes}, rank_results=${searchParams.rank_results}, enable_agentic_graph=${searchParams.enable_agentic_graph}`);
+
+      const result = await client.memory.search(searchParams);
+
+      log(`[DEBUG] API Response status: ${result.status}`);
+      log(`[DEBUG] Found memories: ${result.data?.memories?.length || 0}`);
+      log(`[DEBUG] Found nodes: ${result.data?.nodes?.length || 0}`);
+      cacheMemories(result.data?.memories || []);
+
+      summary = summarizeSearchResult(result);
+      cacheSearch(searchParams, owner, summary);
+    }
+
+    const page = paginateSearch(summary, {
+      searchParams,
+      owner,
+      offset,
+      budgetChars,
+      snippetChars: getConfigValue('search.snippetChars')
+    });
+    log(`[DEBUG] Page: ${page.memories.length} memories from ${offset}, ${page.used_chars}/${budgetChars} chars, ${page.omitted.memories} left`);
+
+    return toolResult('search_memory', page, { ...args, query: searchParams.query });
+  }
+
+  async handleAddMemory(args) {
+    const client = this.createPaprClient(args.api_key);
+
+    const result = await client.memory.add(buildAddParams(args));
+    cacheMemories([{ id: result.data?.[0]?.memoryId, content: args.content }]);
+
+    return toolResult('add_memory', {
+      status: 'success',
+      memory_id: result.data?.[0]?.memoryId || null,
+      data: result.data || null
+    }, args);
+  }
 
+  async handleGetMemory(args) {
+    const { memory_id, api_key } = args;
     const client = this.createPaprClient(api_key);
 
-    const updateParams = { memory_id };
-    if (content) updateParams.content = content;
-    if (type) updateParams.type = type;
-    if (metadata) updateParams.metadata = metadata;
-    if (context) updateParams.context = context;
-    if (relationships_json) updateParams.relationships_json = relationships_json;
+    const result = await client.memory.get(memory_id);
+    const memory = result.data?.memories?.[0];
+    if (!memory) {
+      return toolError(`Memory not found: ${memory_id}`);
+    }
+    cacheMemories([memory]);
+
+    return toolResult('get_memory', { status: result.status, memory: summarizeSearchResult(result).memories[0] }, args);
+  }
 
-    const result = await client.memory.update(updateParams);
+  async handleUpdateMemory(args) {
+    const client = this.createPaprClient(args.api_key);
 
-    return {
-      content: [{
-        type: 'text',
-        text: JSON.stringify(result, null, 2)
-      }]
-    };
+    const { memoryId, body } = buildUpdateParams(args);
+    const result = await client.memory.update(memoryId, body);
+    if (body.content) cacheMemories([{ id: memoryId, content: body.content }]);
+    recordMemoryChange(memoryId);
+
+    return toolResult('update_memory', result, args);
   }
 
   async handleDeleteMemory(args) {
@@ -623,48 +1065,18 @@ class PaprMemoryServer {
     const client = this.createPaprClient(api_key);
 
     const result = await client.memory.delete(memory_id, { skip_parse });
+    uncacheMemory(memory_id);
+    recordMemoryChange(memory_id);
 
-    return {
-      content: [{
-        type: 'text',
-        text: JSON.stringify(result, null, 2)
-      }]
-    };
+    return toolResult('delete_memory', result, args);
   }
 
   async handleAddMemoryBatch(args) {
-    const {
-      memories,
-      user_id,
-      external_user_id,
-      batch_size = 10,
-      skip_background_processing = false,
-      webhook_url,
-      webhook_secret,
-      api_key
-    } = args;
-
-    const client = this.createPaprClient(api_key);
-
-    const batchParams = {
-      memories,
-      batch_size,
-      skip_background_processing
-    };
-
-    if (user_id) batchParams.user_id = user_id;
-    if (external_user_id) batchParams.external_user_id = external_user_id;
-    if (webhook_url) batchParams.webhook_url = webhook_url;
-    if (webhook_secret) batchParams.webhook_secret = webhook_secret;
+    const client = this.createPaprClient(args.api_key);
 
-    const result = await client.memory.addBatch(batchParams);
+    const result = await client.memory.addBatch(buildAddBatchParams(args));
 
-    return {
-      content: [{
-        type: 'text',
-        text: JSON.stringify(result, null, 2)
-      }]
-    };
+    return toolResult('add_memory_batch', result, args);
   }
 
   async handleSubmitFeedback(args) {
@@ -694,12 +1106,7 @@ class PaprMemoryServer {
 
     const result = await client.feedback.submit(feedbackParams);
 
-    return {
-      content: [{
-        type: 'text',
-        text: JSON.stringify(result, null, 2)
-      }]
-    };
+    return toolResult('submit_feedback', result, args);
   }
 
   async handleSubmitBatchFeedback(args) {
@@ -711,12 +1118,7 @@ class PaprMemoryServer {
 
     const result = await client.feedback.submitBatch(batchParams);
 
-    return {
-      content: [{
-        type: 'text',
-        text: JSON.stringify(result, null, 2)
-      }]
-    };
+    return toolResult('submit_batch_feedback', result, args);
   }
 
   async handleGraphQLQuery(args) {
@@ -762,12 +1164,7 @@ class PaprMemoryServer {
           body: { query: introspectionQuery }
         });
 
-        return {
-          content: [{
-            type: 'text',
-            text: JSON.stringify(result, null, 2)
-          }]
-        };
+        return toolResult('query_code_graphql', asGraphQLResult(result), args);
       }
 
       // Execute regular GraphQL query
@@ -775,51 +1172,25 @@ class PaprMemoryServer {
         body: { query, variables }
       });
 
-      return {
-        content: [{
-          type: 'text',
-          text: JSON.stringify(result, null, 2)
-        }]
-      };
+      return toolResult('query_code_graphql', asGraphQLResult(result), args);
     } catch (error) {
-      return {
-        content: [{
-          type: 'text',
-          text: JSON.stringify({
-            error: error.message,
-            hint: 'Use introspect: true to discover the schema first, or check query syntax.'
-          }, null, 2)
-        }]
-      };
+      return toolError(error.message, 'Use introspect: true to discover the schema first, or check query syntax.');
     }
   }
 
   async handleIndexCodebase(args) {
     const { directory, includeTests = false, includeGenerated = false, api_key } = args;
 
-    // If api_key provided, set it in environment for code indexer
-    if (api_key) {
-      process.env.PAPR_MEMORY_API_KEY = api_key;
-      process.env.PAPR_API_KEY = api_key;
-    }
-
     // Validate directory exists
     if (!fs.existsSync(directory)) {
-      return {
-        content: [{
-          type: 'text',
-          text: JSON.stringify({
-            error: `Directory not found: ${directory}`,
-            hint: 'Please provide an absolute path to an existing directory.'
-          }, null, 2)
-        }]
-      };
+      return toolError(`Directory not found: ${directory}`, 'Please provide an absolute path to an existing directory.');
     }
 
     try {
       // Import code indexer (dynamically to avoid issues if not installed)
       const { getCodeIndexer } = require(path.join(__dirname, '..', 'lib', 'code-indexer', 'index.js'));
-      const indexer = getCodeIndexer();
+      // The key goes to this call's indexer only: in HTTP mode other sessions share the process
+      const indexer = getCodeIndexer({ apiKey: api_key });
 
       // Initialize schema (creates once per API key if needed)
       const initResult = await indexer.initialize();
@@ -833,49 +1204,216 @@ class PaprMemoryServer {
         includeGenerated
       });
 
-      return {
-        content: [{
-          type: 'text',
-          text: JSON.stringify({
-            status: 'success',
-            directory,
-            success_count: result.success,
-            skipped_count: result.skipped,
-            failed_count: result.failed,
-            indexed_files: result.indexed?.slice(0, 20).map(f => ({
-              path: f.path,
-              functions: f.stats.functions,
-              classes: f.stats.classes
-            })),
-            errors: result.errors?.slice(0, 10)
-          }, null, 2)
-        }]
-      };
+      return toolResult('index_codebase', {
+        status: 'success',
+        directory,
+        success_count: result.success,
+        skipped_count: result.skipped,
+        failed_count: result.failed,
+        indexed_files: (result.indexed || []).slice(0, 20).map(f => ({
+          path: f.path,
+          functions: f.stats.functions,
+          classes: f.stats.classes
+        })),
+        errors: (result.errors || []).slice(0, 10)
+      }, args);
     } catch (error) {
-      return {
-        content: [{
-          type: 'text',
-          text: JSON.stringify({
-            error: error.message,
-            stack: error.stack
-          }, null, 2)
-        }]
-      };
+      return toolError(`Indexing failed: ${error.message}`);
     }
   }
 
+  async connect(transport) {
+    await this.server.connect(transport);
+    this.watchResourceList();
+  }
+
+  // Stop watching files; the transport is closed by its owner
+  dispose() {
+    if (this.listWatcher) this.listWatcher.close();
+    for (const watcher of this.subscriptions.values()) {
+      if (watcher) watcher.close();
+    }
+    this.subscriptions.clear();
+  }
+
   async run() {
     log(`[RUN] Starting MCP server transport`);
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    await this.connect(new StdioServerTransport());
     log(`[RUN] MCP server connected and ready`);
     console.error('Papr Memory MCP server running on stdio');
+
+    process.once('SIGINT', async () => {
+      log(`[SHUTDOWN] Received SIGINT`);
+      await this.server.close();
+      process.exit(0);
+    });
   }
 }
 
-log(`[STARTUP] Creating PaprMemoryServer instance`);
-const server = new PaprMemoryServer();
-server.run().catch((err) => {
+function parseArgs(argv) {
+  const options = { http: false, port: getConfigValue('mcpServer.httpPort'), host: '127.0.0.1' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--http') options.http = true;
+    else if (argv[i] === '--port') options.port = Number(argv[++i]);
+    else if (argv[i] === '--host') options.host = argv[++i];
+  }
+  return options;
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function jsonRpcError(code, message) {
+  return { jsonrpc: '2.0', error: { code, message }, id: null };
+}
+
+function isAuthorized(req, token) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_HTTP_BODY_SIZE) {
+      const error = new Error(`Request body is larger than ${MAX_HTTP_BODY_SIZE} bytes`);
+      error.statusCode = 413;
+      throw error;
+    }
+    chunks.push(chunk);
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Streamable HTTP mode (papr mcp serve --http): one long-lived process that several agents and
+ * dev containers share, so the schema cache, code indexer and memory cache stay warm. Each client
+ * gets its own session (Mcp-Session-Id) backed by its own PaprMemoryServer, and every request
+ * must carry the local bearer token from ~/.papr/mcp-token (or PAPR_MCP_TOKEN).
+ */
+async function runHttpServer({ port, host }) {
+  const token = getMcpToken();
+  // Session ID -> { transport, server, lastSeen }
+  const sessions = new Map();
+
+  async function createSession() {
+    const session = { server: new PaprMemoryServer(), lastSeen: Date.now() };
+    session.transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: (sessionId) => {
+        sessions.set(sessionId, session);
+        log(`[HTTP] Session ${sessionId} started (${sessions.size} open)`);
+      }
+    });
+    // Set before connect, which chains its own handler onto this one
+    session.transport.onclose = () => {
+      sessions.delete(session.transport.sessionId);
+      session.server.dispose();
+      log(`[HTTP] Session ${session.transport.sessionId} closed (${sessions.size} open)`);
+    };
+    await session.server.connect(session.transport);
+    return session;
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname === '/health') {
+        sendJson(res, 200, { status: 'ok', sessions: sessions.size });
+        return;
+      }
+      if (pathname !== '/mcp') {
+        sendJson(res, 404, { error: 'Not found. The MCP endpoint is /mcp' });
+        return;
+      }
+      if (!isAuthorized(req, token)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendJson(res, 401, jsonRpcError(ErrorCode.InvalidRequest, 'Missing or invalid bearer token. Run: papr mcp token'));
+        return;
+      }
+
+      const sessionId = req.headers['mcp-session-id'];
+      let session = sessionId ? sessions.get(sessionId) : null;
+      let body;
+      if (sessionId && !session) {
+        // Expired or from before a restart: the client must initialize a new session
+        sendJson(res, 404, jsonRpcError(ErrorCode.InvalidRequest, `Session not found: ${sessionId}`));
+        return;
+      }
+      if (!session) {
+        try {
+          body = req.method === 'POST' ? await readJsonBody(req) : null;
+        } catch (error) {
+          if (error.statusCode === 413) {
+            sendJson(res, 413, jsonRpcError(ErrorCode.InvalidRequest, error.message));
+          } else {
+            sendJson(res, 400, jsonRpcError(ErrorCode.ParseError, `Invalid JSON: ${error.message}`));
+          }
+          return;
+        }
+        if (!isInitializeRequest(body)) {
+          sendJson(res, 400, jsonRpcError(ErrorCode.InvalidRequest, 'No session. Send an initialize request first'));
+          return;
+        }
+        session = await createSession();
+      }
+
+      session.lastSeen = Date.now();
+      await session.transport.handleRequest(req, res, body);
+    } catch (error) {
+      log(`[HTTP ERROR] ${error.message}`);
+      if (!res.headersSent) {
+        sendJson(res, 500, jsonRpcError(ErrorCode.InternalError, error.message));
+      }
+    }
+  });
+
+  const sweep = setInterval(() => {
+    for (const session of sessions.values()) {
+      if (Date.now() - session.lastSeen > HTTP_SESSION_IDLE_TIMEOUT) {
+        log(`[HTTP] Session ${session.transport.sessionId} idle, closing`);
+        session.transport.close();
+      }
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    // Ctrl+C in `papr mcp serve` arrives from the terminal and again from the CLI
+    if (shuttingDown) return;
+    shuttingDown = true;
+    log(`[SHUTDOWN] Received ${signal}`);
+    httpServer.close();
+    await Promise.all([...sessions.values()].map(session => session.transport.close()));
+    process.exit(0);
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, resolve);
+  });
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${port}/mcp`;
+  log(`[RUN] MCP server listening on ${url}`);
+  console.error(`Papr Memory MCP server listening on ${url}`);
+}
+
+const options = parseArgs(process.argv.slice(2));
+log(`[STARTUP] Starting MCP server (${options.http ? 'http' : 'stdio'})`);
+logConnection();
+
+const running = options.http ? runHttpServer(options) : new PaprMemoryServer().run();
+running.catch((err) => {
   log(`[ERROR] Server run failed: ${err.message}`);
   console.error(err);
+  if (options.http) process.exit(1);
 });
@@ -1,19 +1,22 @@
 #!/usr/bin/env node
 
 const Papr = require('@papr/memory').default;
+const path = require('path');
+const { resolveConnection } = require(path.join(__dirname, '..', 'lib', 'profiles.js'));
+const { getConfigValue } = require(path.join(__dirname, '..', 'lib', 'config.js'));
 
 // Initialize PAPR client
 function createPaprClient() {
-  const apiKey = process.env.PAPR_MEMORY_API_KEY;
+  const { apiKey, serverUrl } = resolveConnection();
 
   if (!apiKey) {
-    throw new Error('PAPR_MEMORY_API_KEY environment variable is required');
+    throw new Error('PAPR API key is required. Set PAPR_MEMORY_API_KEY or run: papr auth login');
   }
 
   return new Papr({
-    baseURL: process.env.NEXT_PUBLIC_MEMORY_SERVER_URL || 'https://memory.papr.ai',
-    timeout: 15000,
-    maxRetries: 2,
+    baseURL: serverUrl,
+    timeout: getConfigValue('tools.timeout'),
+    maxRetries: getConfigValue('tools.maxRetries'),
     logLevel: 'warn',
     xAPIKey: apiKey,
     defaultHeaders: {
@@ -31,8 +34,8 @@ const tools = {
 
       const result = await client.memory.search({
         query,
-        max_memories: Math.max(maxResults, 15), // Ensure minimum 15
-        max_nodes: 15, // Recommended for graph entity relationships
+        max_memories: Math.max(maxResults, getConfigValue('search.minMemories')), // At least search.minMemories
+        max_nodes: getConfigValue('search.maxNodes'), // Recommended for graph entity relationships
         enable_agentic_graph: enableAgenticGraph,
         rank_results: true
       });
@@ -144,7 +147,7 @@ const tools = {
       const result = await client.memory.search({
         query,
         max_memories: limit,
-        max_nodes: 15,
+        max_nodes: getConfigValue('search.maxNodes'),
         enable_agentic_graph: true,
         rank_results: true
       });
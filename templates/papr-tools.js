@@ -1,17 +1,20 @@
 const Papr = require('@papr/memory').default;
+const path = require('path');
+const { resolveConnection } = require(path.join(__dirname, '..', 'lib', 'profiles.js'));
+const { getConfigValue } = require(path.join(__dirname, '..', 'lib', 'config.js'));
 
 // Initialize PAPR client
 function createPaprClient() {
-  const apiKey = process.env.PAPR_MEMORY_API_KEY;
+  const { apiKey, serverUrl } = resolveConnection();
 
   if (!apiKey) {
-    throw new Error('PAPR_MEMORY_API_KEY environment variable is required');
+    throw new Error('PAPR API key is required. Set PAPR_MEMORY_API_KEY or run: papr auth login');
   }
 
   return new Papr({
-    baseURL: process.env.NEXT_PUBLIC_MEMORY_SERVER_URL || 'https://memory.papr.ai',
-    timeout: 15000,
-    maxRetries: 2,
+    baseURL: serverUrl,
+    timeout: getConfigValue('tools.timeout'),
+    maxRetries: getConfigValue('tools.maxRetries'),
     logLevel: 'warn',
     xAPIKey: apiKey,
     defaultHeaders: {
@@ -28,7 +31,7 @@ async function searchMemory({ detailedQuery, maxResults = 15 }) {
 
     const result = await client.memory.search({
       query: detailedQuery,
-      max_memories: Math.max(maxResults, 15),
+      max_memories: Math.max(maxResults, getConfigValue('search.minMemories')),
       rank_results: true
     });
 
@@ -117,7 +120,7 @@ async function getRecentMemories({ detailedQuery, limit = 15 }) {
 
     const result = await client.memory.search({
       query,
-      max_memories: Math.max(limit, 15),
+      max_memories: Math.max(limit, getConfigValue('search.minMemories')),
       rank_results: true
     });
 
@@ -1,5 +1,10 @@
 const Papr = require('@papr/memory').default;
 const chalk = require('chalk');
+const path = require('path');
+require(path.join(__dirname, '..', 'lib', 'env-files.js')).loadEnvFiles();
+
+const { resolveConnection } = require(path.join(__dirname, '..', 'lib', 'profiles.js'));
+const { getConfigValue } = require(path.join(__dirname, '..', 'lib', 'config.js'));
 
 // =============================================================================
 // HOLIDAY THEME (inline for standalone execution)
@@ -143,19 +148,19 @@ async function loadSessionContext() {
       return; // Skip memory context in clean mode
     }
 
-    const apiKey = process.env.PAPR_MEMORY_API_KEY;
+    const { apiKey, serverUrl, workspace } = resolveConnection();
 
     if (!apiKey) {
       console.log('⚠️ PAPR Memory API key not found.');
-      console.log('💡 Run: papr init (get your API key from dashboard.papr.ai)');
+      console.log('💡 Run: papr auth login (get your API key from dashboard.papr.ai)');
       console.log('---');
       return;
     }
 
     const client = new Papr({
-      baseURL: process.env.NEXT_PUBLIC_MEMORY_SERVER_URL || 'https://memory.papr.ai',
-      timeout: 10000,
-      maxRetries: 1,
+      baseURL: serverUrl,
+      timeout: getConfigValue('sessionHook.timeout'),
+      maxRetries: getConfigValue('sessionHook.maxRetries'),
       logLevel: 'error',
       xAPIKey: apiKey,
       defaultHeaders: {
@@ -164,20 +169,25 @@ async function loadSessionContext() {
       }
     });
 
+    // `papr start --context "<query>"` replaces the default task search for this launch
+    const launchContext = (process.env.PAPR_SESSION_CONTEXT || '').trim();
+
     // Parallel searches for comprehensive context
-    const [generalResult, vercelResult] = await Promise.all([
+    const [generalResult, taskResult] = await Promise.all([
       // General context search
       client.memory.search({
         query: 'Find user preferences, coding goals, project priorities, workflow preferences, recent decisions, and important context about current work. Include any settings, configurations, or patterns I should remember.',
-        max_memories: 20,
-        rank_results: true
+        max_memories: getConfigValue('sessionHook.maxMemories'),
+        rank_results: true,
+        ...(workspace && { metadata: { workspace_id: workspace } })
       }),
 
-      // Vercel AI SDK v5 tool calling migration search
+      // Task search: the launch context if given, else the Vercel AI SDK v5 tool calling migration
       client.memory.search({
-        query: 'Find information about Vercel AI SDK v5 migration guide specifically for tool calling. Look for breaking changes in tool definitions, function calling patterns, API updates from v4 to v5, tool schema changes, and migration steps for implementing tools and function calling in Vercel AI SDK v5.',
-        max_memories: 20,
-        rank_results: true
+        query: launchContext || 'Find information about Vercel AI SDK v5 migration guide specifically for tool calling. Look for breaking changes in tool definitions, function calling patterns, API updates from v4 to v5, tool schema changes, and migration steps for implementing tools and function calling in Vercel AI SDK v5.',
+        max_memories: getConfigValue('sessionHook.maxMemories'),
+        rank_results: true,
+        ...(workspace && { metadata: { workspace_id: workspace } })
       })
     ]);
 
@@ -203,18 +213,18 @@ async function loadSessionContext() {
       });
     }
 
-    // Display Vercel AI SDK v5 migration memories
-    if (vercelResult.data?.memories?.length > 0) {
+    // Display task memories
+    if (taskResult.data?.memories?.length > 0) {
       console.log('');
-      console.log('🔧 **Vercel AI SDK v5 Tool Calling Migration:**');
-      vercelResult.data.memories.forEach((m, i) => {
-        const title = m.title || 'Vercel AI SDK Memory';
+      console.log(launchContext ? `🎯 **Context for: ${launchContext}**` : '🔧 **Vercel AI SDK v5 Tool Calling Migration:**');
+      taskResult.data.memories.forEach((m, i) => {
+        const title = m.title || (launchContext ? 'Memory' : 'Vercel AI SDK Memory');
         const content = m.content.substring(0, 200).replace(/\\n/g, ' ').replace(/\\s+/g, ' ').trim();
         console.log(`${i+1}. ${title}: ${content}...`);
       });
     }
 
-    if (!generalResult.data?.memories?.length && !vercelResult.data?.memories?.length) {
+    if (!generalResult.data?.memories?.length && !taskResult.data?.memories?.length) {
       console.log('📝 Starting fresh session - no relevant memories found');
     }
 
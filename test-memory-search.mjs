@@ -1,4 +1,7 @@
 import Papr from '@papr/memory';
+import { loadEnvFiles } from './lib/env-files.js';
+
+loadEnvFiles();
 
 const apiKey = process.env.PAPR_MEMORY_API_KEY;
 const serverUrl = process.env.NEXT_PUBLIC_MEMORY_SERVER_URL || 'https://memory.papr.ai';